@@ -1,35 +1,56 @@
 // codestrap-proxy.js — Reverse proxy + outage reload (root-only) + optional docker logs
 //
 // Behavior:
-// - If upstream (code-server) is DOWN: serve splash (503) that auto-polls to return.
+// - If upstream (code-server) is DOWN: serve splash (503) that auto-polls to return;
+//   short GETs are held for HOLD_WINDOW_MS and replayed.
 // - If upstream is UP: proxy normally, BUT we inject a watchdog only into the
 //   MAIN APP SHELL HTML ("/" or "/login"), not into webviews/assets.
 //   The watchdog polls /__up; on non-200 or network error → location.reload().
+//   INJECTIONS_FILE adds more snippets; injected scripts get a CSP nonce when needed.
 //
 // This avoids breaking VS Code webviews (strict CSP) and any HTML that isn't the shell.
 //
-// ENV:
+// ENV (full list and endpoints: README.md, "Proxy reference"):
 //   PROXY_PORT         (default 8080)
 //   CODE_SERVICE_NAME  (compose service name, e.g. "code")
 //   CODE_EXPOSED_PORT  (default 8443)
-//   UP_TIMEOUT_MS      (default 2500)
-//   LOG_CAP            (default 500)
-//   DOCKER_SOCK        (default "/var/run/docker.sock")
+//   UPSTREAMS          (optional; per-profile code-server containers)
+//   PROXY_ADMIN_TOKEN  (enables /__api/* admin endpoints)
 //
 // Profile selection:
-//   - GET  /__profile → profile picker (no passwords)
-//   - POST /__profile → redirect to ?payload=[["profile","<name>"]]
+//   - GET  /__profile → profile picker (password field for "auth": true profiles)
+//   - POST /__profile → set signed session cookie, redirect to ?payload=[["profile","<name>"]]
 //   - Any request lacking payload is redirected to /__profile?next=<url>
+//   - While any profile has "auth": true, other requests need that session too.
 
 const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const tls  = require('tls');
 const net  = require('net');
+const dns  = require('dns');
 const url  = require('url');
 const fs   = require('fs');
+const os   = require('os');
 const zlib = require('zlib');
+const stream = require('stream');
+const path = require('path');
+const crypto = require('crypto');
+
+// Shared with the VS Code extension: ./extension/lib in a checkout, mounted at /app/lib in the container.
+const SHARED_LIB_DIR = [path.join(__dirname, 'extension', 'lib'), path.join(__dirname, 'lib'), '/app/lib']
+  .find(d => fs.existsSync(path.join(d, 'profile-schema.js'))) || path.join(__dirname, 'lib');
+const sharedLib = (name) => require(path.join(SHARED_LIB_DIR, name));
+const { validateProfile, validateProfileText, parseExtensionSpec } = sharedLib('profile-schema');
+const { loadPolicies, policyAllows, policyDenial, extensionBlockReason, parseYamlSubset } = sharedLib('policies');
+const { tarTree, writeTarGz, extractTarGz } = sharedLib('tar');
+const { BUNDLE_SUFFIX, exportBundle, readBundle, diffBundle, formatDiff, applyBundle } = sharedLib('profile-bundle');
 
 /* ---------- Config paths ---------- */
 const PROFILE_DATA_BASE = '/config/data/User/profiles';  // mkdir target
 const PROFILES_DIR = '/config/codestrap/profiles';
+const PROFILE_AUTH_BASE = process.env.PROFILE_AUTH_BASE || PROFILE_DATA_BASE;
+const PROXY_STATE_DIR = process.env.PROXY_STATE_DIR || '/config/.codestrap/proxy';
 
 /* ---------- Core config ---------- */
 const PROXY_PORT        = +(process.env.PROXY_PORT || 8080);
@@ -40,43 +61,705 @@ const UPSTREAM_CONNECT_TIMEOUT_MS = +(process.env.UP_TIMEOUT_MS || 2500);
 const LOG_CAP     = +(process.env.LOG_CAP || 500);
 const DOCKER_SOCK = process.env.DOCKER_SOCK || '/var/run/docker.sock';
 
-function ts(){ return new Date().toISOString().replace('T',' ').replace('Z','Z'); }
+const SESSION_COOKIE = 'cs_session';
+const SESSION_TTL_MS = +(process.env.SESSION_TTL_HOURS || 12) * 3600 * 1000;
+const POLICIES_FILE = process.env.POLICIES_FILE || '/config/.codestrap/policies.yml';
+
+/* --------------------- logger (ring buffer + SSE + PROXY_LOG_FILE) --------------------- */
+// Entries are { id, t, level, msg }; ids keep counting across restarts so /__logs cursors
+// and SSE Last-Event-ID stay valid. The ring holds the newest LOG_CAP entries, the rotated
+// JSON-lines files everything older.
+const PROXY_LOG_FILE = process.env.PROXY_LOG_FILE !== undefined ? process.env.PROXY_LOG_FILE : path.join(PROXY_STATE_DIR, 'proxy.log');
+const PROXY_LOG_KEEP = +(process.env.PROXY_LOG_KEEP || 3);
+const LOG_LEVELS = { info: 0, warn: 1, error: 2 };
 
-/* --------------------- tiny logger (ring buffer + SSE) --------------------- */
 let logBuf = [];
+let logSeq = 0;
 let sseClients = new Set();
-function pushLog(line){
-  const msg = `[proxy ${ts()}] ${line}`;
-  logBuf.push(msg);
+let proxyLog = null;
+
+function detectLevel(line){
+  if (/^(warning\b|warn:)|\[warn\]/i.test(line)) return 'warn';
+  if (/^error\b|\berror\b|\bfailed\b|\[error\]/i.test(line)) return 'error';
+  return 'info';
+}
+function formatLogEntry(e){ return `[proxy ${e.t.replace('T',' ')}] ${e.msg}`; }
+function sseLogFrame(e){ return `id: ${e.id}\ndata: ${formatLogEntry(e).replace(/\r?\n/g,' ')}\n\n`; }
+
+function pushLog(line, level){
+  const e = { id: ++logSeq, t: new Date().toISOString(), level: level || detectLevel(String(line)), msg: String(line) };
+  logBuf.push(e);
   if (logBuf.length > LOG_CAP) logBuf = logBuf.slice(-LOG_CAP);
-  const payload = `data: ${msg.replace(/\r?\n/g,' ')}\n\n`;
+  if (proxyLog) proxyLog.write(JSON.stringify(e) + '\n');
+  const payload = sseLogFrame(e);
   for (const res of sseClients) { try{res.write(payload);}catch(_){} }
 }
-function getLogsText(){ return logBuf.join('\n') + (logBuf.length?'\n':''); }
 
-/* --------------------- upstream health check --------------------- */
-let lastUp = null;
-function upstreamAlive(cb){
-  const s = net.connect({ host: CODE_SERVICE_NAME || '127.0.0.1', port: CODE_EXPOSED_PORT });
+// Persisted files, newest first: proxy.log, proxy.log.1, …
+function proxyLogFiles(){
+  if (!PROXY_LOG_FILE) return [];
+  const files = [PROXY_LOG_FILE];
+  for (let i = 1; i <= PROXY_LOG_KEEP; i++) files.push(`${PROXY_LOG_FILE}.${i}`);
+  return files;
+}
+// Calls fn(entry) newest first, reading the file backwards in blocks, until fn returns false;
+// queries stop at their limit / since without loading and parsing whole rotated files.
+const LOG_READ_BLOCK = 64 * 1024;
+function scanLogFileBackward(file, fn){
+  let fd;
+  try { fd = fs.openSync(file, 'r'); } catch (_) { return; }
+  const emit = line => {
+    if (!line.length) return true;
+    let e;
+    try { e = JSON.parse(line.toString('utf8')); } catch (_) { return true; }
+    return !(e && typeof e.id === 'number') || fn(e) !== false;
+  };
+  try {
+    const block = Buffer.alloc(LOG_READ_BLOCK);
+    let pos = fs.fstatSync(fd).size, rest = Buffer.alloc(0);
+    while (pos > 0) {
+      const n = Math.min(LOG_READ_BLOCK, pos);
+      pos -= n;
+      fs.readSync(fd, block, 0, n, pos);
+      const buf = Buffer.concat([block.subarray(0, n), rest]);   // rest: the partial line after this block
+      let end = buf.length;
+      for (let i = end - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) continue;
+        if (!emit(buf.subarray(i + 1, end))) return;
+        end = i;
+      }
+      rest = buf.subarray(0, end);
+    }
+    emit(rest);
+  } catch (_) {
+    // a file rotated away mid-read just ends the scan
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Refill the ring and resume ids from the previous run. Entries pushed while the module
+// loaded (config warnings) follow the history, renumbered, and are persisted too.
+function initProxyLog(){
+  if (!PROXY_LOG_FILE) return;
+  const tail = [];   // newest first
+  for (const f of proxyLogFiles()) {
+    if (tail.length >= LOG_CAP) break;
+    scanLogFileBackward(f, e => { tail.push(e); return tail.length < LOG_CAP; });
+  }
+  const early = logBuf;
+  logBuf = tail.reverse();
+  if (logBuf.length) logSeq = logBuf[logBuf.length - 1].id;
+  proxyLog = createRotatingFile(PROXY_LOG_FILE, { maxBytes: +(process.env.PROXY_LOG_MAX_BYTES || 5 * 1024 * 1024), keep: PROXY_LOG_KEEP });
+  for (const e of early) {
+    e.id = ++logSeq;
+    logBuf.push(e);
+    proxyLog.write(JSON.stringify(e) + '\n');
+  }
+  if (logBuf.length > LOG_CAP) logBuf = logBuf.slice(-LOG_CAP);
+}
+
+// "2026-01-02T03:04:05Z", unix seconds/ms, or a relative age like "90s", "15m", "2h", "1d".
+function parseLogTime(v){
+  if (v === undefined || v === null || v === '') return null;
+  const s = String(v).trim();
+  const rel = /^(\d+(?:\.\d+)?)(s|m|h|d)$/.exec(s);
+  if (rel) return Date.now() - rel[1] * { s: 1e3, m: 6e4, h: 36e5, d: 864e5 }[rel[2]];
+  if (/^\d+(\.\d+)?$/.test(s)) return +s < 1e12 ? +s * 1000 : +s;
+  const t = Date.parse(s);
+  return isNaN(t) ? NaN : t;
+}
+
+// "/re/flags" is a regular expression, anything else a case-insensitive substring.
+// Regexes can backtrack for a very long time, so only admins get them.
+function compileGrep(g, allowRegex){
+  if (!g) return null;
+  const m = /^\/(.+)\/([a-z]*)$/.exec(g);
+  if (m && !allowRegex) throw new Error('regular expressions need the admin token; use a plain substring');
+  if (m) return new RegExp(m[1], m[2]);
+  const needle = String(g).toLowerCase();
+  return { test: s => s.toLowerCase().includes(needle) };
+}
+
+// Returns { entries (oldest first), more } for the given filters. Without `after` the newest
+// matches win; with `after` (a cursor) the oldest matches after it, for tailing forward.
+function queryLogs({ since = null, until = null, grep = null, level = null, limit = 500, before = null, after = null } = {}){
+  const minLevel = level ? LOG_LEVELS[level] : 0;
+  const matches = e => (before === null || e.id < before) && (after === null || e.id > after)
+    && (since === null || Date.parse(e.t) >= since) && (until === null || Date.parse(e.t) <= until)
+    && (LOG_LEVELS[e.level] || 0) >= minLevel && (!grep || grep.test(e.msg));
+  const found = [];   // newest first
+  let stop = false;
+  const visit = e => {   // false once nothing older can match
+    if ((after !== null && e.id <= after) || (since !== null && Date.parse(e.t) < since)) return !(stop = true);
+    if (matches(e)) found.push(e);
+    if (after === null && found.length > limit) stop = true;
+    return !stop;
+  };
+  for (let i = logBuf.length - 1; i >= 0 && !stop; i--) visit(logBuf[i]);
+  const oldestInRing = logBuf.length ? logBuf[0].id : Infinity;
+  for (const f of proxyLogFiles()) {
+    if (stop) break;
+    scanLogFileBackward(f, e => e.id >= oldestInRing || visit(e));
+  }
+  found.reverse();
+  const more = found.length > limit;
+  return { entries: after === null ? found.slice(-limit) : found.slice(0, limit), more };
+}
+
+/* --------------------- rotating append-only files --------------------- */
+// Size-based rotation: file → file.1 → … → file.<keep>; writes never block a request.
+// A write error disables the file (reported once; `broken` also keeps pushLog from recursing).
+function createRotatingFile(file, { maxBytes, keep }){
+  let stream = null, size = 0, broken = false;
+  const fail = e => { broken = true; stream = null; pushLog(`[proxy] ${file}: ${e.message}`, 'error'); };
+  function open(){
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      try { size = fs.statSync(file).size; } catch (_) { size = 0; }
+      stream = fs.createWriteStream(file, { flags: 'a', mode: 0o640 });
+      stream.on('error', e => { if (!broken) fail(e); });
+    } catch (e) { fail(e); }
+  }
+  function rotate(){
+    try { stream.end(); } catch (_) {}
+    stream = null;
+    try {
+      for (let i = keep - 1; i >= 1; i--) { try { fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`); } catch (_) {} }
+      if (keep > 0) fs.renameSync(file, `${file}.1`); else fs.unlinkSync(file);
+    } catch (_) {}
+    open();
+  }
+  return {
+    file,
+    write(line){
+      if (broken) return;
+      if (!stream) open();
+      if (!stream) return;
+      const len = Buffer.byteLength(line);
+      if (size > 0 && size + len > maxBytes) rotate();
+      if (!stream) return;
+      stream.write(line);
+      size += len;
+    }
+  };
+}
+
+/* --------------------- access log + metrics --------------------- */
+const ACCESS_LOG_FILE = process.env.ACCESS_LOG_FILE !== undefined ? process.env.ACCESS_LOG_FILE : path.join(PROXY_STATE_DIR, 'access.log');
+const accessLog = ACCESS_LOG_FILE ? createRotatingFile(ACCESS_LOG_FILE, {
+  maxBytes: +(process.env.ACCESS_LOG_MAX_BYTES || 10 * 1024 * 1024),
+  keep: +(process.env.ACCESS_LOG_KEEP || 5)
+}) : null;
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricsAllow = ipListFromEnv('METRICS_ALLOW');   // scrapers that may read /__metrics without the admin token
+const metrics = {
+  started: Date.now(),
+  requests: new Map(),       // "route|method|code" → count
+  latency: new Map(),        // route → { buckets:[…], sum, count }
+  bytes: new Map(),          // route → bytes sent
+  upstreamTransitions: new Map(),   // "upstream|up|down" → count
+  watchdogInjected: 0,
+  wsTotal: 0,
+  wsClosed: { outage: 0, idle: 0, admin: 0 },   // tunnels closed by the proxy, by reason
+  wsRefused: 0,
+  wsBytes: { in: 0, out: 0 },
+  codeSseClients: 0,
+  held: { replayed: 0, timeout: 0, overflow: 0, aborted: 0 }
+};
+
+// Low-cardinality route label: proxy endpoints by name, everything else by kind.
+function metricsRoute(p){
+  p = p || '/';
+  if (p.startsWith('/__')) { const seg = p.split('/')[1]; return /^__[a-z_]+$/.test(seg) ? `/${seg}` : '/__other'; }
+  if (p === '/' || p === '/index.html' || p === '/login') return 'shell';
+  return 'upstream';
+}
+function statusClass(code){ return `${String(code || 0)[0]}xx`; }
+
+function observeRequest(route, method, status, seconds, bytes){
+  const k = `${route}|${method}|${statusClass(status)}`;
+  metrics.requests.set(k, (metrics.requests.get(k) || 0) + 1);
+  let h = metrics.latency.get(route);
+  if (!h) { h = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }; metrics.latency.set(route, h); }
+  LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) h.buckets[i]++; });
+  h.sum += seconds; h.count++;
+  metrics.bytes.set(route, (metrics.bytes.get(route) || 0) + bytes);
+}
+
+function upstreamLabel(up){ const st = upstreamState(up); return st.lastUp === null ? 'unknown' : (st.lastUp ? 'up' : 'down'); }
+
+function byteLength(chunk, enc){
+  if (!chunk) return 0;
+  if (Buffer.isBuffer(chunk) || chunk instanceof Uint8Array) return chunk.length;
+  return Buffer.byteLength(String(chunk), typeof enc === 'string' ? enc : 'utf8');
+}
+
+// Counts body bytes and writes one access record when the response is done or aborted.
+// Handlers flip rec.watchdog / rec.profile as they learn more.
+function startAccessRecord(req, res, u){
+  const rec = { t0: process.hrtime.bigint(), bytes: 0, watchdog: false, profile: null, upstream: null };
+  const write = res.write, end = res.end;
+  res.write = function(chunk, enc){ rec.bytes += byteLength(chunk, enc); return write.apply(this, arguments); };
+  res.end = function(chunk, enc){ if (typeof chunk !== 'function') rec.bytes += byteLength(chunk, enc); return end.apply(this, arguments); };
+  let done = false;
+  const finish = () => {
+    if (done) return; done = true;
+    const ms = Number(process.hrtime.bigint() - rec.t0) / 1e6;
+    const route = metricsRoute(u.pathname);
+    observeRequest(route, req.method, res.statusCode, ms / 1000, rec.bytes);
+    if (rec.watchdog) metrics.watchdogInjected++;
+    if (!accessLog) return;
+    const profile = rec.profile || parseProfileFromPayload(u) || ((getSession(req) || {}).cur || null);
+    const line = {
+      t: new Date().toISOString(), method: req.method, path: u.pathname, status: res.statusCode,
+      ms: Math.round(ms * 10) / 10, bytes: rec.bytes, profile, upstream: upstreamLabel(rec.upstream), watchdog: rec.watchdog
+    };
+    if (upstreamTable().multi) line.target = (rec.upstream || upstreamTable().def).name;
+    if (rec.heldMs !== undefined) line.heldMs = rec.heldMs;
+    if (!res.writableFinished) line.aborted = true;
+    accessLog.write(JSON.stringify(line) + '\n');
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+  return rec;
+}
+
+function recordTunnel(req, up, t0, bytesIn, bytesOut, status){
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  metrics.wsBytes.in += bytesIn; metrics.wsBytes.out += bytesOut;
+  if (!accessLog) return;
+  const u = url.parse(req.url || '/', true);
+  accessLog.write(JSON.stringify({
+    t: new Date().toISOString(), method: req.method, path: u.pathname, status,
+    ms: Math.round(ms * 10) / 10, bytes: bytesOut, bytesIn,
+    profile: parseProfileFromPayload(u) || ((getSession(req) || {}).cur || null),
+    upstream: upstreamLabel(up), watchdog: false, ws: true,
+    ...(upstreamTable().multi ? { target: up.name } : {})
+  }) + '\n');
+}
+
+function promLabels(obj){
+  return '{' + Object.keys(obj).map(k => `${k}="${String(obj[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',') + '}';
+}
+function renderMetrics(){
+  const out = [];
+  const metric = (name, type, help) => { out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`); };
+
+  metric('codestrap_proxy_requests_total', 'counter', 'HTTP requests handled, by route, method and status class.');
+  for (const [k, v] of metrics.requests) {
+    const [route, method, code] = k.split('|');
+    out.push(`codestrap_proxy_requests_total${promLabels({ route, method, code })} ${v}`);
+  }
+  metric('codestrap_proxy_request_duration_seconds', 'histogram', 'HTTP request latency until the response finished.');
+  for (const [route, h] of metrics.latency) {
+    LATENCY_BUCKETS.forEach((le, i) => out.push(`codestrap_proxy_request_duration_seconds_bucket${promLabels({ route, le })} ${h.buckets[i]}`));
+    out.push(`codestrap_proxy_request_duration_seconds_bucket${promLabels({ route, le: '+Inf' })} ${h.count}`);
+    out.push(`codestrap_proxy_request_duration_seconds_sum${promLabels({ route })} ${h.sum.toFixed(6)}`);
+    out.push(`codestrap_proxy_request_duration_seconds_count${promLabels({ route })} ${h.count}`);
+  }
+  metric('codestrap_proxy_response_bytes_total', 'counter', 'Response body bytes sent, by route.');
+  for (const [route, v] of metrics.bytes) out.push(`codestrap_proxy_response_bytes_total${promLabels({ route })} ${v}`);
+  metric('codestrap_proxy_watchdog_injections_total', 'counter', 'App shell responses the watchdog was injected into.');
+  out.push(`codestrap_proxy_watchdog_injections_total ${metrics.watchdogInjected}`);
+
+  metric('codestrap_proxy_upstream_up', 'gauge', 'Last observed upstream state (1 up, 0 down, -1 unknown).');
+  for (const up of upstreamTable().all) {
+    const st = upstreamState(up);
+    out.push(`codestrap_proxy_upstream_up${promLabels({ upstream: up.name })} ${st.lastUp === null ? -1 : (st.lastUp ? 1 : 0)}`);
+  }
+  metric('codestrap_proxy_upstream_transitions_total', 'counter', 'Upstream state changes, by upstream and new state.');
+  for (const [k, v] of metrics.upstreamTransitions) {
+    const [upstream, to] = k.split('|');
+    out.push(`codestrap_proxy_upstream_transitions_total${promLabels({ upstream, to })} ${v}`);
+  }
+
+  metric('codestrap_proxy_held_requests', 'gauge', 'Requests currently held while upstream is down.');
+  out.push(`codestrap_proxy_held_requests ${[...upstreamStates.values()].reduce((n, st) => n + st.held.size, 0)}`);
+  metric('codestrap_proxy_held_requests_total', 'counter', 'Held requests, by outcome.');
+  for (const k of Object.keys(metrics.held)) out.push(`codestrap_proxy_held_requests_total${promLabels({ outcome: k })} ${metrics.held[k]}`);
+
+  metric('codestrap_proxy_websocket_tunnels', 'gauge', 'Open WebSocket tunnels.');
+  out.push(`codestrap_proxy_websocket_tunnels ${tunnels.size}`);
+  metric('codestrap_proxy_websocket_tunnels_total', 'counter', 'WebSocket tunnels opened.');
+  out.push(`codestrap_proxy_websocket_tunnels_total ${metrics.wsTotal}`);
+  metric('codestrap_proxy_websocket_closed_total', 'counter', 'WebSocket tunnels closed by the proxy, by reason.');
+  for (const k of Object.keys(metrics.wsClosed)) out.push(`codestrap_proxy_websocket_closed_total${promLabels({ reason: k })} ${metrics.wsClosed[k]}`);
+  metric('codestrap_proxy_websocket_refused_total', 'counter', 'WebSocket upgrades refused (upstream down or TUNNEL_MAX_PER_IP).');
+  out.push(`codestrap_proxy_websocket_refused_total ${metrics.wsRefused}`);
+  metric('codestrap_proxy_websocket_bytes_total', 'counter', 'Bytes relayed by closed WebSocket tunnels.');
+  out.push(`codestrap_proxy_websocket_bytes_total${promLabels({ direction: 'in' })} ${metrics.wsBytes.in}`);
+  out.push(`codestrap_proxy_websocket_bytes_total${promLabels({ direction: 'out' })} ${metrics.wsBytes.out}`);
+
+  metric('codestrap_proxy_sse_clients', 'gauge', 'Connected Server-Sent Events clients, by stream.');
+  out.push(`codestrap_proxy_sse_clients${promLabels({ stream: 'proxy' })} ${sseClients.size}`);
+  out.push(`codestrap_proxy_sse_clients${promLabels({ stream: 'code' })} ${metrics.codeSseClients}`);
+
+  metric('codestrap_proxy_start_time_seconds', 'gauge', 'Proxy start time (unix seconds).');
+  out.push(`codestrap_proxy_start_time_seconds ${Math.floor(metrics.started / 1000)}`);
+  return out.join('\n') + '\n';
+}
+
+/* --------------------- upstream routing (per profile) --------------------- */
+// UPSTREAMS (inline) or UPSTREAMS_FILE (.json / .yml) map profile names to their own
+// code-server: { "<profile>": "host[:port]" | { host, port, service } }. "default" catches
+// every other profile and requests without one; it falls back to CODE_SERVICE_NAME:CODE_EXPOSED_PORT.
+// service (docker compose service, for logs/lifecycle) defaults to host. Inline UPSTREAMS may
+// also be "alice=code-alice:8443,bob=code-bob". The file is re-read when it changes.
+const UPSTREAMS_ENV  = process.env.UPSTREAMS || '';
+const UPSTREAMS_FILE = process.env.UPSTREAMS_FILE || '';
+const LEGACY_UPSTREAM = { name: 'default', host: CODE_SERVICE_NAME || '127.0.0.1', port: CODE_EXPOSED_PORT, service: CODE_SERVICE_NAME };
+
+function parseUpstreamSpec(name, v){
+  let host, port = CODE_EXPOSED_PORT, service;
+  if (typeof v === 'string') {
+    const m = /^([A-Za-z0-9_.-]+)(?::(\d{1,5}))?$/.exec(v.trim());
+    if (!m) return { error: `${name}: expected "host[:port]"` };
+    host = m[1]; if (m[2]) port = +m[2];
+  } else if (v && typeof v === 'object' && !Array.isArray(v)) {
+    host = v.host; service = v.service;
+    if (v.port !== undefined) port = +v.port;
+    if (typeof host !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(host)) return { error: `${name}: host must be a hostname` };
+    if (service !== undefined && (typeof service !== 'string' || !/^[A-Za-z0-9_.-]*$/.test(service))) return { error: `${name}: service must be a compose service name` };
+  } else return { error: `${name}: expected "host[:port]" or { host, port, service }` };
+  if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: `${name}: port must be 1-65535` };
+  return { upstream: { name, host, port, service: service === undefined ? host : service } };
+}
+
+function parseUpstreamSource(text, kind){
+  const t = String(text || '').trim();
+  if (!t) return { data: {}, errors: [] };
+  if (kind === 'yaml') {
+    const r = parseYamlSubset(t);
+    return { data: r.data, errors: r.errors.map(e => `line ${e.line}: ${e.message}`) };
+  }
+  if (t.startsWith('{')) {
+    try { return { data: JSON.parse(t), errors: [] }; } catch (e) { return { data: {}, errors: [`invalid JSON: ${e.message}`] }; }
+  }
+  const data = {}, errors = [];
+  t.split(',').map(x => x.trim()).filter(Boolean).forEach(pair => {
+    const i = pair.indexOf('=');
+    if (i < 1) errors.push(`"${pair}": expected name=host[:port]`); else data[pair.slice(0, i).trim()] = pair.slice(i + 1).trim();
+  });
+  return { data, errors };
+}
+
+let upstreamCache = null;   // { key, table }
+function upstreamTable(){
+  let fileText = '', st = null;
+  if (UPSTREAMS_FILE) { try { st = fs.statSync(UPSTREAMS_FILE); } catch (_) {} }
+  const key = st ? `${st.mtimeMs}:${st.size}` : 'none';
+  if (upstreamCache && upstreamCache.key === key) return upstreamCache.table;
+
+  const errors = [], routes = new Map();
+  let def = LEGACY_UPSTREAM;
+  const add = (data, where) => Object.keys(data || {}).forEach(name => {
+    if (name !== 'default' && !isValidProfileName(name)) { errors.push(`${where}: "${name}" is not a valid profile name`); return; }
+    const r = parseUpstreamSpec(name, data[name]);
+    if (r.error) { errors.push(`${where}: ${r.error}`); return; }
+    if (name === 'default') def = r.upstream; else routes.set(name, r.upstream);
+  });
+  const env = parseUpstreamSource(UPSTREAMS_ENV, 'inline');
+  env.errors.forEach(e => errors.push(`UPSTREAMS: ${e}`));
+  add(env.data, 'UPSTREAMS');
+  if (UPSTREAMS_FILE) {
+    if (!st) errors.push(`UPSTREAMS_FILE: ${UPSTREAMS_FILE} not found`);
+    else {
+      try { fileText = fs.readFileSync(UPSTREAMS_FILE, 'utf8'); } catch (e) { errors.push(`UPSTREAMS_FILE: ${e.message}`); }
+      const f = parseUpstreamSource(fileText, /\.ya?ml$/i.test(UPSTREAMS_FILE) ? 'yaml' : 'inline');
+      f.errors.forEach(e => errors.push(`UPSTREAMS_FILE: ${e}`));
+      add(f.data, 'UPSTREAMS_FILE');   // file entries override env ones
+    }
+  }
+  // one entry per distinct host:port, so state and metrics are shared by profiles on the same container
+  const byAddr = new Map();
+  const canon = up => { const k = `${up.host}:${up.port}`; if (!byAddr.has(k)) byAddr.set(k, up); return byAddr.get(k); };
+  def = canon(def);
+  for (const [n, up] of routes) routes.set(n, canon(up));
+  const table = { def, routes, all: [...byAddr.values()], multi: byAddr.size > 1, errors };
+  if (upstreamCache) pushLog(`[upstreams] routing table reloaded: ${describeUpstreams(table)}`);
+  errors.forEach(e => pushLog(`[upstreams][WARN] ${e}`, 'warn'));
+  upstreamCache = { key, table };
+  return table;
+}
+function describeUpstreams(table){
+  const parts = [`default → ${table.def.host}:${table.def.port}`];
+  for (const [n, up] of table.routes) parts.push(`${n} → ${up.host}:${up.port}`);
+  return parts.join(', ');
+}
+
+function upstreamForProfile(name){
+  const t = upstreamTable();
+  return (name && t.routes.get(name)) || t.def;
+}
+// Only the shell gate may route on ?payload (after checking it); everything else (assets,
+// websockets, /__up, logs) follows the signed profile remembered in the session cookie.
+function upstreamForRequest(req){
+  const sess = getSession(req);
+  return upstreamForProfile((sess && sess.cur) || null);
+}
+// Admins may address any upstream by name (routing key) or host; others get their own.
+function upstreamForAdminQuery(req, u){
+  const want = String(u.query.upstream || '');
+  if (!want || !isAdmin(req)) return upstreamForRequest(req);
+  const t = upstreamTable();
+  return t.routes.get(want) || t.all.find(up => up.name === want || up.host === want) || null;
+}
+
+/* --------------------- upstream health monitor --------------------- */
+// Every HEALTH_INTERVAL_MS each upstream's HEALTH_PATH is fetched over HTTP. The cached state
+// flips only after HEALTH_FALL failures / HEALTH_RISE successes in a row (the very first
+// result counts immediately), so one slow check doesn't bounce the shell to the splash.
+// Requests read the cache; proxy errors count as failed checks.
+const HEALTH_PATH        = process.env.HEALTH_PATH || '/healthz';
+const HEALTH_INTERVAL_MS = Math.max(250, +(process.env.HEALTH_INTERVAL_MS || 2000));
+const HEALTH_RISE        = Math.max(1, +(process.env.HEALTH_RISE || 2));
+const HEALTH_FALL        = Math.max(1, +(process.env.HEALTH_FALL || 2));
+
+const upstreamStates = new Map();   // "host:port" → state (see upstreamState)
+function upstreamState(up){
+  up = up || upstreamTable().def;
+  const k = `${up.host}:${up.port}`;
+  if (!upstreamStates.has(k)) upstreamStates.set(k, {
+    lastUp: null,       // cached (hysteresis) state; null until the first check
+    downSince: null,    // ms of the last UP → DOWN (or initial DOWN)
+    changedAt: null,    // ms of the last transition
+    checkedAt: null, latencyMs: null, reason: null, health: null,
+    okStreak: 0, failStreak: 0, inFlight: null,
+    held: new Set()     // requests waiting for this upstream (see holdRequest)
+  });
+  return upstreamStates.get(k);
+}
+
+// One HTTP probe: cb({ ok, latencyMs, reason, health }). code-server answers
+// { status: "alive" | "expired", lastHeartbeat }; any 200 counts as healthy.
+function checkUpstreamHealth(up, cb){
+  const t0 = Date.now();
   let done = false;
-  const finish = ok => { if (done) return; done = true; try{s.destroy();}catch(_){ } cb(ok); };
-  s.once('connect', ()=>finish(true));
-  s.once('error',  ()=>finish(false));
-  s.setTimeout(UPSTREAM_CONNECT_TIMEOUT_MS, ()=>finish(false));
+  const finish = r => { if (done) return; done = true; r.latencyMs = Date.now() - t0; cb(r); };
+  const rq = http.request({ host: up.host, port: up.port, path: HEALTH_PATH, method: 'GET', headers: { accept: 'application/json' }, agent: false }, pr => {
+    let body = '';
+    pr.setEncoding('utf8');
+    pr.on('data', c => { if (body.length < 4096) body += c; });
+    pr.on('end', () => {
+      let health = null; try { health = JSON.parse(body).status || null; } catch (_) {}
+      if (pr.statusCode === 200) finish({ ok: true, reason: null, health });
+      else finish({ ok: false, reason: `HTTP ${pr.statusCode} from ${HEALTH_PATH}`, health });
+    });
+    pr.on('error', e => finish({ ok: false, reason: e.message, health: null }));
+  });
+  rq.setTimeout(UPSTREAM_CONNECT_TIMEOUT_MS, () => { rq.destroy(new Error(`timeout after ${UPSTREAM_CONNECT_TIMEOUT_MS}ms`)); });
+  rq.on('error', e => finish({ ok: false, reason: e.code ? `${e.code} ${up.host}:${up.port}` : e.message, health: null }));
+  rq.end();
 }
-function probeAndNote(cb){
-  upstreamAlive(ok=>{
-    if (lastUp === null) pushLog(`upstream initial state: ${ok ? 'UP' : 'DOWN'} (${CODE_SERVICE_NAME}:${CODE_EXPOSED_PORT})`);
-    else if (ok !== lastUp) pushLog(`upstream state change: ${ok ? 'UP' : 'DOWN'}`);
-    lastUp = ok;
-    cb(ok);
+
+function upstreamSnapshot(up){
+  const st = upstreamState(up);
+  const iso = ms => ms ? new Date(ms).toISOString() : null;
+  return {
+    up: st.lastUp === true, state: st.lastUp === null ? 'unknown' : (st.lastUp ? 'up' : 'down'),
+    upstream: up.name, target: `${up.host}:${up.port}`,
+    checkedAt: iso(st.checkedAt), latencyMs: st.latencyMs, reason: st.reason,   // reason: last failed check, if the latest one failed
+    health: st.health, since: iso(st.changedAt), downForMs: st.downSince ? Date.now() - st.downSince : 0,
+    failStreak: st.failStreak, okStreak: st.okStreak, intervalMs: HEALTH_INTERVAL_MS
+  };
+}
+
+function broadcastUpstream(up){
+  const payload = `event: upstream\ndata: ${JSON.stringify(upstreamSnapshot(up))}\n\n`;
+  for (const res of sseClients) { try{res.write(payload);}catch(_){} }
+}
+
+// Folds one result into the cached state; logs and publishes transitions.
+function noteHealth(up, r){
+  const st = upstreamState(up);
+  const label = upstreamTable().multi ? `upstream '${up.name}'` : 'upstream';
+  st.checkedAt = Date.now();
+  if (r.latencyMs !== undefined) st.latencyMs = r.latencyMs;
+  if (r.health !== undefined) st.health = r.health;
+  st.reason = r.ok ? null : r.reason;
+  if (r.ok) { st.okStreak++; st.failStreak = 0; } else { st.failStreak++; st.okStreak = 0; }
+  const prev = st.lastUp;
+  let next = prev;
+  if (prev === null) next = r.ok;
+  else if (prev && st.failStreak >= HEALTH_FALL) next = false;
+  else if (!prev && st.okStreak >= HEALTH_RISE) next = true;
+  if (next === prev) return;
+  st.lastUp = next;
+  st.changedAt = Date.now();
+  st.downSince = next ? null : Date.now();
+  if (prev === null) pushLog(`${label} initial state: ${next ? 'UP' : 'DOWN'} (${up.host}:${up.port}${next ? '' : `: ${st.reason}`})`);
+  else {
+    pushLog(`${label} state change: ${next ? 'UP' : 'DOWN'}${next ? '' : ` (${st.reason})`}`, next ? 'info' : 'warn');
+    const k = `${up.name}|${next ? 'up' : 'down'}`;
+    metrics.upstreamTransitions.set(k, (metrics.upstreamTransitions.get(k) || 0) + 1);
+  }
+  if (!next) closeTunnelsFor(up, 'outage');
+  broadcastUpstream(up);
+}
+
+// Concurrent callers share the probe in flight.
+function runHealthCheck(up, cb){
+  const st = upstreamState(up);
+  if (st.inFlight) { if (cb) st.inFlight.push(cb); return; }
+  st.inFlight = cb ? [cb] : [];
+  checkUpstreamHealth(up, r => {
+    noteHealth(up, r);
+    const waiters = st.inFlight; st.inFlight = null;
+    waiters.forEach(fn => fn(st.lastUp));
+    if (st.lastUp && r.ok) releaseHeld(up);
   });
 }
 
+// Cached state; only the very first request for an upstream waits for a probe.
+function withUpstreamState(up, cb){
+  const st = upstreamState(up);
+  if (st.lastUp === null) return runHealthCheck(up, ok => cb(!!ok));
+  cb(st.lastUp);
+}
+
+// A refused/unreachable connection while proxying is as good as a failed check.
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT'];
+function noteProxyError(up, e){
+  if (e && CONNECT_ERRORS.includes(e.code)) noteHealth(up, { ok: false, reason: `${e.code} ${up.host}:${up.port} (proxied request)` });
+}
+
+/* --------------------- WebSocket tunnels --------------------- */
+// Every upgraded connection is registered until either side closes. The proxy closes tunnels
+// itself with a WebSocket close frame whose code tells the watchdog why:
+//   1012 "codestrap: upstream down"  (outage: the shell should check /__up and show the splash)
+//   4001 "codestrap: idle"           (no traffic for TUNNEL_IDLE_MS)
+//   4002 "codestrap: closed by admin"
+// Any other drop is a plain tunnel drop the workbench reconnects by itself.
+// Off by default: an open but quiet workbench is a live session, not a leak.
+const TUNNEL_IDLE_MS    = Math.max(0, +(process.env.TUNNEL_IDLE_MS || 0));
+const TUNNEL_MAX_PER_IP = Math.max(0, +(process.env.TUNNEL_MAX_PER_IP !== undefined ? process.env.TUNNEL_MAX_PER_IP : 64));
+const WS_CLOSE = {
+  outage: [1012, 'codestrap: upstream down'],
+  idle:   [4001, 'codestrap: idle'],
+  admin:  [4002, 'codestrap: closed by admin']
+};
+const tunnels = new Map();   // id → { id, profile, path, up, ip, startedAt, lastActivity, client, upstream }
+let tunnelSeq = 0;
+
+// Server → client frames are unmasked; reasons stay under 124 bytes.
+function wsCloseFrame(code, reason){
+  const r = Buffer.from(reason);
+  const payload = Buffer.alloc(2 + r.length);
+  payload.writeUInt16BE(code, 0); r.copy(payload, 2);
+  return Buffer.concat([Buffer.from([0x88, payload.length]), payload]);
+}
+function tunnelInfo(t){
+  const now = Date.now();
+  return {
+    id: t.id, profile: t.profile, path: t.path, upstream: t.up.name, ip: t.ip,
+    startedAt: new Date(t.startedAt).toISOString(), ageMs: now - t.startedAt, idleMs: now - t.lastActivity,
+    bytesIn: t.client.bytesRead, bytesOut: t.client.bytesWritten
+  };
+}
+function closeTunnel(t, why){
+  if (t.closing) return;
+  t.closing = why;
+  metrics.wsClosed[why]++;
+  const [code, reason] = WS_CLOSE[why];
+  try { t.upstream.unpipe(t.client); t.upstream.destroy(); } catch(_) {}
+  try { t.client.end(wsCloseFrame(code, reason)); } catch(_) {}
+  setTimeout(()=>{ try{ t.client.destroy(); }catch(_){ } }, 1000).unref();
+}
+function closeTunnelsFor(up, why){
+  let n = 0;
+  for (const t of tunnels.values()) if (t.up.host === up.host && t.up.port === up.port) { closeTunnel(t, why); n++; }
+  if (n) pushLog(`[ws] closed ${n} tunnel(s) to '${up.name}' (${WS_CLOSE[why][1]})`);
+  return n;
+}
+function tunnelsForIp(ip){ let n = 0; for (const t of tunnels.values()) if (t.ip === ip) n++; return n; }
+function rejectUpgrade(socket, status, body, extra = {}){
+  const text = JSON.stringify(body);
+  const head = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`, 'content-type: application/json; charset=utf-8',
+    `content-length: ${Buffer.byteLength(text)}`, 'connection: close', ...Object.entries(extra).map(([k, v]) => `${k}: ${v}`)];
+  try { socket.end(head.join('\r\n') + '\r\n\r\n' + text); } catch(_) {}
+  setTimeout(()=>{ try{ socket.destroy(); }catch(_){ } }, 1000).unref();
+}
+function sweepIdleTunnels(){
+  if (!TUNNEL_IDLE_MS) return;
+  const now = Date.now();
+  for (const t of tunnels.values()) {
+    if (now - t.lastActivity > TUNNEL_IDLE_MS) {
+      pushLog(`[ws] closing idle tunnel #${t.id} ${t.path} (${Math.round((now - t.lastActivity) / 1000)}s without traffic)`);
+      closeTunnel(t, 'idle');
+    }
+  }
+}
+
+/* --------------------- hold queue (short outages) --------------------- */
+// While an outage is younger than HOLD_WINDOW_MS, idempotent requests without a body are
+// parked instead of failed and replayed on the next healthy check. Navigations get the
+// splash; everything else a JSON 503 with Retry-After.
+const HOLD_WINDOW_MS = Math.max(0, +(process.env.HOLD_WINDOW_MS !== undefined ? process.env.HOLD_WINDOW_MS : 10000));
+const HOLD_MAX_QUEUE = Math.max(1, +(process.env.HOLD_MAX_QUEUE || 200));
+const HOLD_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Browsers send Sec-Fetch-Mode; older clients are judged by what they accept.
+function isNavigation(req){
+  const mode = String(req.headers['sec-fetch-mode'] || '').toLowerCase();
+  if (mode) return mode === 'navigate';
+  return req.method === 'GET' && /text\/html/i.test(req.headers['accept'] || '');
+}
+function isHoldable(req){
+  if (!HOLD_WINDOW_MS || !HOLD_METHODS.includes(req.method)) return false;
+  return !req.headers['transfer-encoding'] && !(+req.headers['content-length'] > 0);
+}
+function retryAfterSec(){ return Math.max(1, Math.ceil(HEALTH_INTERVAL_MS * HEALTH_RISE / 1000)); }
+
+function sendUpstreamUnavailable(res, up, extra = {}){
+  const st = upstreamState(up);
+  const retryAfter = retryAfterSec();
+  sendJson(res, 503, {
+    error: 'upstream_unavailable', message: 'code-server is not reachable right now; retry shortly.',
+    upstream: up.name, reason: st.reason, downForMs: st.downSince ? Date.now() - st.downSince : 0, retryAfter
+  }, Object.assign({ 'retry-after': String(retryAfter) }, extra));
+}
+
+// onReady() replays the request, onGiveUp() answers it; exactly one of them runs unless the
+// client goes away first.
+function holdRequest(up, res, rec, onReady, onGiveUp){
+  const st = upstreamState(up);
+  const wait = (st.downSince || Date.now()) + HOLD_WINDOW_MS - Date.now();
+  if (wait <= 0) { metrics.held.timeout++; return onGiveUp(); }
+  if (st.held.size >= HOLD_MAX_QUEUE) { metrics.held.overflow++; return onGiveUp(); }
+  const t0 = Date.now();
+  const h = { release: null };
+  const settle = outcome => {
+    if (!st.held.delete(h)) return false;
+    clearTimeout(timer);
+    metrics.held[outcome]++;
+    rec.heldMs = Date.now() - t0;
+    return true;
+  };
+  const timer = setTimeout(() => { if (settle('timeout')) onGiveUp(); }, wait);
+  h.release = () => { if (settle('replayed')) onReady(); };
+  st.held.add(h);
+  res.on('close', () => settle('aborted'));
+}
+function releaseHeld(up){
+  const st = upstreamState(up);
+  if (!st.held.size) return;
+  pushLog(`${upstreamTable().multi ? `upstream '${up.name}'` : 'upstream'} back: replaying ${st.held.size} held request(s)`);
+  for (const h of [...st.held]) h.release();
+}
+
+function startHealthMonitor(){
+  const tick = () => { for (const up of upstreamTable().all) runHealthCheck(up); };
+  tick();
+  setInterval(tick, HEALTH_INTERVAL_MS).unref();
+}
+
 /* --------------------- Docker logs (via socket) ---------------------------- */
-const docker = { enabled:false, socketPath: DOCKER_SOCK, containerId:null, wantLogs:false };
+const docker = { enabled:false, socketPath: DOCKER_SOCK, containerIds: new Map() };   // compose service → container id
 try { fs.accessSync(DOCKER_SOCK); docker.enabled=true; } catch(_) { docker.enabled=false; }
-docker.wantLogs = docker.enabled && !!CODE_SERVICE_NAME;
+// Logs/lifecycle need the socket and a compose service for the upstream.
+function dockerAvailable(up){ return docker.enabled && !!(up && up.service); }
 
 function dockerRequest(path, method='GET', headers={}, cb){
   const req = http.request({ socketPath: docker.socketPath, path, method, headers }, res=>cb(null,res));
@@ -84,44 +767,121 @@ function dockerRequest(path, method='GET', headers={}, cb){
 }
 function jsonEncodeFilters(obj){ return encodeURIComponent(JSON.stringify(obj)); }
 
-function resolveContainerId(cb){
-  if (!docker.wantLogs) return cb(new Error('logs disabled'), null);
-  if (docker.containerId) return cb(null, docker.containerId);
-  const filters = { label: [`com.docker.compose.service=${CODE_SERVICE_NAME}`] };
-  const path = `/v1.41/containers/json?all=0&filters=${jsonEncodeFilters(filters)}`;
-  dockerRequest(path, 'GET', {}, (err, res)=>{
+// Compose project of the proxy's own container (its hostname is the container id), so
+// service lookups stay inside this deployment. null when unknown (not in compose, no socket).
+const COMPOSE_PROJECT = process.env.COMPOSE_PROJECT || '';
+function composeProject(cb){
+  if (COMPOSE_PROJECT) return cb(COMPOSE_PROJECT);
+  if (docker.project !== undefined) return cb(docker.project);
+  dockerJson(`/v1.41/containers/${encodeURIComponent(os.hostname())}/json`, 'GET', (err, status, j)=>{
+    if (err) return cb(null);   // socket trouble: ask again next time
+    docker.project = (status === 200 && j && j.Config && j.Config.Labels && j.Config.Labels['com.docker.compose.project']) || null;
+    cb(docker.project);
+  });
+}
+
+// all=1 so a stopped container can still be inspected/started; running ones win.
+// Matches the compose service label within our project, else a container named exactly
+// like the service; never a substring (e.g. "code" must not hit "codestrap-splash").
+function resolveContainerId(service, cb){
+  if (!docker.enabled || !service) return cb(new Error('logs disabled'), null);
+  if (docker.containerIds.has(service)) return cb(null, docker.containerIds.get(service));
+  composeProject(project => {
+    const label = [`com.docker.compose.service=${service}`];
+    if (project) label.push(`com.docker.compose.project=${project}`);
+    dockerJson(`/v1.41/containers/json?all=1&filters=${jsonEncodeFilters({ label })}`, 'GET', (err, status, arr)=>{
+      if (err) return cb(err);
+      if (status >= 400 || !Array.isArray(arr)) return cb(new Error(`docker container list HTTP ${status}`));
+      const projects = new Set(arr.map(c => (c.Labels || {})['com.docker.compose.project']));
+      if (projects.size > 1) return cb(new Error(`service '${service}' exists in several compose projects (set COMPOSE_PROJECT)`));
+      const use = id => { docker.containerIds.set(service, id); cb(null, id); };
+      if (arr.length) return use((arr.find(c => c.State === 'running') || arr[0]).Id);
+      dockerJson(`/v1.41/containers/json?all=1&filters=${jsonEncodeFilters({ name: [`^/${service}$`] })}`, 'GET', (e2, s2, all)=>{
+        if (e2) return cb(e2);
+        const hit = Array.isArray(all) && all.find(c => Array.isArray(c.Names) && c.Names.includes(`/${service}`));
+        if (hit) use(hit.Id); else cb(new Error('no container matched service'), null);
+      });
+    });
+  });
+}
+/* --------------------- container lifecycle (admin) --------------------- */
+const CONTAINER_ACTIONS = ['restart', 'stop', 'start'];
+docker.actions = new Map();   // service → lifecycle actions issued through the proxy since it started
+
+function dockerJson(path, method, cb){
+  dockerRequest(path, method, {}, (err, res)=>{
     if (err) return cb(err);
     let body=''; res.setEncoding('utf8');
     res.on('data', c=>body+=c);
     res.on('end', ()=>{
-      try{
-        let arr = JSON.parse(body);
-        if (!Array.isArray(arr) || arr.length===0) {
-          dockerRequest(`/v1.41/containers/json?all=0`, 'GET', {}, (e2, r2)=>{
-            if (e2) return cb(e2);
-            let b2=''; r2.setEncoding('utf8'); r2.on('data',c=>b2+=c);
-            r2.on('end', ()=>{
-              try{
-                const all = JSON.parse(b2);
-                const hit = all.find(c =>
-                  (c.Labels && c.Labels['com.docker.compose.service'] === CODE_SERVICE_NAME) ||
-                  (Array.isArray(c.Names) && c.Names.some(n=>n.includes(`/${CODE_SERVICE_NAME}`)))
-                );
-                if (hit){ docker.containerId = hit.Id; cb(null, docker.containerId); }
-                else cb(new Error('no container matched service'), null);
-              }catch(e){ cb(e); }
-            });
-          });
-          return;
-        }
-        docker.containerId = arr[0].Id; cb(null, docker.containerId);
-      }catch(e){ cb(e); }
+      let j = null; try { j = body ? JSON.parse(body) : null; } catch (_) {}
+      cb(null, res.statusCode, j);
     });
   });
 }
+
+// Retries once with a fresh id when compose recreated the container (cached id → 404).
+function withCodeContainer(up, fn, cb, retried){
+  resolveContainerId(up.service, (err, id)=>{
+    if (err || !id) return cb(err || new Error('container not found'));
+    fn(id, (e, status, j)=>{
+      if (!e && status === 404 && !retried) { docker.containerIds.delete(up.service); return withCodeContainer(up, fn, cb, true); }
+      cb(e, status, j, id);
+    });
+  });
+}
+
+function containerSummary(up, j){
+  const st = (j && j.State) || {};
+  const started = Date.parse(st.StartedAt || '');
+  const h = st.Health;
+  const last = h && Array.isArray(h.Log) && h.Log.length ? h.Log[h.Log.length - 1] : null;
+  return {
+    id: String(j.Id || '').slice(0, 12),
+    name: String(j.Name || '').replace(/^\//, ''),
+    image: (j.Config && j.Config.Image) || null,
+    status: st.Status || 'unknown',
+    running: !!st.Running,
+    restarting: !!st.Restarting,
+    health: h ? {
+      status: h.Status, failingStreak: h.FailingStreak || 0,
+      last: last ? { exitCode: last.ExitCode, end: last.End, output: String(last.Output || '').trim().slice(-500) } : null
+    } : null,
+    startedAt: st.StartedAt || null,
+    finishedAt: st.FinishedAt && !/^0001-/.test(st.FinishedAt) ? st.FinishedAt : null,
+    uptimeSec: st.Running && !isNaN(started) ? Math.max(0, Math.floor((Date.now() - started) / 1000)) : 0,
+    exitCode: st.Running ? null : (st.ExitCode !== undefined ? st.ExitCode : null),
+    restartCount: j.RestartCount || 0,   // by docker's restart policy
+    proxyActions: docker.actions.get(up.service) || 0,   // restart/stop/start issued here
+    upstream: { name: up.name, host: up.host, port: up.port, service: up.service }
+  };
+}
+
+function inspectCodeContainer(up, cb){
+  withCodeContainer(up, (id, done)=> dockerJson(`/v1.41/containers/${encodeURIComponent(id)}/json`, 'GET', done), (e, status, j)=>{
+    if (e) return cb(e);
+    if (status >= 400 || !j) return cb(new Error((j && j.message) || `docker inspect HTTP ${status}`));
+    cb(null, containerSummary(up, j));
+  });
+}
+
+// 204 = done, 304 = already in that state.
+function codeContainerAction(up, action, timeoutSec, cb){
+  const qs = action === 'start' ? '' : `?t=${timeoutSec}`;
+  withCodeContainer(up, (id, done)=> dockerJson(`/v1.41/containers/${encodeURIComponent(id)}/${action}${qs}`, 'POST', done), (e, status, j)=>{
+    if (e) return cb(e);
+    if (status >= 400) return cb(new Error((j && j.message) || `docker ${action} HTTP ${status}`));
+    if (status === 304) return cb(null, 'noop');
+    docker.actions.set(up.service, (docker.actions.get(up.service) || 0) + 1);
+    cb(null, 'done');
+  });
+}
+
+/* --------------------- Docker log records --------------------- */
+// onLine(text, 'stdout'|'stderr'); TTY containers have no frame headers (all stdout).
 function createDockerDemux(onLine){
   let buf = Buffer.alloc(0), assumeTTY=false, badHeaders=0;
-  function emitText(b){ b.toString('utf8').split(/\r?\n/).forEach(l=>{ if(l.length) onLine(l); }); }
+  function emitText(b){ b.toString('utf8').split(/\r?\n/).forEach(l=>{ if(l.length) onLine(l, 'stdout'); }); }
   return function onChunk(chunk){
     if (assumeTTY){ emitText(chunk); return; }
     buf = Buffer.concat([buf, chunk]);
@@ -131,34 +891,138 @@ function createDockerDemux(onLine){
       if (length > 10*1024*1024){ badHeaders++; if (badHeaders>=2){ assumeTTY=true; emitText(buf); buf=Buffer.alloc(0);} break; }
       if (buf.length < 8 + length) break;
       const payload = buf.subarray(8, 8+length);
-      const prefix = stream===2 ? '[stderr] ' : '';
-      payload.toString('utf8').split(/\r?\n/).forEach(l=>{ if(l.length) onLine(prefix+l); });
+      const name = stream===2 ? 'stderr' : 'stdout';
+      payload.toString('utf8').split(/\r?\n/).forEach(l=>{ if(l.length) onLine(l, name); });
       buf = buf.subarray(8+length);
     }
   };
 }
-function fetchDockerLogsTail(containerId, tail, cb){
-  const p = `/v1.41/containers/${encodeURIComponent(containerId)}/logs?stdout=1&stderr=1&tail=${tail||200}`;
-  dockerRequest(p, 'GET', {}, (err, res)=>{
+
+// Structured record for one docker log line (requested with timestamps=1):
+//   { t, stream, level, tag, msg }
+// "[codestrap][ERROR] …" / "[Extensions][WARN] …" (codestrap.sh warn/err) set tag + level;
+// otherwise ERROR/FATAL/WARN(ING) words decide, defaulting to info.
+function parseCodeLogLine(line, stream){
+  let t = null, msg = line;
+  const m = /^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?(?:Z|[+-]\d\d:\d\d)) (.*)$/.exec(line);
+  if (m) { t = m[1]; msg = m[2]; }
+  let level = 'info', tag = null;
+  const tm = /^\[([A-Za-z0-9_. -]+)\](?:\[(ERROR|WARN|INFO)\])?/.exec(msg);
+  if (tm) { tag = tm[1]; if (tm[2]) level = tm[2].toLowerCase(); }
+  if (!tm || !tm[2]) {
+    if (/\b(ERROR|FATAL|Error:)|\berror\b:/.test(msg)) level = 'error';
+    else if (/\bWARN(ING)?\b|\bwarn(ing)?:/.test(msg)) level = 'warn';
+  }
+  return { t, stream, level, tag, msg };
+}
+function formatCodeLogRecord(r){ return (r.stream === 'stderr' ? '[stderr] ' : '') + r.msg; }
+
+// Shared query for /__code_logs, /__code_events and /__code_logs/download:
+//   tail (lines, or "all"), since (see parseLogTime), stream=stdout|stderr, grep, level.
+// Returns { opts } or { error }.
+function parseCodeLogQuery(q, { tail = 200, since = null, admin = false } = {}){
+  const opts = { tail, since, stdout: true, stderr: true, grep: null, level: 0 };
+  if (q.tail !== undefined && q.tail !== '') {
+    if (q.tail === 'all') opts.tail = 'all';
+    else if (/^\d+$/.test(String(q.tail))) opts.tail = Math.min(100000, +q.tail);
+    else return { error: 'tail: expected a line count or "all"' };
+  }
+  if (q.since !== undefined && q.since !== '') {
+    const t = parseLogTime(q.since);
+    if (t === null || Number.isNaN(t)) return { error: 'since: expected an ISO time, unix seconds or an age like 15m' };
+    opts.since = Math.floor(t / 1000);
+  }
+  if (q.stream) {
+    if (q.stream !== 'stdout' && q.stream !== 'stderr') return { error: 'stream: expected stdout or stderr' };
+    opts.stdout = q.stream === 'stdout'; opts.stderr = q.stream === 'stderr';
+  }
+  if (q.level) {
+    if (!(q.level in LOG_LEVELS)) return { error: `level: expected one of ${Object.keys(LOG_LEVELS).join(', ')}` };
+    opts.level = LOG_LEVELS[q.level];
+  }
+  try { opts.grep = compileGrep(q.grep, admin); } catch (e) { return { error: `grep: ${e.message}` }; }
+  return { opts };
+}
+function codeLogMatches(r, opts){
+  return (LOG_LEVELS[r.level] || 0) >= opts.level && (!opts.grep || opts.grep.test(r.msg));
+}
+function dockerLogsPath(containerId, opts, follow){
+  const qs = [`stdout=${opts.stdout ? 1 : 0}`, `stderr=${opts.stderr ? 1 : 0}`, 'timestamps=1'];
+  if (follow) qs.push('follow=1');
+  if (opts.tail !== null && opts.tail !== undefined) qs.push(`tail=${opts.tail}`);
+  if (opts.since) qs.push(`since=${Math.max(0, opts.since|0)}`);
+  return `/v1.41/containers/${encodeURIComponent(containerId)}/logs?${qs.join('&')}`;
+}
+
+// tail/since select lines on the docker side; grep/level filter what comes back.
+function fetchDockerLogRecords(containerId, opts, cb){
+  dockerRequest(dockerLogsPath(containerId, opts, false), 'GET', {}, (err, res)=>{
     if (err) return cb(err);
-    const chunks=[]; const demux=createDockerDemux(line=>chunks.push(line));
+    if (res.statusCode >= 400) { res.resume(); return cb(new Error(`docker logs HTTP ${res.statusCode}`)); }
+    const out=[];
+    const demux=createDockerDemux((line, stream)=>{ const r = parseCodeLogLine(line, stream); if (codeLogMatches(r, opts)) out.push(r); });
     res.on('data', chunk=>demux(chunk));
-    res.on('end', ()=> cb(null, chunks.join('\n') + (chunks.length?'\n':'')));
+    res.on('end', ()=> cb(null, out));
   });
 }
-function streamDockerLogs(containerId, res, sinceSec){
-  const since = Math.max(0, sinceSec|0);
-  const path = `/v1.41/containers/${encodeURIComponent(containerId)}/logs?stdout=1&stderr=1&follow=1&since=${since}`;
-  dockerRequest(path, 'GET', {}, (err, dres)=>{
+// NDJSON attachment (gzipped with gz): meta line, records, { end: { count } }. Written as
+// docker delivers the lines, pausing docker while the client catches up.
+function downloadDockerLogs(containerId, res, opts, { gz, filename, meta }){
+  dockerRequest(dockerLogsPath(containerId, opts, false), 'GET', {}, (err, dres)=>{
+    if (err) return sendJson(res, 500, { error: `error reading logs: ${err.message}` });
+    if (dres.statusCode >= 400) { dres.resume(); return sendJson(res, 500, { error: `error reading logs: docker logs HTTP ${dres.statusCode}` }); }
+    res.writeHead(200, {
+      'content-type': gz ? 'application/gzip' : 'application/x-ndjson; charset=utf-8',
+      'content-disposition': `attachment; filename="${filename}"`,
+      'cache-control': 'no-store'
+    });
+    const out = gz ? zlib.createGzip() : res;
+    if (gz) out.pipe(res);
+    let count = 0, paused = false;
+    const put = obj => {
+      if (out.write(JSON.stringify(obj) + '\n') || paused) return;
+      paused = true; dres.pause();
+      out.once('drain', ()=>{ paused = false; dres.resume(); });
+    };
+    put(meta);
+    const demux = createDockerDemux((line, stream)=>{
+      const r = parseCodeLogLine(line, stream);
+      if (codeLogMatches(r, opts)) { count++; put(r); }
+    });
+    dres.on('data', chunk=>demux(chunk));
+    dres.on('end', ()=> out.end(JSON.stringify({ end: { count } }) + '\n'));
+    dres.on('error', ()=>{ try{ res.destroy(); }catch(_){ } });
+    res.on('close', ()=>{ try{ dres.destroy(); if (gz) out.destroy(); }catch(_){ } });
+  });
+}
+// SSE: "data: <text line>" by default, JSON records (event "log") with asJson.
+function streamDockerLogs(containerId, res, opts, asJson){
+  dockerRequest(dockerLogsPath(containerId, opts, true), 'GET', {}, (err, dres)=>{
     if (err || dres.statusCode >= 400) { res.write(`data: [codelogs] error starting stream\n\n`); return; }
-    const demux=createDockerDemux(line=>{ res.write(`data: ${line.replace(/\r?\n/g,' ')}\n\n`); });
+    const demux=createDockerDemux((line, stream)=>{
+      const r = parseCodeLogLine(line, stream);
+      if (!codeLogMatches(r, opts)) return;
+      if (asJson) res.write(`event: log\ndata: ${JSON.stringify(r)}\n\n`);
+      else res.write(`data: ${formatCodeLogRecord(r).replace(/\r?\n/g,' ')}\n\n`);
+    });
     dres.on('data', chunk=>demux(chunk));
     dres.on('end',  ()=>{ try{res.write(`data: [codelogs] ended\n\n`);}catch(_){ } });
+    res.on('close', ()=>{ try{dres.destroy();}catch(_){ } });
   });
 }
 
 /* --------------------- splash (503) --------------------- */
-function makeSplashHtml() {
+const SPLASH_RESTART_AFTER_MS = +(process.env.SPLASH_RESTART_AFTER_MS || 60000);
+
+// The restart button needs the docker socket and an admin token (asked for on click).
+function makeSplashHtml(up) {
+  const st = upstreamState(up);
+  const restart = {
+    enabled: dockerAvailable(up) && !!ADMIN_TOKEN,
+    afterMs: SPLASH_RESTART_AFTER_MS,
+    downForMs: st.downSince ? Date.now() - st.downSince : 0,
+    upstream: upstreamTable().multi ? up.name : ''
+  };
   return `<!doctype html><meta charset="utf-8">
 <title>Codestrap — connecting…</title>
 <meta name="viewport" content="width=device-width,initial-scale=1">
@@ -180,6 +1044,10 @@ pre{margin:0;padding:12px 14px;border-top:1px solid #374151;max-height:300px;ove
 kbd{background:#111827;border:1px solid #374151;border-radius:6px;padding:2px 6px;font-family:ui-monospace,SFMono-Regular,Menlo,monospace}
 .chev{display:inline-block;transition:transform .15s ease}
 details[open] .chev{transform:rotate(90deg)}
+.restart{margin-top:14px;display:flex;gap:8px;justify-content:center;align-items:center;flex-wrap:wrap}
+.restart input{background:#0b1220;color:#e5e7eb;border:1px solid #374151;border-radius:8px;padding:7px 10px;font:inherit;font-size:13px}
+.restart button{background:#b91c1c;color:#fff;border:0;border-radius:8px;padding:8px 14px;font:inherit;font-size:14px;cursor:pointer}
+.restart button:disabled{opacity:.6;cursor:default}
 
 /* dot animation */
 .tip-line{display:inline-flex;align-items:baseline;gap:.15rem}
@@ -201,6 +1069,11 @@ details[open] .chev{transform:rotate(90deg)}
     <span id="tip-base">Starting services</span>
     <span class="dots" aria-hidden="true"><span>.</span><span>.</span><span>.</span></span>
   </div>
+  <div class="restart" id="restart-box" hidden>
+    <input type="password" id="restart-token" placeholder="Admin token" autocomplete="off">
+    <button type="button" id="restart-btn">Restart code-server</button>
+    <span class="small" id="restart-msg"></span>
+  </div>
   <div class="container">
     <details class="card" id="logsbox">
       <summary class="head">
@@ -211,6 +1084,7 @@ details[open] .chev{transform:rotate(90deg)}
     </details>
     <div class="small" style="opacity:.65;margin-top:10px">
       This page auto-reloads when code-server is ready. You can also press <kbd>⌘/Ctrl</kbd>+<kbd>R</kbd>.
+      <a href="/__code_logs/download?format=gzip" style="color:inherit">Download logs</a> for a bug report.
     </div>
   </div>
 </div>
@@ -222,6 +1096,31 @@ details[open] .chev{transform:rotate(90deg)}
   const logEl = document.getElementById('log');
   const statusEl = document.getElementById('log-status');
   const logsBox = document.getElementById('logsbox');
+  const RESTART = ${JSON.stringify(restart)};
+  const restartBox = document.getElementById('restart-box');
+  const restartBtn = document.getElementById('restart-btn');
+  const restartTok = document.getElementById('restart-token');
+  const restartMsg = document.getElementById('restart-msg');
+
+  // Offered only once code-server has been down for RESTART.afterMs.
+  if (RESTART.enabled && restartBox) {
+    setTimeout(()=>{ restartBox.hidden = false; }, Math.max(0, RESTART.afterMs - RESTART.downForMs));
+    restartBtn.addEventListener('click', async ()=>{
+      const tok = restartTok.value.trim();
+      if (!tok) { restartMsg.textContent = 'Enter the admin token (PROXY_ADMIN_TOKEN).'; restartTok.focus(); return; }
+      restartBtn.disabled = true; restartMsg.textContent = 'Restarting…';
+      try {
+        const r = await fetch('/__api/container/restart' + (RESTART.upstream ? '?upstream=' + encodeURIComponent(RESTART.upstream) : ''), { method:'POST', headers:{ authorization:'Bearer ' + tok }, cache:'no-store' });
+        const j = await r.json().catch(()=>({}));
+        if (r.ok) {
+          restartMsg.textContent = 'Restart requested — waiting for code-server…';
+        } else {
+          restartMsg.textContent = r.status === 401 ? 'Wrong admin token.' : ('Restart failed: ' + (j.error || r.status));
+          restartBtn.disabled = false;
+        }
+      } catch (e) { restartMsg.textContent = 'Restart failed: ' + e.message; restartBtn.disabled = false; }
+    });
+  }
 
   function setTipBase(t){ if(tipBaseEl) tipBaseEl.textContent = t; }
   function setStatus(t){ if(statusEl) statusEl.textContent=t; }
@@ -248,49 +1147,1074 @@ details[open] .chev{transform:rotate(90deg)}
       const es = new EventSource('/__code_events');
       es.addEventListener('message', ev => { addLines(ev.data + "\\n"); });
       es.onopen = ()=> setStatus('live');
-      es.onerror = ()=> setStatus('disconnected (retrying…)');
+      es.onerror = ()=> setStatus(es.readyState === 2 ? 'unavailable' : 'disconnected (retrying…)');
     } catch (_) { setStatus('unavailable'); }
   });
-
-  async function ping(){
-    try{
-      const res = await fetch('/__up?ts=' + Date.now(), {cache:'no-store', credentials:'same-origin'});
-      if (res.ok) { setTipBase('Ready! Loading…'); location.replace(original); return; }
-    }catch(e){}
-    const jitter = Math.random() * 150;
-    delay = Math.min(maxDelay, Math.round(delay * 1.6) + jitter);
-    setTimeout(ping, delay);
-  }
-  setTimeout(ping, delay);
-})();
-</script>`;
+
+  async function ping(){
+    try{
+      const res = await fetch('/__up?ts=' + Date.now(), {cache:'no-store', credentials:'same-origin'});
+      if (res.ok) { setTipBase('Ready! Loading…'); location.replace(original); return; }
+    }catch(e){}
+    const jitter = Math.random() * 150;
+    delay = Math.min(maxDelay, Math.round(delay * 1.6) + jitter);
+    setTimeout(ping, delay);
+  }
+  setTimeout(ping, delay);
+})();
+</script>`;
+}
+
+/* --------------------- helpers --------------------- */
+
+function noStoreHeaders(extra = {}) {
+  return Object.assign({
+    'content-type': 'text/html; charset=utf-8',
+    'cache-control': 'no-store, no-cache, must-revalidate, max-age=0',
+    'pragma': 'no-cache',
+    'expires': '0',
+    'retry-after': '1'
+  }, extra);
+}
+
+// payload helpers
+function parseProfileFromPayload(u){
+  if (!u || !u.query || !u.query.payload) return null;
+  try{
+    const raw = Array.isArray(u.query.payload) ? u.query.payload[0] : u.query.payload;
+    const decoded = decodeURIComponent(raw);
+    const a = JSON.parse(decoded);
+    if (Array.isArray(a) && Array.isArray(a[0]) && a[0][0]==='profile') return String(a[0][1]||'');
+  }catch(_){}
+  return null;
+}
+function makePayloadFor(profile){
+  return encodeURIComponent(JSON.stringify([["profile", profile]]));
+}
+
+function sendJson(res, status, obj, extra = {}){
+  res.writeHead(status, Object.assign({'content-type':'application/json; charset=utf-8','cache-control':'no-store'}, extra));
+  res.end(JSON.stringify(obj));
+}
+const JSON_BODY_LIMIT = 1024 * 1024;   // JSON request bodies (admin API, /__ensure_profile_dirs)
+function readBody(req, limit, cb){
+  let body = '', over = false;
+  req.setEncoding('utf8');
+  req.on('data', c => { if (over) return; body += c; if (body.length > limit) { over = true; cb(new Error('body too large')); } });
+  req.on('end', () => { if (!over) cb(null, body); });
+}
+// Only same-origin paths are valid redirect targets.
+function safeNext(n){
+  n = String(n || '/');
+  return (n.startsWith('/') && !n.startsWith('//') && !n.startsWith('/\\')) ? n : '/';
+}
+function htmlEsc(s){
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
+// Enough for attribute values (entities upstream pages actually use in <meta content>).
+function htmlUnesc(s){
+  return String(s).replace(/&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|(amp|lt|gt|quot|apos));/gi, (m, dec, hex, name) => {
+    if (name) return ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" })[name.toLowerCase()];
+    const cp = dec ? +dec : parseInt(hex, 16);
+    return cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+  });
+}
+
+/* --------------------- profile auth (scrypt + signed session) --------------------- */
+// Profile names become path segments below PROFILES_DIR / PROFILE_AUTH_BASE.
+function isValidProfileName(name){
+  return typeof name === 'string' && /^[A-Za-z0-9._-]{1,64}$/.test(name) && !/^\.+$/.test(name);
+}
+function readProfileJson(name){
+  if (!isValidProfileName(name)) return null;
+  try { return JSON.parse(fs.readFileSync(profileJsonPath(name), 'utf8')); }
+  catch(_) { return null; }
+}
+function profileRequiresAuth(name){
+  const prof = readProfileJson(name);
+  return !!(prof && prof.auth === true);
+}
+function authFilePath(name){
+  return path.join(PROFILE_AUTH_BASE, name, 'auth', `${name}.auth.json`);
+}
+function readAuthFile(name){
+  if (!isValidProfileName(name)) return null;
+  try { return JSON.parse(fs.readFileSync(authFilePath(name), 'utf8')); }
+  catch(_) { return null; }
+}
+
+// Verify against the record written by codestrap.sh (_seed_profile_auth_json).
+function verifyProfilePassword(name, password, cb){
+  const a = readAuthFile(name);
+  if (!a || a.algo !== 'scrypt' || !a.salt || !a.hash) return cb(new Error('no credentials for profile'), false);
+  const N = +a.N || 16384, r = +a.r || 8, p = +a.p || 1, dkLen = +a.dkLen || 64;
+  const expected = Buffer.from(String(a.hash), 'hex');
+  crypto.scrypt(String(password || ''), Buffer.from(String(a.salt), 'hex'), dkLen, { N, r, p, maxmem: 256 * N * r }, (err, dk)=>{
+    if (err) return cb(err, false);
+    cb(null, expected.length === dk.length && crypto.timingSafeEqual(expected, dk));
+  });
+}
+
+// Seeded credentials carry requiresChange/defaultSeed until the user picks their own.
+function authNeedsChange(name){
+  const a = readAuthFile(name);
+  return !!(a && (a.requiresChange || a.defaultSeed));
+}
+function setProfilePassword(name, password, cb){
+  const prev = readAuthFile(name) || {};
+  const N = +prev.N || 16384, r = +prev.r || 8, p = +prev.p || 1, dkLen = +prev.dkLen || 64;
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(String(password), Buffer.from(salt, 'hex'), dkLen, { N, r, p, maxmem: 256 * N * r }, (err, dk)=>{
+    if (err) return cb(err);
+    const file = authFilePath(name);
+    const out = { user: prev.user || name, algo: 'scrypt', salt, hash: dk.toString('hex'), N, r, p, dkLen, changedAt: new Date().toISOString() };
+    const tmp = `${file}.tmp-${process.pid}`;
+    try {
+      let st = null; try { st = fs.statSync(file); } catch(_) {}
+      fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o750 });
+      fs.writeFileSync(tmp, JSON.stringify(out, null, 2), { mode: 0o640 });
+      if (st) { try { fs.chownSync(tmp, st.uid, st.gid); } catch(_) {} }
+      fs.renameSync(tmp, file);
+      cb(null);
+    } catch (e) {
+      try { fs.unlinkSync(tmp); } catch(_) {}
+      cb(e);
+    }
+  });
+}
+
+function loadSessionSecret(){
+  if (process.env.SESSION_SECRET) return Buffer.from(process.env.SESSION_SECRET, 'utf8');
+  const keyFile = path.join(PROXY_STATE_DIR, 'session.key');
+  try {
+    const hex = fs.readFileSync(keyFile, 'utf8').trim();
+    if (/^[0-9a-f]{64,}$/i.test(hex)) return Buffer.from(hex, 'hex');
+  } catch(_) {}
+  const key = crypto.randomBytes(32);
+  try {
+    fs.mkdirSync(PROXY_STATE_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, key.toString('hex') + '\n', { mode: 0o600 });
+  } catch (e) {
+    pushLog(`[auth] cannot persist session key (${e.message}); sessions reset on restart`);
+  }
+  return key;
+}
+let sessionSecret = null;
+
+function b64url(buf){ return Buffer.from(buf).toString('base64').replace(/=+$/,'').replace(/\+/g,'-').replace(/\//g,'_'); }
+function signSession(data){
+  const body = b64url(JSON.stringify(data));
+  const mac = b64url(crypto.createHmac('sha256', sessionSecret).update(body).digest());
+  return `${body}.${mac}`;
+}
+function verifySessionToken(tok){
+  const i = String(tok || '').lastIndexOf('.');
+  if (i <= 0) return null;
+  const body = tok.slice(0, i), mac = Buffer.from(tok.slice(i+1));
+  const want = Buffer.from(b64url(crypto.createHmac('sha256', sessionSecret).update(body).digest()));
+  if (mac.length !== want.length || !crypto.timingSafeEqual(mac, want)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(body.replace(/-/g,'+').replace(/_/g,'/'), 'base64').toString('utf8'));
+    if (!data || !Array.isArray(data.p) || !(data.exp > Date.now())) return null;
+    return data;
+  } catch(_) { return null; }
+}
+function parseCookies(req){
+  const out = {};
+  String(req.headers.cookie || '').split(';').forEach(part=>{
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0,i).trim()] = part.slice(i+1).trim();
+  });
+  return out;
+}
+function getSession(req){ return verifySessionToken(parseCookies(req)[SESSION_COOKIE]); }
+function sessionCovers(sess, name){ return !!(sess && sess.p.includes(name)); }
+// Routing profile of this session when it requires auth the session does not hold.
+function sessionProfileLocked(req){
+  const sess = getSession(req);
+  return !!(sess && sess.cur && profileRequiresAuth(sess.cur) && !sessionCovers(sess, sess.cur));
+}
+// Once any profile has "auth": true, upstream is only reachable with a signed session
+// (the shell gate hands one out); cached until a profile file changes.
+let authProfilesCache = null;   // { key, any }
+function authProfilesExist(){
+  let names;
+  try { names = listProfileNames(); } catch (_) { names = []; }
+  const key = names.map(n => `${n}=${fileKey(profileJsonPath(n))}`).join('|');
+  if (!authProfilesCache || authProfilesCache.key !== key) authProfilesCache = { key, any: names.some(profileRequiresAuth) };
+  return authProfilesCache.any;
+}
+function sessionRequired(req){ return !getSession(req) && authProfilesExist(); }
+
+// Marks `name` as the caller's current profile and (unless unlock is false)
+// adds it to the profiles their session covers; returns a Set-Cookie value
+// with a fresh expiry.
+function sessionCookieWith(req, name, { unlock = true } = {}){
+  const prev = getSession(req);
+  const profiles = prev ? prev.p.filter(n => n !== name) : [];
+  if (unlock || (prev && prev.p.includes(name))) profiles.push(name);
+  const tok = signSession({ p: profiles, cur: name, iat: Date.now(), exp: Date.now() + SESSION_TTL_MS });
+  const secure = forwardedProto(req) === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${tok}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(SESSION_TTL_MS/1000)}${secure}`;
+}
+
+/* --------------------- policies (lib/policies.js) --------------------- */
+function currentPolicies(){ return loadPolicies(POLICIES_FILE); }
+
+// Profile this browser is held to, or null when it may pick freely.
+function lockedProfile(req){
+  if (policyAllows('allow-profiles-change', currentPolicies())) return null;
+  const sess = getSession(req);
+  return (sess && sess.cur) || null;
+}
+
+// First pick is always allowed; afterwards only the signed session's profile.
+function profileChangeAllowed(req, name){
+  const cur = lockedProfile(req);
+  return !cur || cur === name;
+}
+
+/* --------------------- brute-force guard (attempt counters + lockout) --------------------- */
+// Counters are keyed "ip:<addr>" or "profile:<name>". After `free`
+// failures inside `windowMs`, each further failure locks the key for
+// LOCK_BASE_MS * 2^(n-free), capped at LOCK_MAX_MS. State survives restarts.
+const LOCKOUT_FILE      = path.join(PROXY_STATE_DIR, 'lockouts.json');
+const AUTH_FREE_ATTEMPTS = +(process.env.AUTH_FREE_ATTEMPTS || 5);
+const AUTH_WINDOW_MS     = +(process.env.AUTH_WINDOW_MS || 15 * 60 * 1000);
+const LOCK_BASE_MS       = +(process.env.AUTH_LOCK_BASE_MS || 30 * 1000);
+const LOCK_MAX_MS        = +(process.env.AUTH_LOCK_MAX_MS || 60 * 60 * 1000);
+const DIRS_PER_MIN       = +(process.env.ENSURE_DIRS_PER_MIN || 30);
+
+let attempts = {};
+let attemptsSaveTimer = null;
+function loadLockouts(){
+  try {
+    const j = JSON.parse(fs.readFileSync(LOCKOUT_FILE, 'utf8'));
+    const now = Date.now();
+    for (const [k, v] of Object.entries(j || {})) {
+      if (v && typeof v.fails === 'number' && (v.lockedUntil > now || now - v.last < AUTH_WINDOW_MS)) attempts[k] = v;
+    }
+  } catch(_) { attempts = {}; }
+}
+function saveLockouts(){
+  if (attemptsSaveTimer) return;
+  attemptsSaveTimer = setTimeout(()=>{
+    attemptsSaveTimer = null;
+    const tmp = `${LOCKOUT_FILE}.tmp-${process.pid}`;
+    try {
+      fs.mkdirSync(PROXY_STATE_DIR, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(tmp, JSON.stringify(attempts), { mode: 0o600 });
+      fs.renameSync(tmp, LOCKOUT_FILE);
+    } catch (e) { pushLog(`[lockout] cannot persist state: ${e.message}`); }
+  }, 250);
+  attemptsSaveTimer.unref();
+}
+function lockRemainingMs(keys){
+  const now = Date.now();
+  let wait = 0;
+  for (const k of keys) { const a = attempts[k]; if (a && a.lockedUntil > now) wait = Math.max(wait, a.lockedUntil - now); }
+  return wait;
+}
+function noteFailure(keys, { free = AUTH_FREE_ATTEMPTS, windowMs = AUTH_WINDOW_MS, what = 'auth' } = {}){
+  const now = Date.now();
+  for (const k of keys) {
+    let a = attempts[k];
+    if (!a || (now - a.last > windowMs && !(a.lockedUntil > now))) a = attempts[k] = { fails: 0, lockedUntil: 0, last: now };
+    a.fails++; a.last = now;
+    if (a.fails >= free) {
+      const ms = Math.min(LOCK_MAX_MS, LOCK_BASE_MS * Math.pow(2, a.fails - free));
+      a.lockedUntil = now + ms;
+      pushLog(`[lockout] ${k} locked for ${Math.ceil(ms/1000)}s after ${a.fails} ${what} attempts`);
+    }
+  }
+  saveLockouts();
+}
+function noteSuccess(keys){
+  let changed = false;
+  for (const k of keys) if (attempts[k]) { delete attempts[k]; changed = true; }
+  if (changed) saveLockouts();
+}
+
+// Plain fixed-window request budget (no backoff, not persisted) for endpoints that are
+// merely chatty rather than guessable. Returns the seconds to wait, or 0.
+const rateWindows = new Map();
+function rateLimitWait(key, perMin){
+  const now = Date.now();
+  let w = rateWindows.get(key);
+  if (!w || now - w.start >= 60 * 1000) rateWindows.set(key, w = { start: now, n: 0 });
+  if (++w.n <= perMin) return 0;
+  return Math.ceil((w.start + 60 * 1000 - now) / 1000);
+}
+setInterval(()=>{
+  const now = Date.now();
+  for (const [k, w] of rateWindows) if (now - w.start >= 60 * 1000) rateWindows.delete(k);
+}, 60 * 1000).unref();
+
+/* --------------------- forwarded headers --------------------- */
+// Both the HTTP and the WebSocket path forward req.rawHeaders as they came in (duplicates and
+// casing intact) minus hop-by-hop headers, then append X-Forwarded-For/-Proto/-Host.
+// Incoming X-Forwarded-* / Forwarded / X-Real-IP are only believed from TRUSTED_PROXIES
+// (comma-separated IPs or CIDRs, e.g. "172.16.0.0/12,127.0.0.1"); from anyone else they
+// are dropped so a client cannot pick its own IP for lockouts and logs.
+const HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer'];
+const FORWARDED_HEADERS = ['x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host', 'forwarded', 'x-real-ip'];
+// Comma-separated IPs/CIDRs from env `name` as a BlockList (null when empty).
+function ipListFromEnv(name){
+  const list = new net.BlockList();
+  let n = 0;
+  String(process.env[name] || '').split(',').map(x => x.trim()).filter(Boolean).forEach(entry => {
+    const [addr, bits] = entry.split('/');
+    const type = net.isIPv6(addr) ? 'ipv6' : net.isIPv4(addr) ? 'ipv4' : null;
+    const max = type === 'ipv6' ? 128 : 32;
+    if (!type || (bits !== undefined && !(/^\d+$/.test(bits) && +bits <= max))) {
+      pushLog(`[proxy][WARN] ${name}: ignoring '${entry}' (expected an IP or CIDR)`, 'warn');
+      return;
+    }
+    if (bits === undefined) list.addAddress(addr, type); else list.addSubnet(addr, +bits, type);
+    n++;
+  });
+  return n ? list : null;
+}
+function ipListed(list, ip){
+  if (!list || !ip) return false;
+  const type = net.isIPv6(ip) ? 'ipv6' : net.isIPv4(ip) ? 'ipv4' : null;
+  return !!type && list.check(ip, type);
+}
+const trustedProxies = ipListFromEnv('TRUSTED_PROXIES');
+
+function normalizeIp(ip){ return String(ip || '').trim().replace(/^::ffff:/, ''); }
+function peerIp(req){ return normalizeIp(req.socket?.remoteAddress); }
+function isTrustedProxy(ip){ return ipListed(trustedProxies, ip); }
+function rawHeaderValues(req, name){
+  const raw = req.rawHeaders || [], out = [];
+  for (let i = 0; i < raw.length; i += 2) if (raw[i].toLowerCase() === name) out.push(raw[i + 1]);
+  return out;
+}
+function forwardedForChain(req){
+  return rawHeaderValues(req, 'x-forwarded-for').join(',').split(',').map(normalizeIp).filter(Boolean);
+}
+// Right-most address not added by a trusted proxy; the socket peer without TRUSTED_PROXIES.
+function clientIp(req){
+  if (req.csClientIp !== undefined) return req.csClientIp;
+  let ip = peerIp(req);
+  if (isTrustedProxy(ip)) {
+    const chain = forwardedForChain(req);
+    while (chain.length && isTrustedProxy(ip)) {
+      const next = chain.pop();
+      if (!net.isIP(next)) break;
+      ip = next;
+    }
+  }
+  return (req.csClientIp = ip);
+}
+function forwardedProto(req){
+  if (isTrustedProxy(peerIp(req))) {
+    const v = String(rawHeaderValues(req, 'x-forwarded-proto')[0] || '').split(',')[0].trim().toLowerCase();
+    if (v === 'http' || v === 'https') return v;
+  }
+  return req.socket?.encrypted ? 'https' : 'http';
+}
+function forwardedHost(req){
+  if (isTrustedProxy(peerIp(req))) {
+    const v = String(rawHeaderValues(req, 'x-forwarded-host')[0] || '').split(',')[0].trim();
+    if (v) return v;
+  }
+  return req.headers.host || req.headers[':authority'] || '';
+}
+// Flat [name, value, …] list for http.request(); upgrade keeps Connection/Upgrade.
+function forwardHeaders(req, { upgrade = false } = {}){
+  const raw = req.rawHeaders || [];
+  const trusted = isTrustedProxy(peerIp(req));
+  const listed = new Set();   // extra hop-by-hop headers named in Connection
+  rawHeaderValues(req, 'connection').forEach(v => String(v).split(',').forEach(x => { x = x.trim().toLowerCase(); if (x) listed.add(x); }));
+  if (upgrade) listed.delete('upgrade');
+  const out = [];
+  if (!rawHeaderValues(req, 'host').length && req.headers[':authority']) out.push('Host', req.headers[':authority']);
+  for (let i = 0; i < raw.length; i += 2) {
+    const k = raw[i], lk = k.toLowerCase();
+    if (k[0] === ':') continue;   // HTTP/2 pseudo-headers; the upstream request is HTTP/1.1
+    if (upgrade && (lk === 'connection' || lk === 'upgrade')) { out.push(k, raw[i + 1]); continue; }
+    if (HOP_HEADERS.includes(lk) || listed.has(lk)) continue;
+    if (lk === 'x-forwarded-for' || lk === 'x-forwarded-proto' || lk === 'x-forwarded-host') continue;   // rebuilt below
+    if (FORWARDED_HEADERS.includes(lk) && !trusted) continue;
+    out.push(k, raw[i + 1]);
+  }
+  const chain = trusted ? forwardedForChain(req) : [];
+  const peer = peerIp(req);
+  if (peer) chain.push(peer);
+  if (chain.length) out.push('X-Forwarded-For', chain.join(', '));
+  out.push('X-Forwarded-Proto', forwardedProto(req));
+  const host = forwardedHost(req);
+  if (host) out.push('X-Forwarded-Host', host);
+  return out;
+}
+
+/* --------------------- admin auth --------------------- */
+const ADMIN_TOKEN = process.env.PROXY_ADMIN_TOKEN || '';
+function isAdmin(req){
+  if (!ADMIN_TOKEN) return false;
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ''));
+  if (!m) return false;
+  const a = crypto.createHash('sha256').update(m[1].trim()).digest();
+  const b = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+// Returns true when the caller may proceed; otherwise the response is already sent.
+function requireAdmin(req, res){
+  if (!ADMIN_TOKEN) { sendJson(res, 403, { error: 'admin API disabled (set PROXY_ADMIN_TOKEN)' }); return false; }
+  if (!isAdmin(req)) { sendJson(res, 401, { error: 'admin token required' }, {'www-authenticate': 'Bearer realm="codestrap"'}); return false; }
+  return true;
+}
+
+/* --------------------- profile store (validation + atomic writes) --------------------- */
+function profileJsonPath(name){ return path.join(PROFILES_DIR, `${name}.profile.json`); }
+function listProfileNames(){
+  return fs.readdirSync(PROFILES_DIR, { withFileTypes: true })
+    .filter(e => e.isFile())
+    .map(e => e.name)
+    .filter(n => /\.profile\.json$/i.test(n))
+    .map(n => n.replace(/\.profile\.json$/i, ''));
+}
+function checkProfileFile(name){
+  try { return validateProfileText(fs.readFileSync(profileJsonPath(name), 'utf8')); }
+  catch (e) { return { profile: null, errors: [{ pointer: '', message: `unreadable: ${e.code || e.message}` }] }; }
+}
+function writeProfileJson(name, prof){
+  const file = profileJsonPath(name);
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(prof, null, 2) + '\n', { mode: 0o644 });
+  fs.renameSync(tmp, file);
+}
+
+/* --------------------- userDataProfiles sync (server side) --------------------- */
+// code-server keeps its profile list in CODE_STORAGE_FILE ("userDataProfiles": [{ name,
+// location }], location = folder below <User>/profiles). reconcileProfiles() makes it match
+// PROFILES_DIR: missing profiles are added, entries whose *.profile.json is gone are removed,
+// an entry pointing at a profile folder under another name gets its name back, and a
+// profile file renamed on disk (same content hash under a new name) is renamed in place —
+// entry, data folder and auth file. What was synced last is kept in PROFILE_SYNC_STATE so a
+// deletion on disk can be told apart from a profile created in the VS Code UI; the latter
+// are left alone and reported as "unmanaged". Runs every PROFILE_SYNC_INTERVAL_MS, after
+// admin API changes, and on POST /__api/profile-sync. /__seed_profiles.js only falls back to
+// seeding localStorage while this sync is not working.
+// code-server rewrites the file while it runs, so the changes are re-applied to a fresh read
+// right before the rename (updateCodeStorage) instead of writing back an older copy.
+const CODE_STORAGE_FILE = process.env.CODE_STORAGE_FILE || '/config/data/User/globalStorage/storage.json';
+const PROFILE_SYNC_INTERVAL_MS = Math.max(0, +(process.env.PROFILE_SYNC_INTERVAL_MS !== undefined ? process.env.PROFILE_SYNC_INTERVAL_MS : 60000));
+const PROFILE_SYNC_STATE = path.join(PROXY_STATE_DIR, 'profile-sync.json');
+const profileSync = { last: null, timer: null };   // last: result of the most recent real (non-dry) run
+
+function readJsonFile(file, fallback){
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { if (e.code === 'ENOENT') return fallback; throw e; }
+}
+// owner: { uid, gid } for files that belong to code-server rather than the proxy
+function writeJsonAtomic(file, data, owner = null){
+  const made = fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o644 });
+  if (owner) chownTo(owner, ...(made ? [made, path.dirname(file)] : []), tmp);
+  fs.renameSync(tmp, file);
+}
+// code-server runs as PUID/PGID; what the proxy creates in its data dir gets the same owner.
+function dataDirOwner(){
+  try { const st = fs.statSync(PROFILE_DATA_BASE); return { uid: st.uid, gid: st.gid }; }
+  catch (_) { return null; }
+}
+function chownTo(owner, ...paths){
+  if (owner) for (const p of new Set(paths)) { try { fs.chownSync(p, owner.uid, owner.gid); } catch(_) {} }
+}
+// Read-modify-write of CODE_STORAGE_FILE in one go; fn returns false to leave it untouched.
+function updateCodeStorage(fn){
+  const storage = readJsonFile(CODE_STORAGE_FILE, {});
+  if (!storage || typeof storage !== 'object' || Array.isArray(storage)) throw new Error(`${CODE_STORAGE_FILE}: not a JSON object`);
+  if (fn(storage) === false) return false;
+  writeJsonAtomic(CODE_STORAGE_FILE, storage, dataDirOwner());
+  return true;
+}
+// Folder name below PROFILE_DATA_BASE an entry points at, or null when it lives elsewhere.
+function profileEntryFolder(entry){
+  const loc = entry && entry.location;
+  if (typeof loc === 'string') return loc.includes('/') ? (path.dirname(loc) === PROFILE_DATA_BASE ? path.basename(loc) : null) : loc;
+  const p = loc && (loc.fsPath || loc.path);
+  return typeof p === 'string' && path.dirname(p) === PROFILE_DATA_BASE ? path.basename(p) : null;
+}
+function profileFileHashes(){
+  const files = new Map(), broken = new Set();
+  for (const n of listProfileNames()) {
+    if (!isValidProfileName(n)) continue;
+    let text;
+    try { text = fs.readFileSync(profileJsonPath(n), 'utf8'); } catch (_) { broken.add(n); continue; }
+    if (validateProfileText(text).errors.length) { broken.add(n); continue; }
+    files.set(n, crypto.createHash('sha256').update(text).digest('hex'));
+  }
+  return { files, broken };
+}
+// Moves <base>/<from> to <base>/<to> for the data and auth folders (auth file renamed too).
+function renameProfileData(from, to){
+  const moved = [];
+  for (const base of [...new Set([PROFILE_DATA_BASE, PROFILE_AUTH_BASE])]) {
+    const a = path.join(base, from), b = path.join(base, to);
+    if (fs.existsSync(a) && !fs.existsSync(b)) { fs.renameSync(a, b); moved.push(b); }
+  }
+  const oldAuth = path.join(PROFILE_AUTH_BASE, to, 'auth', `${from}.auth.json`);
+  if (fs.existsSync(oldAuth) && !fs.existsSync(authFilePath(to))) fs.renameSync(oldAuth, authFilePath(to));
+  return moved;
+}
+// Workspace → profile associations follow renames and removals.
+function retargetAssociations(storage, from, to){
+  const assoc = storage.profileAssociations;
+  if (!assoc || typeof assoc !== 'object') return;
+  for (const k of ['workspaces', 'emptyWindows']) {
+    const m = assoc[k];
+    if (!m || typeof m !== 'object') continue;
+    for (const key of Object.keys(m)) if (m[key] === from) { if (to) m[key] = to; else delete m[key]; }
+  }
+}
+// Replays what reconcileProfiles() decided onto a (fresh) copy of the storage file.
+function applyProfileOps(storage, ops){
+  let entries = Array.isArray(storage.userDataProfiles) ? storage.userDataProfiles.slice() : [];
+  const find = n => entries.find(e => profileEntryFolder(e) === n) || entries.find(e => e && e.name === n);
+  for (const o of ops) {
+    const e = find(o.key);
+    if (o.op === 'rename' && e) {
+      entries[entries.indexOf(e)] = Object.assign({}, e, { name: o.to, location: o.to });
+      retargetAssociations(storage, o.folder, o.to);
+    } else if (o.op === 'remove' && e) {
+      entries = entries.filter(x => x !== e);
+      retargetAssociations(storage, o.folder, null);
+    } else if (o.op === 'add' && !e) {
+      entries.push({ name: o.key, location: o.key });
+    } else if (o.op === 'name' && e) {
+      entries[entries.indexOf(e)] = Object.assign({}, e, { name: o.key });
+    }
+  }
+  storage.userDataProfiles = entries;
+}
+
+function reconcileProfiles(opts = {}){
+  const dryRun = !!opts.dryRun;
+  const diff = { at: new Date().toISOString(), dryRun, storage: CODE_STORAGE_FILE, added: [], removed: [], renamed: [], fixed: [], restored: [], unmanaged: [], skipped: [], errors: [] };
+  let files, broken, storage, state;
+  try { ({ files, broken } = profileFileHashes()); }
+  catch (e) { diff.errors.push(`PROFILES_DIR unreadable: ${e.code || e.message}`); return finishProfileSync(diff); }
+  try { storage = readJsonFile(CODE_STORAGE_FILE, {}); }
+  catch (e) { diff.errors.push(`${CODE_STORAGE_FILE} unreadable: ${e.code || e.message}`); return finishProfileSync(diff); }
+  if (!storage || typeof storage !== 'object' || Array.isArray(storage)) { diff.errors.push(`${CODE_STORAGE_FILE}: not a JSON object`); return finishProfileSync(diff); }
+  try { state = readJsonFile(PROFILE_SYNC_STATE, { names: {} }); } catch (_) { state = { names: {} }; }
+  const prev = new Map(Object.entries(state.names || {}));
+  const ops = [], owner = dryRun ? null : dataDirOwner();
+
+  let entries = Array.isArray(storage.userDataProfiles) ? storage.userDataProfiles.slice() : [];
+  const folderOf = e => profileEntryFolder(e);
+  const findEntry = n => entries.find(e => folderOf(e) === n) || entries.find(e => e && e.name === n);
+
+  // 1) renamed on disk: a vanished name and a new one with the same content
+  const gone = [...prev.keys()].filter(n => !files.has(n) && !broken.has(n));
+  for (const [n, hash] of files) {
+    if (prev.has(n)) continue;
+    const from = gone.find(g => prev.get(g) === hash && findEntry(g));
+    if (!from) continue;
+    gone.splice(gone.indexOf(from), 1);
+    const e = findEntry(from);
+    const oldLoc = folderOf(e) || from;
+    if (findEntry(n)) { diff.skipped.push({ name: n, reason: `renamed from '${from}', but an entry named '${n}' exists` }); continue; }
+    if (!dryRun) {
+      try { renameProfileData(from, n); }
+      catch (err) { diff.errors.push(`rename ${from} → ${n}: ${err.code || err.message}`); continue; }
+    }
+    entries[entries.indexOf(e)] = Object.assign({}, e, { name: n, location: n });
+    ops.push({ op: 'rename', key: from, folder: oldLoc, to: n });
+    diff.renamed.push({ from, to: n });
+  }
+  // 2) entries whose profile file was deleted (only ones this sync created or saw before)
+  entries = entries.filter(e => {
+    const f = folderOf(e);
+    const n = f && (files.has(f) || broken.has(f)) ? f : (e && e.name);
+    if (files.has(n) || broken.has(n)) return true;
+    if (!prev.has(n) && !(f && prev.has(f))) { if (e && e.name) diff.unmanaged.push(e.name); return true; }
+    ops.push({ op: 'remove', key: f || n, folder: f || n });
+    diff.removed.push(n);
+    return false;
+  });
+  // 3) every profile file has one entry, named like its folder
+  for (const n of files.keys()) {
+    const e = findEntry(n);
+    if (!e) {
+      entries.push({ name: n, location: n });
+      ops.push({ op: 'add', key: n });
+      (prev.has(n) ? diff.restored : diff.added).push(n);
+      if (!dryRun) {
+        const dir = path.join(PROFILE_DATA_BASE, n);
+        try { if (!fs.existsSync(dir)) { fs.mkdirSync(dir, { recursive: true, mode: 0o755 }); chownTo(owner, dir); } }
+        catch (err) { diff.errors.push(`mkdir ${n}: ${err.code || err.message}`); }
+      }
+      continue;
+    }
+    if (e.name !== n && folderOf(e) === n) {
+      diff.fixed.push({ location: n, from: e.name, to: n });
+      entries[entries.indexOf(e)] = Object.assign({}, e, { name: n });
+      ops.push({ op: 'name', key: n });
+    }
+  }
+
+  diff.changed = !!(diff.added.length || diff.removed.length || diff.renamed.length || diff.fixed.length || diff.restored.length);
+  if (!dryRun) {
+    try {
+      if (diff.changed) updateCodeStorage(fresh => applyProfileOps(fresh, ops));
+      const names = Object.fromEntries(files);
+      if (JSON.stringify(names) !== JSON.stringify(state.names || {})) writeJsonAtomic(PROFILE_SYNC_STATE, { at: diff.at, names });
+    } catch (e) { diff.errors.push(`write failed: ${e.code || e.message}`); }
+  }
+  return finishProfileSync(diff);
+}
+function finishProfileSync(diff){
+  diff.ok = !diff.errors.length;
+  if (diff.dryRun) return diff;
+  const was = profileSync.last;
+  profileSync.last = diff;
+  if (diff.changed) {
+    const parts = [];
+    if (diff.added.length) parts.push(`+${diff.added.join(',')}`);
+    if (diff.restored.length) parts.push(`restored ${diff.restored.join(',')}`);
+    if (diff.removed.length) parts.push(`-${diff.removed.join(',')}`);
+    diff.renamed.forEach(r => parts.push(`${r.from}→${r.to}`));
+    diff.fixed.forEach(r => parts.push(`name ${r.from}→${r.to}`));
+    pushLog(`[profiles] userDataProfiles synced: ${parts.join(' ')}`);
+  }
+  diff.errors.forEach(e => { if (!was || !was.errors.includes(e)) pushLog(`[profiles][WARN] sync: ${e}`, 'warn'); });
+  return diff;
+}
+// Debounced run after profile files change through the proxy.
+function requestProfileSync(){
+  clearTimeout(profileSync.timer);
+  profileSync.timer = setTimeout(() => reconcileProfiles(), 500);
+}
+function startProfileSync(){
+  reconcileProfiles();
+  if (PROFILE_SYNC_INTERVAL_MS) setInterval(() => reconcileProfiles(), PROFILE_SYNC_INTERVAL_MS).unref();
+}
+
+/* --------------------- profile archive / delete / restore --------------------- */
+// Archiving writes <PROFILE_ARCHIVE_DIR>/<name>--<stamp>.tar.gz (profile.json, data/ = the
+// profile data folder, auth/ = its auth folder when PROFILE_AUTH_BASE is elsewhere) plus a
+// .json manifest next to it, then removes the *.profile.json, the userDataProfiles entry and
+// the folders. Delete does the same (the archive is the undo) unless ?archive=0, and only
+// with a confirmation token from a first, unconfirmed call. Restore unpacks under the same
+// or a new name.
+const PROFILE_ARCHIVE_DIR = process.env.PROFILE_ARCHIVE_DIR || '/config/.codestrap/archive';
+const CONFIRM_TTL_MS = 2 * 60 * 1000;
+const ARCHIVE_ID_RE = /^([A-Za-z0-9._-]{1,64})--(\d{8}T\d{6}(?:\d{3})?Z)$/;   // older ids lack the milliseconds
+
+function confirmToken(action, target){
+  const exp = (Date.now() + CONFIRM_TTL_MS).toString(36);
+  const mac = crypto.createHmac('sha256', sessionSecret).update(`confirm|${action}|${target}|${exp}`).digest('base64url').slice(0, 22);
+  return `${exp}.${mac}`;
+}
+function checkConfirmToken(token, action, target){
+  const [exp, mac] = String(token || '').split('.');
+  if (!exp || !mac || parseInt(exp, 36) < Date.now()) return false;
+  const want = crypto.createHmac('sha256', sessionSecret).update(`confirm|${action}|${target}|${exp}`).digest('base64url').slice(0, 22);
+  return mac.length === want.length && crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(want));
+}
+// 409 + token for the first call; true once the caller echoes it back (?confirm=).
+function requireConfirmation(req, res, u, action, target){
+  if (checkConfirmToken(u.query.confirm, action, target)) return true;
+  sendJson(res, 409, {
+    error: u.query.confirm ? 'confirmation token invalid or expired' : 'confirmation required',
+    action, target, confirm: confirmToken(action, target), expiresInSec: CONFIRM_TTL_MS / 1000,
+    hint: 'repeat the request with ?confirm=<token>'
+  });
+  return false;
+}
+
+function archivePaths(id){
+  return { tar: path.join(PROFILE_ARCHIVE_DIR, `${id}.tar.gz`), manifest: path.join(PROFILE_ARCHIVE_DIR, `${id}.json`) };
+}
+function listArchives(){
+  let names = [];
+  try { names = fs.readdirSync(PROFILE_ARCHIVE_DIR); } catch (_) { return []; }
+  return names.filter(n => n.endsWith('.tar.gz') && ARCHIVE_ID_RE.test(n.slice(0, -7))).map(n => {
+    const id = n.slice(0, -7), p = archivePaths(id);
+    let manifest = {};
+    try { manifest = JSON.parse(fs.readFileSync(p.manifest, 'utf8')); } catch (_) {}
+    let bytes = 0; try { bytes = fs.statSync(p.tar).size; } catch (_) {}
+    return { id, name: ARCHIVE_ID_RE.exec(id)[1], archivedAt: manifest.archivedAt || null, reason: manifest.reason || null, by: manifest.by || null, bytes };
+  }).sort((a, b) => b.id.split('--').pop().localeCompare(a.id.split('--').pop()));
+}
+// Removes the profile's userDataProfiles entry (and its workspace associations) right away.
+function dropProfileEntry(name){
+  if (!fs.existsSync(CODE_STORAGE_FILE)) return false;
+  try {
+    return updateCodeStorage(storage => {
+      if (!Array.isArray(storage.userDataProfiles)) return false;
+      const before = storage.userDataProfiles.length;
+      storage.userDataProfiles = storage.userDataProfiles.filter(e => {
+        const hit = profileEntryFolder(e) === name || (e && e.name === name);
+        if (hit) retargetAssociations(storage, profileEntryFolder(e) || name, null);
+        return !hit;
+      });
+      return storage.userDataProfiles.length !== before;
+    });
+  } catch (_) { return false; }
+}
+function removeProfileLive(name){
+  try { fs.unlinkSync(profileJsonPath(name)); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+  const entry = dropProfileEntry(name);
+  const dirs = [path.join(PROFILE_DATA_BASE, name)];
+  if (PROFILE_AUTH_BASE !== PROFILE_DATA_BASE) dirs.push(path.join(PROFILE_AUTH_BASE, name, 'auth'));
+  dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true }));
+  if (dirs.length > 1) { try { fs.rmdirSync(path.dirname(dirs[1])); } catch (_) {} }   // <auth base>/<name>, if now empty
+  reconcileProfiles();
+  return { entry, dirs };
+}
+
+// cb(err, { id, bytes, manifest }); keep=false skips the archive (plain delete).
+function archiveProfile(name, opts, cb){
+  const { reason = 'archive', by = null, keep = true } = opts || {};
+  const done = (err, info) => {
+    if (err) return cb(err);
+    let removed;
+    try { removed = removeProfileLive(name); } catch (e) { return cb(e); }
+    pushLog(`[profiles] ${reason === 'delete' ? 'deleted' : 'archived'} profile '${name}'${info ? ` → ${info.id}.tar.gz` : ' (no archive)'}`);
+    cb(null, Object.assign({ name, removed }, info || {}));
+  };
+  if (!keep) return done(null, null);
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const id = `${name}--${stamp}`, p = archivePaths(id);
+  if (fs.existsSync(p.tar)) return cb(Object.assign(new Error(`archive '${id}' already exists; try again`), { status: 409 }));
+  const dataDir = path.join(PROFILE_DATA_BASE, name);
+  const authDir = path.join(PROFILE_AUTH_BASE, name, 'auth');
+  let profileText = null;
+  try { profileText = fs.readFileSync(profileJsonPath(name)); } catch (_) {}
+  const items = [];
+  if (profileText) items.push({ name: 'profile.json', data: profileText });
+  tarTree(dataDir, 'data', items);
+  if (PROFILE_AUTH_BASE !== PROFILE_DATA_BASE) tarTree(authDir, 'auth', items);
+  const manifest = {
+    name, reason, by, archivedAt: new Date().toISOString(),
+    hasProfileJson: !!profileText, files: items.filter(x => !x.dir).length,
+    authSeparate: PROFILE_AUTH_BASE !== PROFILE_DATA_BASE
+  };
+  items.unshift({ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2) + '\n') });
+  writeTarGz(p.tar, items, err => {
+    if (err) return cb(err);
+    try { writeJsonAtomic(p.manifest, manifest); } catch (e) { return cb(e); }
+    let bytes = 0; try { bytes = fs.statSync(p.tar).size; } catch (_) {}
+    done(null, { id, bytes, manifest });
+  });
+}
+
+// Unpacks archive `id` as profile `as` (default: its original name). cb(err, info).
+function restoreArchive(id, as, cb){
+  const p = archivePaths(id);
+  const m = ARCHIVE_ID_RE.exec(id);
+  if (!m || !fs.existsSync(p.tar)) return cb(Object.assign(new Error(`archive '${id}' not found`), { status: 404 }));
+  const name = as || m[1];
+  if (!isValidProfileName(name)) return cb(Object.assign(new Error('invalid profile name'), { status: 400 }));
+  const dataDir = path.join(PROFILE_DATA_BASE, name);
+  if (fs.existsSync(profileJsonPath(name)) || fs.existsSync(dataDir)) {
+    return cb(Object.assign(new Error(`profile '${name}' already exists (restore with ?as=<new name>)`), { status: 409 }));
+  }
+  const staging = path.join(PROFILE_ARCHIVE_DIR, `.restore-${crypto.randomBytes(6).toString('hex')}`);
+  const cleanup = () => fs.rmSync(staging, { recursive: true, force: true });
+  extractTarGz(p.tar, staging, (err, result) => {
+    if (err) { cleanup(); return cb(err); }
+    const created = [];   // what this restore put in place; removed again if a later step throws
+    try {
+      const moveDir = (from, to) => {
+        if (!fs.existsSync(from)) return false;
+        if (fs.existsSync(to)) throw new Error(`${to} already exists`);
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        created.push(to);
+        try { fs.renameSync(from, to); }
+        catch (e) { if (e.code !== 'EXDEV') throw e; fs.cpSync(from, to, { recursive: true }); }
+        return true;
+      };
+      const orig = m[1];
+      moveDir(path.join(staging, 'data'), dataDir);
+      moveDir(path.join(staging, 'auth'), path.join(PROFILE_AUTH_BASE, name, 'auth'));
+      const oldAuth = path.join(PROFILE_AUTH_BASE, name, 'auth', `${orig}.auth.json`);
+      if (name !== orig && fs.existsSync(oldAuth)) fs.renameSync(oldAuth, authFilePath(name));
+      const profFile = path.join(staging, 'profile.json');
+      if (fs.existsSync(profFile)) {
+        const text = fs.readFileSync(profFile, 'utf8');
+        const v = validateProfileText(text);
+        if (v.errors.length) pushLog(`[profiles] restored '${name}' has an invalid profile.json (${v.errors[0].message})`, 'warn');
+        const tmp = `${profileJsonPath(name)}.tmp-${process.pid}`;
+        created.push(tmp, profileJsonPath(name));
+        fs.writeFileSync(tmp, text, { mode: 0o644 }); fs.renameSync(tmp, profileJsonPath(name));
+      } else { created.push(profileJsonPath(name)); writeProfileJson(name, {}); }
+    } catch (e) {
+      for (const f of created.reverse()) { try { fs.rmSync(f, { recursive: true, force: true }); } catch (_) {} }
+      pushLog(`[profiles] restore of ${id} as '${name}' failed, rolled back: ${e.message}`, 'error');
+      cleanup(); return cb(e);
+    }
+    cleanup();
+    const sync = reconcileProfiles();
+    pushLog(`[profiles] restored '${name}' from ${id}.tar.gz (${result.files} files)`);
+    cb(null, { name, from: id, files: result.files, skipped: result.skipped, sync: { added: sync.added, restored: sync.restored } });
+  });
+}
+
+/* --------------------- profile bundles (export / import) --------------------- */
+// Portable bundles built by lib/profile-bundle.js (also used by `codestrap profile
+// --export/--import` and the side panel). An import is uploaded twice: the first POST
+// validates it and returns the diff plus a confirm token bound to the bundle's sha256,
+// the second (same bytes, ?confirm=<token>) applies it.
+const VSIX_DIR = process.env.VSIX_DIR || '/config/.codestrap/vsix';
+const BUNDLE_MAX_BYTES = Math.max(1, +(process.env.BUNDLE_MAX_BYTES || 256 * 1024 * 1024));
+const BUNDLE_TMP_DIR = path.join(PROXY_STATE_DIR, 'bundles');
+const bundlePaths = () => ({ profilesDir: PROFILES_DIR, dataBase: PROFILE_DATA_BASE, vsixDir: VSIX_DIR });
+
+function bundleTmpFile(tag){
+  fs.mkdirSync(BUNDLE_TMP_DIR, { recursive: true });
+  return path.join(BUNDLE_TMP_DIR, `${tag}-${crypto.randomBytes(6).toString('hex')}.tar.gz`);
+}
+// Streams the request body into `file` (capped at `limit` bytes); cb(err, { bytes, sha256 }).
+function saveBody(req, file, limit, cb){
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  const meter = new stream.Transform({
+    transform(chunk, _enc, done){
+      bytes += chunk.length;
+      if (bytes > limit) return done(Object.assign(new Error('body too large'), { status: 413 }));
+      hash.update(chunk); done(null, chunk);
+    }
+  });
+  stream.pipeline(req, meter, fs.createWriteStream(file, { mode: 0o600 }), err => {
+    if (err) { try { fs.unlinkSync(file); } catch (_) {} return cb(err); }
+    cb(null, { bytes, sha256: hash.digest('hex') });
+  });
+}
+
+/* --------------------- per-profile extensions (materialized from the superset) --------------------- */
+// Everything is installed once into the superset; a profile "has" an extension
+// when its entry is copied into the profile's own extensions.json.
+const EXT_SUPERSET_FILE = process.env.EXT_SUPERSET_FILE || '/config/extensions/extensions.json';
+const EXT_ALWAYS_RE = /^codestrap\.codestrap$/i;   // side panel stays in every profile (PROTECTED_RE in codestrap.sh)
+
+function profileExtensionsPath(name){ return path.join(PROFILE_DATA_BASE, name, 'extensions.json'); }
+function extEntryId(entry){ return String((entry && entry.identifier && entry.identifier.id) || '').toLowerCase(); }
+function profileExtSpecs(prof){
+  return (Array.isArray(prof.extensions) ? prof.extensions : [])
+    .map(parseExtensionSpec)
+    .filter(Boolean)
+    .map(s => ({ ...s, id: s.id.toLowerCase() }));
+}
+function readExtArray(file, { missingOk = false } = {}){
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch (e) { if (missingOk && e.code === 'ENOENT') return []; throw new Error(`cannot read ${file}: ${e.code || e.message}`); }
+  const j = JSON.parse(text);
+  if (!Array.isArray(j)) throw new Error(`${file} is not a JSON array`);
+  return j;
+}
+
+// Idempotent: the file is only rewritten when its entries actually change.
+// Returns { profile, file, changed, added, removed, missing, drift } or { profile, skipped };
+// drift lists pinned entries whose installed superset version differs.
+function materializeProfileExtensions(name){
+  const { profile: prof, errors } = checkProfileFile(name);
+  if (!prof && !fs.existsSync(profileJsonPath(name))) return { profile: name, skipped: 'no profile.json' };
+  if (errors.length) throw new Error(`profile '${name}' is invalid: ${errors[0].pointer || '(root)'} ${errors[0].message}`);
+  if (!Array.isArray(prof.extensions)) return { profile: name, skipped: 'no "extensions" array' };
+
+  const superset = readExtArray(EXT_SUPERSET_FILE);
+  const byId = new Map();
+  superset.forEach(e => { const id = extEntryId(e); if (id && !byId.has(id)) byId.set(id, e); });
+
+  const specs = profileExtSpecs(prof);
+  const wanted = [...new Set([...[...byId.keys()].filter(id => EXT_ALWAYS_RE.test(id)), ...specs.map(s => s.id)])];
+  const next = wanted.filter(id => byId.has(id)).map(id => byId.get(id));
+  const missing = wanted.filter(id => !byId.has(id));
+  const drift = specs
+    .filter(s => s.version && byId.has(s.id) && String(byId.get(s.id).version || '') !== s.version)
+    .map(s => ({ id: s.id, pinned: s.version, installed: String(byId.get(s.id).version || '') || null }));
+
+  const file = profileExtensionsPath(name);
+  const current = readExtArray(file, { missingOk: true });
+  const curIds = new Set(current.map(extEntryId));
+  const nextIds = new Set(next.map(extEntryId));
+  const added = [...nextIds].filter(id => !curIds.has(id));
+  const removed = [...curIds].filter(id => id && !nextIds.has(id));
+  const changed = JSON.stringify(current) !== JSON.stringify(next);
+
+  if (changed) {
+    const dir = path.dirname(file);
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, JSON.stringify(next), { mode: 0o644 });
+    // keep code-server (PUID/PGID) as owner, like the rest of its data dir
+    chownTo(dataDirOwner(), dir, tmp);
+    fs.renameSync(tmp, file);
+  }
+  return { profile: name, file, changed, added, removed, missing, drift };
+}
+
+// Best-effort wrapper for the picker: never blocks a login, only logs.
+function applyProfileExtensions(name){
+  try {
+    const r = materializeProfileExtensions(name);
+    if (r.skipped) return r;
+    const parts = [`+${r.added.length}`, `-${r.removed.length}`];
+    if (r.missing.length) parts.push(`missing: ${r.missing.join(', ')}`);
+    if (r.drift.length) parts.push(`drift: ${r.drift.map(d => `${d.id} pinned ${d.pinned}, installed ${d.installed}`).join('; ')}`);
+    pushLog(`[extensions] profile '${name}' ${r.changed ? 'updated' : 'unchanged'} (${parts.join(' ')})`);
+    return r;
+  } catch (e) {
+    pushLog(`[extensions] profile '${name}' not applied: ${e.message}`);
+    return { profile: name, error: e.message };
+  }
+}
+
+/* --------------------- extension gallery filter (policies) --------------------- */
+const GALLERY_PREFIX   = '/__gallery';
+const GALLERY_UPSTREAM = (process.env.GALLERY_UPSTREAM || 'https://open-vsx.org/vscode').replace(/\/+$/, '');
+const GALLERY_QUERY_LIMIT = 8 * 1024 * 1024;   // buffered extensionquery responses
+// "publisher.name" targeted by a gallery URL (below /__gallery), or null for searches etc.
+function galleryTargetId(rest, query){
+  const seg = rest.split('/').filter(Boolean).map(s => { try { return decodeURIComponent(s); } catch (_) { return s; } });
+  if ((seg[0] === 'asset' || seg[0] === 'unpkg') && seg[1] && seg[2]) return `${seg[1]}.${seg[2]}`;
+  const pi = seg.indexOf('publishers');
+  if (pi >= 0 && seg[pi + 1] && seg[pi + 2] === 'vsextensions' && seg[pi + 3]) return `${seg[pi + 1]}.${seg[pi + 3]}`;
+  if ((seg[0] === 'item' || seg[0] === 'items') && query && query.itemName) return String(query.itemName);
+  return null;
+}
+
+function sendPolicyBlocked(req, res, id, reason){
+  pushLog(`[policy] gallery blocked ${req.method} ${req.url}${id ? ` (${id})` : ''} from ${clientIp(req)}: ${reason}`);
+  if (/text\/html/.test(req.headers['accept'] || '')) {
+    const headers = noStoreHeaders();
+    delete headers['retry-after'];
+    res.writeHead(403, headers);
+    return res.end(`<!doctype html><meta charset="utf-8"><title>Disabled by policy</title>
+<body style="font:14px system-ui;padding:2rem"><h1>Disabled by policy</h1><p>${htmlEsc(reason)}</p></body>`);
+  }
+  sendJson(res, 403, { error: 'disabled_by_policy', message: reason, extension: id || null });
+}
+
+function galleryRequestOptions(req, rest, extraHeaders){
+  const target = new URL(GALLERY_UPSTREAM + rest);
+  const headers = Object.assign({}, req.headers, extraHeaders || {});
+  HOP_HEADERS.forEach(h => delete headers[h]);
+  delete headers['cookie'];
+  delete headers['authorization'];
+  headers['host'] = target.host;
+  return {
+    mod: target.protocol === 'https:' ? https : http,
+    opts: { protocol: target.protocol, hostname: target.hostname, port: target.port || undefined,
+            method: req.method, path: target.pathname + target.search, headers }
+  };
+}
+
+function galleryFail(res, e){
+  pushLog(`[gallery] upstream error: ${e.message}`);
+  if (!res.headersSent) sendJson(res, 502, { error: 'gallery_unreachable', message: e.message });
+  else { try { res.end(); } catch (_) {} }
+}
+
+// extensionquery: drop results the allow/deny lists forbid so they never show as installable.
+function galleryFilterQuery(req, res, rest, pol){
+  const { mod, opts } = galleryRequestOptions(req, rest, { 'accept-encoding': 'identity' });
+  const up = mod.request(opts, ur => {
+    const chunks = []; let size = 0, over = false;
+    ur.on('data', c => { size += c.length; if (size > GALLERY_QUERY_LIMIT) { over = true; ur.destroy(); } else chunks.push(c); });
+    ur.on('error', e => galleryFail(res, e));
+    ur.on('end', () => {
+      if (over) return galleryFail(res, new Error('extensionquery response too large'));
+      let body = Buffer.concat(chunks), blocked = [];
+      try {
+        const j = JSON.parse(body.toString('utf8'));
+        (j.results || []).forEach(r => {
+          const before = (r.extensions || []).length;
+          r.extensions = (r.extensions || []).filter(x => {
+            const id = `${(x.publisher && x.publisher.publisherName) || ''}.${x.extensionName || ''}`;
+            if (!extensionBlockReason(id, pol)) return true;
+            blocked.push(id); return false;
+          });
+          const dropped = before - r.extensions.length;
+          (r.resultMetadata || []).forEach(m => (m.metadataItems || []).forEach(it => {
+            if (it.name === 'TotalCount' && typeof it.count === 'number') it.count = Math.max(0, it.count - dropped);
+          }));
+        });
+        if (blocked.length) {
+          pushLog(`[policy] gallery query filtered ${blocked.length} extension(s): ${blocked.slice(0, 10).join(', ')}${blocked.length > 10 ? ', …' : ''}`);
+          body = Buffer.from(JSON.stringify(j));
+        }
+      } catch (_) { /* not JSON: pass through untouched */ }
+      const headers = Object.assign({}, ur.headers, { 'content-length': body.length });
+      HOP_HEADERS.forEach(h => delete headers[h]);
+      delete headers['content-encoding'];
+      res.writeHead(ur.statusCode || 502, headers);
+      res.end(body);
+    });
+  });
+  up.on('error', e => galleryFail(res, e));
+  req.pipe(up);
 }
 
-/* --------------------- helpers --------------------- */
+function galleryPassThrough(req, res, rest){
+  const { mod, opts } = galleryRequestOptions(req, rest);
+  const up = mod.request(opts, ur => {
+    const headers = Object.assign({}, ur.headers);
+    HOP_HEADERS.forEach(h => delete headers[h]);
+    res.writeHead(ur.statusCode || 502, headers);
+    ur.pipe(res);
+  });
+  up.on('error', e => galleryFail(res, e));
+  req.pipe(up);
+}
 
-function noStoreHeaders(extra = {}) {
-  return Object.assign({
-    'content-type': 'text/html; charset=utf-8',
-    'cache-control': 'no-store, no-cache, must-revalidate, max-age=0',
-    'pragma': 'no-cache',
-    'expires': '0',
-    'retry-after': '1'
-  }, extra);
+// Callers: browsers with a profile session (as for the shell), admins, and the code
+// containers themselves, which download .vsix files server-side without the cookie.
+// Upstream host addresses are resolved on demand and cached for a minute.
+const galleryPeers = { at: 0, addrs: new Set() };
+function upstreamAddresses(cb){
+  if (Date.now() - galleryPeers.at < 60 * 1000) return cb(galleryPeers.addrs);
+  const hosts = [...new Set(upstreamTable().all.map(up => up.host))];
+  const addrs = new Set();
+  let left = hosts.length;
+  const finish = () => { galleryPeers.at = Date.now(); galleryPeers.addrs = addrs; cb(addrs); };
+  if (!left) return finish();
+  hosts.forEach(h => dns.lookup(h, { all: true }, (err, list) => {
+    if (!err) list.forEach(a => addrs.add(normalizeIp(a.address)));
+    if (!--left) finish();
+  }));
+}
+function galleryAllowed(req, cb){
+  const sess = getSession(req);
+  if (isAdmin(req) || (sess && sess.cur && !sessionProfileLocked(req))) return cb(true);
+  upstreamAddresses(addrs => cb(addrs.has(clientIp(req))));
 }
 
-// payload helpers
-function parseProfileFromPayload(u){
-  if (!u || !u.query || !u.query.payload) return null;
-  try{
-    const raw = Array.isArray(u.query.payload) ? u.query.payload[0] : u.query.payload;
-    const decoded = decodeURIComponent(raw);
-    const a = JSON.parse(decoded);
-    if (Array.isArray(a) && Array.isArray(a[0]) && a[0][0]==='profile') return String(a[0][1]||'');
-  }catch(_){}
-  return null;
+function handleGallery(req, res, u){
+  galleryAllowed(req, ok => {
+    if (ok) return serveGallery(req, res, u);
+    pushLog(`[policy] gallery ${req.method} ${u.pathname} refused: no session (${clientIp(req)})`, 'warn');
+    sendJson(res, 401, { error: 'a profile session is required for the extension gallery' });
+  });
 }
-function makePayloadFor(profile){
-  return encodeURIComponent(JSON.stringify([["profile", profile]]));
+// code-server only goes through the filter when its EXTENSIONS_GALLERY points here; compose
+// hands the proxy the same value so a policy that cannot take effect is called out.
+function warnIfGalleryBypassed(){
+  const v = currentPolicies().values;
+  const restricted = v['allow-extension-installs'] === false || v['extension-allowlist'].length || v['extension-denylist'].length;
+  const gallery = process.env.EXTENSIONS_GALLERY || '';
+  if (!restricted || gallery.includes(GALLERY_PREFIX + '/')) return;
+  pushLog(`[policy][WARN] policies.yml restricts extension installs, but EXTENSIONS_GALLERY ${gallery ? `does not use ${GALLERY_PREFIX}` : 'is not set'}; `
+    + 'code-server installs from the marketplace directly (see .env.example)', 'warn');
+}
+function serveGallery(req, res, u){
+  const rest = (req.url || '').slice(GALLERY_PREFIX.length) || '/';
+  const pol = currentPolicies();
+  const id = galleryTargetId(u.pathname.slice(GALLERY_PREFIX.length), u.query);
+  // installs off: the whole gallery is closed, searches included
+  if (!policyAllows('allow-extension-installs', pol)) return sendPolicyBlocked(req, res, id, policyDenial('allow-extension-installs'));
+  const reason = id && extensionBlockReason(id, pol);
+  if (reason) return sendPolicyBlocked(req, res, id, reason);
+  if (req.method === 'POST' && /\/extensionquery$/.test(u.pathname)) return galleryFilterQuery(req, res, rest, pol);
+  galleryPassThrough(req, res, rest);
 }
 
 /* --------------------- path guard for injection --------------------- */
@@ -306,13 +2230,292 @@ function shouldInjectWatchdog(reqUrl){
   return false;
 }
 
+/* --------------------- injection registry --------------------- */
+// Besides the built-in watchdog + seeder (shell paths only), INJECTIONS_FILE lists snippets:
+//   { "snippets": [ { "id": "banner", "paths": ["/", "/login"], "position": "body-end",
+//                     "profiles": ["main"], "file": "banner.html" },
+//                   { "id": "notice", "paths": "/", "template": "<script>…{{profile}}…</script>" } ] }
+// paths: exact ("/login"), glob ("/docs/*", "/**") or "re:<regex>"; default: the shell paths.
+// position: "head" (default; before </head>) or "body-end" (before </body>).
+// profiles: only for these profiles (payload or session). Source: "file" (relative to the
+// registry; .js → <script>, .css → <style>, else raw HTML) or an inline "template".
+// {{profile}} and {{path}} are replaced (HTML-escaped). The registry and its files are
+// re-read when they change. Inline scripts get the CSP nonce when one is needed.
+const INJECTIONS_FILE = process.env.INJECTIONS_FILE !== undefined ? process.env.INJECTIONS_FILE : '/config/.codestrap/injections/injections.json';
+const INJECT_POSITIONS = ['head', 'body-end'];
+const SHELL_PATHS = ['/', '/index.html', '/login'];
+// watchdog without defer: it wraps WebSocket before the workbench opens any
+const BUILTIN_TAGS = `<script src="/__watchdog.js"></script><script src="/__seed_profiles.js" defer></script>`;
+let injectionCache = null;   // { key, deps, registry }
+
+function compilePathMatcher(spec){
+  const p = String(spec || '');
+  if (p.startsWith('re:')) { const re = new RegExp(p.slice(3)); return x => re.test(x); }
+  if (!p.startsWith('/')) throw new Error(`path "${p}" must start with "/" (or use "re:")`);
+  if (!p.includes('*')) return x => x === p;
+  const re = new RegExp('^' + p.split(/(\*\*|\*)/).map(part =>
+    part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('') + '$');
+  return x => re.test(x);
+}
+function snippetFromFile(file){
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.js$/i.test(file)) return `<script>\n${text}\n</script>`;
+  if (/\.css$/i.test(file)) return `<style>\n${text}\n</style>`;
+  return text;
+}
+function parseInjections(text, dir){
+  const errors = [], snippets = [], deps = [], seen = new Set();
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return { snippets, deps, errors: [`invalid JSON: ${e.message}`] }; }
+  const list = Array.isArray(data) ? data : data && data.snippets;
+  if (!Array.isArray(list)) return { snippets, deps, errors: ['expected { "snippets": [ … ] }'] };
+  list.forEach((x, i) => {
+    const where = `snippet ${x && x.id ? `"${x.id}"` : `#${i + 1}`}`;
+    if (!x || typeof x !== 'object') return errors.push(`${where}: expected an object`);
+    if (x.enabled === false) return;
+    const id = String(x.id || `snippet-${i + 1}`);
+    if (seen.has(id) || id === 'watchdog') return errors.push(`${where}: duplicate or reserved id`);
+    const position = x.position || 'head';
+    if (!INJECT_POSITIONS.includes(position)) return errors.push(`${where}: position must be ${INJECT_POSITIONS.join(' or ')}`);
+    if ((x.file === undefined) === (x.template === undefined)) return errors.push(`${where}: needs exactly one of "file" or "template"`);
+    const paths = [].concat(x.paths === undefined ? SHELL_PATHS : x.paths);
+    let matchers;
+    try { matchers = paths.map(compilePathMatcher); } catch (e) { return errors.push(`${where}: ${e.message}`); }
+    const profiles = x.profiles === undefined ? null : [].concat(x.profiles).map(String);
+    let body = x.template, source = 'template';
+    if (x.file !== undefined) {
+      const file = path.resolve(dir, String(x.file));
+      deps.push(file);
+      try { body = snippetFromFile(file); source = `file:${x.file}`; }
+      catch (e) { return errors.push(`${where}: cannot read ${x.file}: ${e.code || e.message}`); }
+    }
+    seen.add(id);
+    snippets.push({ id, paths, matchers, position, profiles, body: String(body), source });
+  });
+  return { snippets, deps, errors };
+}
+function fileKey(f){ try { const st = fs.statSync(f); return `${st.mtimeMs}:${st.size}`; } catch (_) { return 'none'; } }
+// Cached; the registry file and every snippet file are stat'ed to notice edits.
+function injectionRegistry(){
+  if (!INJECTIONS_FILE) return { file: null, exists: false, snippets: [], errors: [] };
+  const key = [INJECTIONS_FILE, ...(injectionCache ? injectionCache.deps : [])].map(fileKey).join('|');
+  if (injectionCache && injectionCache.key === key) return injectionCache.registry;
+  const registry = { file: INJECTIONS_FILE, exists: fs.existsSync(INJECTIONS_FILE), snippets: [], errors: [] };
+  let deps = [];
+  if (registry.exists) {
+    let r;
+    try { r = parseInjections(fs.readFileSync(INJECTIONS_FILE, 'utf8'), path.dirname(INJECTIONS_FILE)); }
+    catch (e) { r = { snippets: [], deps: [], errors: [`unreadable: ${e.code || e.message}`] }; }
+    registry.snippets = r.snippets; registry.errors = r.errors; deps = r.deps;
+    pushLog(`[inject] ${r.snippets.length} snippet(s) loaded from ${INJECTIONS_FILE}${r.snippets.length ? `: ${r.snippets.map(x => x.id).join(', ')}` : ''}`);
+    r.errors.forEach(e => pushLog(`[inject][WARN] ${e}`, 'warn'));
+  } else if (injectionCache && injectionCache.registry.exists) {
+    pushLog(`[inject] ${INJECTIONS_FILE} removed; only the built-in watchdog is injected`);
+  }
+  injectionCache = { key: [INJECTIONS_FILE, ...deps].map(fileKey).join('|'), deps, registry };
+  return registry;
+}
+function describeSnippet(x){
+  return { id: x.id, paths: x.paths, position: x.position, profiles: x.profiles, source: x.source, bytes: Buffer.byteLength(x.body) };
+}
+
+// What to inject into this HTML response: { head, tail, ids, fp } or null.
+function injectionFor(req, u){
+  const p = u.pathname || '/';
+  const sess = getSession(req);
+  const profile = parseProfileFromPayload(u) || (sess && sess.cur) || '';
+  const vars = { profile, path: p };
+  const render = body => body.replace(/\{\{\s*(profile|path)\s*\}\}/g, (_, k) => htmlEsc(vars[k]));
+  let head = shouldInjectWatchdog(req.url) ? BUILTIN_TAGS : '', tail = '';
+  const ids = head ? ['watchdog'] : [];
+  for (const x of injectionRegistry().snippets) {
+    if (!x.matchers.some(m => m(p))) continue;
+    if (x.profiles && !x.profiles.includes(profile)) continue;
+    if (x.position === 'head') head += render(x.body); else tail += render(x.body);
+    ids.push(x.id);
+  }
+  if (!ids.length) return null;
+  // changes whenever the injected markup does, so cached shells are revalidated
+  const fp = crypto.createHash('sha256').update(head + '\0' + tail).digest('hex').slice(0, 8);
+  return { head, tail, ids, fp };
+}
+function withNonce(html, nonce){
+  return nonce ? html.replace(/<script\b(?![^>]*\snonce\s*=)/gi, `<script nonce="${nonce}"`) : html;
+}
+
+/* --------------------- streaming injection --------------------- */
+// HTML is streamed through decode → inject → encode: "head" snippets go in front of the first
+// </head> (or right after <body …> when the head is implicit), "body-end" ones in front of the
+// next </body>; whatever found no marker is appended at the very end.
+// Only a possible partial tag is held back between chunks, never the whole document.
+const INJECT_HOLD_MAX = 4096;   // longest unfinished "<…" kept while looking for a marker
+const INJECT_CODINGS = ['br', 'gzip', 'deflate'];
+
+function normalizeCoding(enc){
+  const e = String(enc || '').trim().toLowerCase();
+  return e === 'x-gzip' ? 'gzip' : e === '' ? 'identity' : e;
+}
+// Best coding the client accepts, preferring what upstream already used.
+function negotiateCoding(acceptEncoding, preferred){
+  const q = {};
+  String(acceptEncoding || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().split(';');
+    if (!name) return;
+    const qp = params.map(x => x.trim()).find(x => /^q=/i.test(x));
+    q[normalizeCoding(name)] = qp ? parseFloat(qp.slice(2)) || 0 : 1;
+  });
+  const ok = c => (q[c] !== undefined ? q[c] : (q['*'] || 0)) > 0;
+  if (preferred !== 'identity' && ok(preferred)) return preferred;
+  return INJECT_CODINGS.find(ok) || 'identity';
+}
+function decoderFor(enc){
+  if (enc === 'br') return zlib.createBrotliDecompress();
+  if (enc === 'gzip') return zlib.createGunzip();
+  if (enc === 'deflate') return zlib.createInflate();
+  return null;
+}
+function encoderFor(enc){
+  if (enc === 'br') return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+  if (enc === 'gzip') return zlib.createGzip();
+  if (enc === 'deflate') return zlib.createDeflate();
+  return null;
+}
+
+// csp: { need, nonce } from the header check; <meta> CSPs seen before the head marker are
+// rewritten as they stream past, and the snippets get whatever nonce that settles on.
+function createInjector(head, tail, csp = { need: scriptNeeds(head + tail), nonce: null }){
+  // scan the head for <meta> CSPs even when only body-end snippets are injected
+  let pending = '', phase = head || tail ? 'head' : 'done';
+  head = Buffer.from(head).toString('latin1'); tail = Buffer.from(tail).toString('latin1');   // UTF-8 bytes, same view as the body
+  const markers = {
+    head: /<\/head\s*>|<body(?=[\s>\/])[^>]*>/i,
+    tail: /<\/body\s*>/i
+  };
+  const snippet = which => withNonce(which === 'head' ? head : tail, csp.nonce);
+  const emit = text => phase === 'head' ? rewriteMetaCsp(text, csp) : text;
+  return new stream.Transform({
+    transform(chunk, _enc, cb){
+      if (phase === 'done') return cb(null, chunk);
+      // latin1 maps bytes 1:1, so multi-byte UTF-8 split across chunks survives untouched
+      pending += chunk.toString('latin1');
+      let out = '';
+      for (let m; phase !== 'done' && (m = markers[phase].exec(pending)); ) {
+        const at = phase === 'head' && m[0][1] !== '/' ? m.index + m[0].length : m.index;
+        out += emit(pending.slice(0, at)) + snippet(phase);
+        pending = pending.slice(at);
+        if (phase === 'head' && m[0][1] === '/') { out += m[0]; pending = pending.slice(m[0].length); }
+        phase = phase === 'head' && tail ? 'tail' : 'done';
+      }
+      if (phase === 'done') { out += pending; pending = ''; }
+      else {
+        const lt = pending.lastIndexOf('<');
+        const hold = lt !== -1 && pending.indexOf('>', lt) === -1 && pending.length - lt <= INJECT_HOLD_MAX ? lt : pending.length;
+        out += emit(pending.slice(0, hold));
+        pending = pending.slice(hold);
+      }
+      cb(null, out ? Buffer.from(out, 'latin1') : undefined);
+    },
+    flush(cb){
+      const rest = phase === 'head' ? emit(pending) + snippet('head') + snippet('tail')
+        : phase === 'tail' ? pending + snippet('tail') : pending;
+      cb(null, rest ? Buffer.from(rest, 'latin1') : undefined);
+    }
+  });
+}
+
+// The injected body is a different (weak) representation: W/"<etag>~cs[w].<fp>".
+function injectedEtag(etag, fp){
+  const m = /^(W\/)?"([^"]*)"$/.exec(String(etag || '').trim());
+  return m ? `W/"${m[2]}~cs${m[1] ? 'w' : ''}.${fp}"` : null;
+}
+// If-None-Match as upstream knows it; entries from an older injection are dropped.
+function upstreamIfNoneMatch(value, fp){
+  return String(value || '').split(',').map(x => x.trim()).filter(Boolean).map(x => {
+    const m = /^W\/"(.*)~cs(w?)\.([0-9a-f]+)"$/.exec(x);
+    if (!m) return x;
+    return m[3] === fp ? `${m[2] ? 'W/' : ''}"${m[1]}"` : null;
+  }).filter(Boolean).join(', ');
+}
+
+// Lets the injected scripts run under a CSP: returns the rewritten policies and the nonce
+// they need (null: every policy already allows them — 'self' for src= scripts,
+// 'unsafe-inline' for inline ones). A nonce a policy already lists is reused; `nonce` is
+// the one already chosen for another policy of the same response.
+function nonceScriptPolicies(policies, need, nonce = null){
+  const out = policies.map(policy => {
+    const dirs = policy.split(';').map(d => d.trim()).filter(Boolean);
+    const find = name => dirs.findIndex(d => d.toLowerCase().split(/\s+/)[0] === name);
+    let i = find('script-src-elem');
+    if (i === -1) i = find('script-src');
+    if (i === -1) i = find('default-src');
+    if (i === -1) return policy;
+    const sources = dirs[i].split(/\s+/).slice(1);
+    const lc = sources.map(x => x.toLowerCase());
+    const strict = lc.includes("'strict-dynamic'");
+    const selfOk = lc.includes("'self'") && !strict;
+    const inlineOk = lc.includes("'unsafe-inline'") && !strict && !lc.some(x => /^'(nonce|sha\d+)-/.test(x));
+    if ((!need.external || selfOk) && (!need.inline || inlineOk)) return policy;
+    const have = sources.find(x => /^'nonce-[^']+'$/i.test(x));
+    if (have && !nonce) { nonce = have.slice(7, -1); return policy; }
+    if (have && have.slice(7, -1) === nonce) return policy;
+    if (inlineOk) {
+      // only src= scripts are missing, and a nonce would switch off the page's own inline scripts
+      dirs[i] = `${dirs[i]} 'self'`;
+    } else {
+      if (!nonce) nonce = crypto.randomBytes(16).toString('base64');
+      dirs[i] = `${dirs[i]} 'nonce-${nonce}'`;
+    }
+    return dirs.join('; ');
+  });
+  return { policies: out, nonce };
+}
+// Which kinds of <script> the injected markup contains.
+function scriptNeeds(html){
+  return {
+    external: /<script\b[^>]*\ssrc\s*=/i.test(html),
+    inline: /<script\b(?![^>]*\ssrc\s*=)[^>]*>/i.test(html)
+  };
+}
+// Same for the Content-Security-Policy response header (mutates hdrs).
+function cspScriptNonce(hdrs, need = { external: true, inline: false }){
+  const raw = hdrs['content-security-policy'];
+  if (!raw) return null;
+  const policies = [].concat(raw).join(',').split(',');
+  const r = nonceScriptPolicies(policies, need);
+  if (r.policies.some((x, i) => x !== policies[i])) hdrs['content-security-policy'] = r.policies.join(',');
+  return r.nonce;
+}
+// ...and for <meta http-equiv="Content-Security-Policy"> tags in the page itself; the
+// browser enforces those on top of the header. Updates state.nonce / state.meta.
+function rewriteMetaCsp(html, state){
+  return html.replace(/<meta\b[^>]*>/gi, tag => {
+    const attr = name => {
+      const m = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(tag);
+      return m ? { at: m.index, len: m[0].length, value: m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[3] } : null;
+    };
+    const equiv = attr('http-equiv'), content = attr('content');
+    if (!equiv || !content || equiv.value.trim().toLowerCase() !== 'content-security-policy') return tag;
+    const policies = htmlUnesc(content.value).split(',');
+    const r = nonceScriptPolicies(policies, state.need, state.nonce);
+    state.nonce = r.nonce;
+    if (r.policies.every((x, i) => x === policies[i])) return tag;
+    state.meta = true;
+    const value = r.policies.join(',').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    return `${tag.slice(0, content.at)} content="${value}"${tag.slice(content.at + content.len)}`;
+  });
+}
+
 /* --------------------- HTTP server --------------------- */
-const server = http.createServer((req,res)=>{
+// Served over plain HTTP on PROXY_PORT and, with TLS_*, over HTTPS (optionally HTTP/2) on TLS_PORT.
+function handleRequest(req, res){
   const u = url.parse(req.url || '/', true);
+  const rec = startAccessRecord(req, res, u);
+  let up = rec.upstream = upstreamForRequest(req);
+  let routeCookie = null;   // set by the shell gate when the payload profile becomes the session's profile
 
   // Public paths and asset detection
   const PUBLIC_PATHS = new Set([
-    '/__up','/__logs','/__events','/__code_logs','/__code_events',
+    '/__up','/__logs','/__events','/__code_logs','/__code_events','/__metrics',
     '/__profiles','/__seed_profiles.js','/__watchdog.js',
     '/__profile','/__ensure_profile_dirs','/favicon.ico'
   ]);
@@ -331,8 +2534,8 @@ const server = http.createServer((req,res)=>{
 
   /* ------------ Health ------------ */
   if (u.pathname === '/__up') {
-    return probeAndNote(ok=>{
-      res.writeHead(ok?200:503, {'content-type':'text/plain','cache-control':'no-store'}).end(ok?'OK':'DOWN');
+    return withUpstreamState(up, ok=>{
+      sendJson(res, ok ? 200 : 503, upstreamSnapshot(up));
     });
   }
 
@@ -343,23 +2546,74 @@ const server = http.createServer((req,res)=>{
       'cache-control': 'no-store, no-cache, must-revalidate, max-age=0'
     });
     return res.end(`(function(){
-      var delay=1500, max=6000;
-      function next(){ delay=Math.min(max, Math.round(delay*1.4)); setTimeout(ping, delay); }
+      var delay=1500, max=6000, timer=null;
+      function next(){ delay=Math.min(max, Math.round(delay*1.4)); timer=setTimeout(ping, delay); }
       async function ping(){
+        timer=null;
         try{
           var r = await fetch('/__up?ts='+Date.now(), {cache:'no-store', credentials:'same-origin'});
           if (r.status !== 200) { location.reload(); return; }
         }catch(e){ location.reload(); return; }
         next();
       }
-      setTimeout(ping, delay);
+      timer=setTimeout(ping, delay);
+
+      // Tell a proxy-side outage close (1012) apart from an ordinary tunnel drop: only the
+      // former checks /__up right away; other drops are left to the workbench's reconnect.
+      var NativeWS = window.WebSocket;
+      if (NativeWS && !NativeWS.__codestrap) {
+        var Wrapped = function(u, protocols){
+          var ws = protocols === undefined ? new NativeWS(u) : new NativeWS(u, protocols);
+          ws.addEventListener('close', function(ev){
+            if (ev.code === 1012) { if (timer) clearTimeout(timer); delay=1500; ping(); }
+            else if (String(ev.reason||'').indexOf('codestrap:') === 0) console.info('[codestrap] websocket closed by proxy:', ev.code, ev.reason);
+          });
+          return ws;
+        };
+        Wrapped.prototype = NativeWS.prototype;
+        ['CONNECTING','OPEN','CLOSING','CLOSED'].forEach(function(k){ Wrapped[k] = NativeWS[k]; });
+        Wrapped.__codestrap = true;
+        window.WebSocket = Wrapped;
+      }
     })();`);
   }
 
-  /* ------------ Proxy logs snapshot ------------ */
+  /* ------------ Metrics (Prometheus text) ------------ */
+  // Admin token, or a scraper address listed in METRICS_ALLOW.
+  if (u.pathname === '/__metrics') {
+    if (!ipListed(metricsAllow, clientIp(req)) && !requireAdmin(req, res)) return;
+    res.writeHead(200, {'content-type':'text/plain; version=0.0.4; charset=utf-8','cache-control':'no-store'});
+    return res.end(renderMetrics());
+  }
+
+  /* ------------ Proxy logs (history + filters) ------------ */
   if (u.pathname === '/__logs') {
-    res.writeHead(200, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
-    return res.end(getLogsText());
+    const q = u.query;
+    const bad = msg => sendJson(res, 400, { error: msg });
+    const since = parseLogTime(q.since), until = parseLogTime(q.until);
+    if (Number.isNaN(since)) return bad('since: expected an ISO time, unix seconds or an age like 15m');
+    if (Number.isNaN(until)) return bad('until: expected an ISO time, unix seconds or an age like 15m');
+    if (q.level && !(q.level in LOG_LEVELS)) return bad(`level: expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+    const cursor = v => (v === undefined || v === '') ? null : (/^\d+$/.test(String(v)) ? +v : NaN);
+    const before = cursor(q.before), after = cursor(q.after);
+    if (Number.isNaN(before) || Number.isNaN(after)) return bad('before/after: expected an entry id');
+    const limit = Math.max(1, Math.min(10000, +q.limit || LOG_CAP));
+    let grep;
+    try { grep = compileGrep(q.grep, isAdmin(req)); } catch (e) { return bad(`grep: ${e.message}`); }
+
+    const r = queryLogs({ since, until, grep, level: q.level || null, limit, before, after });
+    const cursors = {
+      before: r.entries.length ? r.entries[0].id : before,
+      after: r.entries.length ? r.entries[r.entries.length - 1].id : (after !== null ? after : logSeq)
+    };
+    if (q.format === 'json' || /application\/json/.test(req.headers['accept'] || '')) {
+      return sendJson(res, 200, { entries: r.entries, more: r.more, cursors });
+    }
+    const hdrs = {'content-type':'text/plain; charset=utf-8','cache-control':'no-store','x-log-more': String(r.more)};
+    if (cursors.before !== null) hdrs['x-log-cursor-before'] = String(cursors.before);
+    if (cursors.after !== null) hdrs['x-log-cursor-after'] = String(cursors.after);
+    res.writeHead(200, hdrs);
+    return res.end(r.entries.map(e => formatLogEntry(e) + '\n').join(''));
   }
 
   /* ------------ Proxy debug SSE ------------ */
@@ -367,34 +2621,78 @@ const server = http.createServer((req,res)=>{
     res.writeHead(200, {
       'content-type': 'text/event-stream; charset=utf-8',
       'cache-control': 'no-store, no-cache, must-revalidate, max-age=0',
-      'connection': 'keep-alive',
       'x-accel-buffering': 'no'
     });
-    sseClients.add(res);
     res.write(`data: [sse] connected ${new Date().toISOString()}\n\n`);
-    if (lastUp !== null) res.write(`data: upstream=${lastUp ? 'UP' : 'DOWN'}\n\n`);
+    // EventSource resends the last "id:" it saw; replay what happened while disconnected.
+    const lastId = String(req.headers['last-event-id'] || u.query.lastEventId || '');
+    if (/^\d+$/.test(lastId)) {
+      const r = queryLogs({ after: +lastId, limit: 2000 });
+      if (r.more) res.write(`data: [sse] more than 2000 entries missed; replaying the first 2000 (see /__logs?after=${lastId})\n\n`);
+      for (const e of r.entries) res.write(sseLogFrame(e));
+    }
+    sseClients.add(res);
+    const ust = upstreamState(up);
+    if (ust.lastUp !== null) {
+      res.write(`data: upstream=${ust.lastUp ? 'UP' : 'DOWN'}\n\n`);
+      res.write(`event: upstream\ndata: ${JSON.stringify(upstreamSnapshot(up))}\n\n`);
+    }
     req.on('close', ()=>{ try{sseClients.delete(res);}catch(_){ } });
     return;
   }
 
+  /* ------------ Code logs: admin, or a browser past the shell gate ------------ */
+  if (u.pathname === '/__code_logs' || u.pathname === '/__code_logs/download' || u.pathname === '/__code_events') {
+    const sess = getSession(req);
+    if (!isAdmin(req) && !(sess && sess.cur && !sessionProfileLocked(req))) {
+      return sendJson(res, 401, { error: 'admin token or an unlocked profile session required' }, {'www-authenticate': 'Bearer realm="codestrap"'});
+    }
+  }
+
+  /* ------------ Code logs download (NDJSON / gzip) ------------ */
+  if (u.pathname === '/__code_logs/download') {
+    const pq = parseCodeLogQuery(u.query, { tail: 5000, admin: isAdmin(req) });
+    if (pq.error) return sendJson(res, 400, { error: pq.error });
+    const gz = u.query.format === 'gzip';
+    if (u.query.format && !gz && u.query.format !== 'ndjson') return sendJson(res, 400, { error: 'format: expected ndjson or gzip' });
+    const lup = upstreamForAdminQuery(req, u);
+    if (!lup) return sendJson(res, 404, { error: `unknown upstream '${u.query.upstream}'` });
+    if (!dockerAvailable(lup)) return sendJson(res, 503, { error: 'code logs unavailable (docker socket or CODE_SERVICE_NAME)' });
+    resolveContainerId(lup.service, (err, id)=>{
+      if (err || !id) return sendJson(res, 503, { error: `container not found for service '${lup.service}'` });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const meta = { meta: { service: lup.service, upstream: lup.name, container: id.slice(0, 12), generatedAt: new Date().toISOString(),
+        query: { tail: pq.opts.tail, since: pq.opts.since, stream: u.query.stream || null, grep: u.query.grep || null, level: u.query.level || null } } };
+      downloadDockerLogs(id, res, pq.opts, { gz, filename: `code-logs-${lup.service}-${stamp}.ndjson${gz ? '.gz' : ''}`, meta });
+    });
+    return;
+  }
+
   /* ------------ Code logs snapshot ------------ */
   if (u.pathname === '/__code_logs') {
-    if (!docker.wantLogs) {
-      res.writeHead(503, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
-      return res.end('[codelogs] unavailable (docker socket or CODE_SERVICE_NAME)\n');
+    const pq = parseCodeLogQuery(u.query, { admin: isAdmin(req) });
+    if (pq.error) {
+      res.writeHead(400, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
+      return res.end(`[codelogs] ${pq.error}\n`);
+    }
+    const lup = upstreamForAdminQuery(req, u);
+    if (!lup || !dockerAvailable(lup)) {
+      res.writeHead(lup ? 503 : 404, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
+      return res.end(lup ? '[codelogs] unavailable (docker socket or CODE_SERVICE_NAME)\n' : `[codelogs] unknown upstream '${u.query.upstream}'\n`);
     }
-    resolveContainerId((err, id)=>{
+    resolveContainerId(lup.service, (err, id)=>{
       if (err || !id) {
         res.writeHead(503, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
-        return res.end('[codelogs] container not found for CODE_SERVICE_NAME]\n');
+        return res.end(`[codelogs] container not found for service '${lup.service}'\n`);
       }
-      fetchDockerLogsTail(id, 200, (e, text)=>{
+      fetchDockerLogRecords(id, pq.opts, (e, records)=>{
         if (e) {
           res.writeHead(500, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
           return res.end('[codelogs] error reading logs\n');
         }
+        if (u.query.format === 'json') return sendJson(res, 200, { entries: records });
         res.writeHead(200, {'content-type':'text/plain; charset=utf-8','cache-control':'no-store'});
-        res.end(text);
+        res.end(records.map(r => formatCodeLogRecord(r) + '\n').join(''));
       });
     });
     return;
@@ -402,18 +2700,23 @@ const server = http.createServer((req,res)=>{
 
   /* ------------ Code logs SSE ------------ */
   if (u.pathname === '/__code_events') {
+    // Live from 20s ago unless since/tail say otherwise.
+    const pq = parseCodeLogQuery(u.query, { tail: null, since: Math.floor(Date.now()/1000) - 20, admin: isAdmin(req) });
     res.writeHead(200, {
       'content-type': 'text/event-stream; charset=utf-8',
       'cache-control': 'no-store, no-cache, max-age=0',
-      'connection': 'keep-alive',
       'x-accel-buffering': 'no'
     });
-    if (!docker.wantLogs) { res.write(`data: [codelogs] unavailable (docker socket or CODE_SERVICE_NAME)\n\n`); return; }
-    resolveContainerId((err, id)=>{
-      if (err || !id) { res.write(`data: [codelogs] container not found for CODE_SERVICE_NAME\n\n`); return; }
-      const since = Math.floor(Date.now()/1000) - 20;
-      streamDockerLogs(id, res, since);
-      req.on('close', ()=>{ try{res.end();}catch(_){ } });
+    if (pq.error) { res.write(`data: [codelogs] ${pq.error}\n\n`); return res.end(); }
+    if (u.query.tail !== undefined && u.query.since === undefined) pq.opts.since = null;
+    const lup = upstreamForAdminQuery(req, u);
+    if (!lup) { res.write(`data: [codelogs] unknown upstream '${u.query.upstream}'\n\n`); return res.end(); }
+    if (!dockerAvailable(lup)) { res.write(`data: [codelogs] unavailable (docker socket or CODE_SERVICE_NAME)\n\n`); return; }
+    resolveContainerId(lup.service, (err, id)=>{
+      if (err || !id) { res.write(`data: [codelogs] container not found for service '${lup.service}'\n\n`); return; }
+      metrics.codeSseClients++;
+      streamDockerLogs(id, res, pq.opts, u.query.format === 'json');
+      req.on('close', ()=>{ metrics.codeSseClients--; try{res.end();}catch(_){ } });
     });
     return;
   }
@@ -421,17 +2724,21 @@ const server = http.createServer((req,res)=>{
   /* ------------ Profiles list ------------ */
   if (u.pathname === '/__profiles') {
     try {
-      const entries = fs.readdirSync(PROFILES_DIR, { withFileTypes: true });
-      const names = entries
-        .filter(e => e.isFile())
-        .map(e => e.name)
-        .filter(n => /\.profile\.json$/i.test(n))
-        .map(n => n.replace(/\.profile\.json$/i, ''));
+      // Broken profiles are reported separately so the picker/seeder never offer them.
+      const names = [], broken = {};
+      for (const n of listProfileNames()) {
+        const { errors } = checkProfileFile(n);
+        if (errors.length) broken[n] = errors; else names.push(n);
+      }
+      const auth = names.filter(profileRequiresAuth);
+      const sess = getSession(req);
+      const locked = lockedProfile(req);
       res.writeHead(200, {
         'content-type': 'application/json; charset=utf-8',
         'cache-control': 'no-store'
       });
-      return res.end(JSON.stringify({ names }));
+      const serverSync = !!(profileSync.last && profileSync.last.ok);
+      return res.end(JSON.stringify({ names, auth, broken, current: (sess && sess.cur) || null, locked, serverSync }));
     } catch (e) {
       res.writeHead(200, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
       return res.end(JSON.stringify({ names: [], error: 'PROFILES_DIR_unreadable' }));
@@ -439,6 +2746,7 @@ const server = http.createServer((req,res)=>{
   }
 
   /* ------------ Seeder (localStorage + mkdir) ------------ */
+  // Fallback only: skipped while the server-side userDataProfiles sync works.
   if (u.pathname === '/__seed_profiles.js') {
     res.writeHead(200, {
       'content-type': 'application/javascript; charset=utf-8',
@@ -503,7 +2811,10 @@ const server = http.createServer((req,res)=>{
       try{
         fetch('/__profiles?ts='+Date.now(), { cache: 'no-store', credentials: 'same-origin' })
           .then(r => r.ok ? r.json() : {names:[]})
-          .then(j => seedAndEnsure((j && j.names) || []))
+          .then(j => {
+            if (j && j.serverSync) { console.log('[codestrap] profiles are synced server-side; localStorage left alone'); return; }
+            seedAndEnsure((j && j.names) || []);
+          })
           .catch(e => console.warn('[codestrap] /__profiles fetch failed:', e));
       }catch(e){
         console.warn('[codestrap] seed bootstrap failed:', e);
@@ -513,18 +2824,20 @@ const server = http.createServer((req,res)=>{
 
   /* ------------ mkdir for new profiles ------------ */
   if (u.pathname === '/__ensure_profile_dirs' && req.method === 'POST') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', ()=>{
+    const secs = rateLimitWait(`dirs:${clientIp(req)}`, DIRS_PER_MIN);
+    if (secs) return sendJson(res, 429, { ok:false, error:'rate_limited', retryAfter: secs }, {'retry-after': String(secs)});
+    readBody(req, JSON_BODY_LIMIT, (err, body)=>{
+      if (err) return sendJson(res, 413, { ok:false, error: err.message });
       try {
         const { names } = JSON.parse(body||'{}');
         if (!Array.isArray(names)) throw new Error('names must be an array');
         let made = 0;
+        const owner = dataDirOwner();
         for (const name of names) {
-          if (!name || /[\\/]/.test(name)) continue;
-          const p = `${PROFILE_DATA_BASE}/${name}`;
+          if (!isValidProfileName(name)) continue;
+          const p = path.join(PROFILE_DATA_BASE, name);
           try {
-            fs.mkdirSync(p, { recursive: true, mode: 0o755 });
+            if (!fs.existsSync(p)) { fs.mkdirSync(p, { recursive: true, mode: 0o755 }); chownTo(owner, p); }
             made++;
           } catch (e) {
             pushLog(`[profiles] mkdir failed for ${p}: ${e.message}`);
@@ -540,9 +2853,298 @@ const server = http.createServer((req,res)=>{
     return;
   }
 
-  /* ------------ Profile picker (no password) ------------ */
+  /* ------------ Admin API: userDataProfiles sync ------------ */
+  //   GET  /__api/profile-sync           → result of the last run
+  //   POST /__api/profile-sync[?dryRun=1] → run now, returns the diff
+  if (u.pathname === '/__api/profile-sync') {
+    if (!requireAdmin(req, res)) return;
+    if (req.method === 'GET') return sendJson(res, 200, profileSync.last || { ok: false, error: 'not run yet' });
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'use GET or POST' }, { 'Allow': 'GET, POST' });
+    const dryRun = u.query.dryRun === '1' || u.query.dryRun === 'true';
+    const diff = reconcileProfiles({ dryRun });
+    if (!dryRun) pushLog(`[api] profile sync run by admin from ${clientIp(req)}`);
+    return sendJson(res, diff.ok ? 200 : 500, diff);
+  }
+
+  /* ------------ Admin API: profile CRUD ------------ */
+  //   GET    /__api/profiles               → list (name, auth, valid)
+  //   POST   /__api/profiles               → create  { name, profile }
+  //   GET    /__api/profiles/:name         → profile JSON
+  //   PUT    /__api/profiles/:name         → replace (body = profile JSON)
+  //   DELETE /__api/profiles/:name         → archive, then remove file, entry and data
+  //                                           (409 + confirm token first; ?confirm=<token>,
+  //                                           ?archive=0 skips the archive)
+  //   POST   /__api/profiles/:name/clone   → copy    { name }
+  //   POST   /__api/profiles/:name/archive → archive, then remove (restorable)
+  //   GET    /__api/profiles/:name/export  → bundle download (?vsix=1 adds the .vsix files)
+  //   POST   /__api/profiles/:name/import  → body = bundle: validate + diff (+ confirm token);
+  //                                           again with ?confirm=<token> to apply (?pin=1)
+  const apiM = /^\/__api\/profiles(?:\/([^/]+))?(?:\/(clone|archive|export|import))?\/?$/.exec(u.pathname || '');
+  if (apiM) {
+    if (!requireAdmin(req, res)) return;
+    let name = '';
+    try { name = apiM[1] ? decodeURIComponent(apiM[1]) : ''; } catch (_) { return sendJson(res, 400, { error: 'invalid profile name' }); }
+    const clone = apiM[2] === 'clone';
+    const archive = apiM[2] === 'archive';
+    if (name && !isValidProfileName(name)) return sendJson(res, 400, { error: 'invalid profile name' });
+    const exists = n => fs.existsSync(profileJsonPath(n));
+    const withJsonBody = (fn) => readBody(req, JSON_BODY_LIMIT, (err, body)=>{
+      if (err) return sendJson(res, 413, { error: err.message });
+      let j; try { j = JSON.parse(body || 'null'); } catch (e) { return sendJson(res, 400, { error: `invalid JSON: ${e.message}` }); }
+      try { fn(j); } catch (e) { pushLog(`[api] ${req.method} ${u.pathname} failed: ${e.message}`); sendJson(res, 500, { error: e.message }); }
+    });
+    const checked = (prof) => {
+      const errors = validateProfile(prof);
+      if (errors.length) { sendJson(res, 422, { error: 'profile validation failed', errors }); return false; }
+      return true;
+    };
+    const badName = () => sendJson(res, 422, { error: 'profile validation failed', errors: [{ pointer: '/name', message: 'must match [A-Za-z0-9._-]{1,64}' }] });
+
+    if (!name && req.method === 'GET') {
+      try {
+        const profiles = listProfileNames().map(n => {
+          const { profile, errors } = checkProfileFile(n);
+          return { name: n, auth: !!(profile && profile.auth === true), valid: !errors.length, errors };
+        });
+        return sendJson(res, 200, { profiles });
+      } catch (e) { return sendJson(res, 500, { error: 'PROFILES_DIR_unreadable' }); }
+    }
+    if (!name && req.method === 'POST') {
+      return withJsonBody(j => {
+        const n = j && typeof j.name === 'string' ? j.name.trim() : '';
+        if (!isValidProfileName(n)) return badName();
+        if (exists(n)) return sendJson(res, 409, { error: `profile '${n}' already exists` });
+        const prof = j.profile === undefined ? {} : j.profile;
+        if (!checked(prof)) return;
+        writeProfileJson(n, prof);
+        pushLog(`[api] created profile '${n}'`);
+        requestProfileSync();
+        sendJson(res, 201, { ok: true, name: n, profile: prof }, { location: `/__api/profiles/${encodeURIComponent(n)}` });
+      });
+    }
+    if (name && clone && req.method === 'POST') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found` });
+      return withJsonBody(j => {
+        const n = j && typeof j.name === 'string' ? j.name.trim() : '';
+        if (!isValidProfileName(n)) return badName();
+        if (exists(n)) return sendJson(res, 409, { error: `profile '${n}' already exists` });
+        const prof = readProfileJson(name);
+        if (!prof) return sendJson(res, 422, { error: `profile '${name}' is not valid JSON` });
+        if (!checked(prof)) return;
+        writeProfileJson(n, prof);
+        pushLog(`[api] cloned profile '${name}' → '${n}'`);
+        requestProfileSync();
+        sendJson(res, 201, { ok: true, name: n, from: name, profile: prof }, { location: `/__api/profiles/${encodeURIComponent(n)}` });
+      });
+    }
+    if (name && archive && req.method === 'POST') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found` });
+      return archiveProfile(name, { reason: 'archive', by: clientIp(req) }, (e, info) => {
+        if (e) { pushLog(`[api] archiving '${name}' failed: ${e.message}`, 'error'); return sendJson(res, e.status || 500, { error: e.message }); }
+        sendJson(res, 200, { ok: true, name, archived: info.id, bytes: info.bytes, removed: info.removed });
+      });
+    }
+    if (name && apiM[2] === 'export' && req.method === 'GET') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found` });
+      const tmp = bundleTmpFile('export');
+      return exportBundle(name, tmp, { paths: bundlePaths(), vsix: u.query.vsix === '1' }, (e, manifest) => {
+        if (e) { try { fs.unlinkSync(tmp); } catch (_) {} return sendJson(res, 422, { error: e.message }); }
+        const size = fs.statSync(tmp).size;
+        res.writeHead(200, {
+          'content-type': 'application/gzip',
+          'content-length': size,
+          'content-disposition': `attachment; filename="${name}${BUNDLE_SUFFIX}"`,
+          'cache-control': 'no-store'
+        });
+        stream.pipeline(fs.createReadStream(tmp), res, () => { try { fs.unlinkSync(tmp); } catch (_) {} });
+        pushLog(`[api] exported profile '${name}' (${manifest.files.length} files, ${size} bytes)`);
+      });
+    }
+    if (name && apiM[2] === 'import' && req.method === 'POST') {
+      const tmp = bundleTmpFile('import');
+      return saveBody(req, tmp, BUNDLE_MAX_BYTES, (e, body) => {
+        if (e) return sendJson(res, e.status || 400, { error: e.message });
+        readBundle(tmp, (re, b) => {
+          const done = (status, obj) => { if (b) b.cleanup(); try { fs.unlinkSync(tmp); } catch (_) {} sendJson(res, status, obj); };
+          if (re) return done(400, { error: re.message });
+          if (b.errors.length) return done(422, { error: 'bundle validation failed', errors: b.errors });
+          const opts = { paths: bundlePaths(), pin: u.query.pin === '1' };
+          const diff = diffBundle(b, name, opts);
+          const target = `${name}|${body.sha256}`;
+          if (!checkConfirmToken(u.query.confirm, 'import-profile', target)) {
+            return done(u.query.confirm ? 409 : 200, {
+              ok: !u.query.confirm, applied: false, name, sha256: body.sha256, diff, text: formatDiff(diff),
+              ...(u.query.confirm ? { error: 'confirmation token invalid or expired' } : {}),
+              confirm: confirmToken('import-profile', target), expiresInSec: CONFIRM_TTL_MS / 1000,
+              hint: 'POST the same bundle again with ?confirm=<token> to apply'
+            });
+          }
+          let r;
+          try { r = applyBundle(b, name, opts); }
+          catch (ae) { pushLog(`[api] import into '${name}' failed: ${ae.message}`, 'error'); return done(500, { error: ae.message }); }
+          pushLog(`[api] imported bundle '${diff.from}' as profile '${name}' (${r.written.length} files)`);
+          requestProfileSync();
+          done(201, { ok: true, applied: true, name, diff, written: r.written });
+        });
+      });
+    }
+    if (apiM[2]) return sendJson(res, 405, { error: `use ${apiM[2] === 'export' ? 'GET' : 'POST'}` });
+    if (name && !clone && req.method === 'GET') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found` });
+      const prof = readProfileJson(name);
+      if (!prof) return sendJson(res, 422, { error: `profile '${name}' is not valid JSON` });
+      return sendJson(res, 200, prof);
+    }
+    if (name && !clone && req.method === 'PUT') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found (use POST /__api/profiles to create)` });
+      return withJsonBody(prof => {
+        if (!checked(prof)) return;
+        writeProfileJson(name, prof);
+        pushLog(`[api] updated profile '${name}'`);
+        requestProfileSync();
+        sendJson(res, 200, { ok: true, name, profile: prof });
+      });
+    }
+    if (name && !clone && req.method === 'DELETE') {
+      if (!exists(name)) return sendJson(res, 404, { error: `profile '${name}' not found` });
+      if (!requireConfirmation(req, res, u, 'delete-profile', name)) return;
+      const keep = u.query.archive !== '0';
+      return archiveProfile(name, { reason: 'delete', by: clientIp(req), keep }, (e, info) => {
+        if (e) { pushLog(`[api] deleting '${name}' failed: ${e.message}`, 'error'); return sendJson(res, e.status || 500, { error: e.message }); }
+        sendJson(res, 200, { ok: true, name, deleted: true, archived: info.id || null, removed: info.removed });
+      });
+    }
+    return sendJson(res, 405, { error: `method ${req.method} not allowed here` });
+  }
+
+  /* ------------ Admin API: profile archives ------------ */
+  //   GET    /__api/archives               → archived profiles (newest first)
+  //   POST   /__api/archives/:id/restore   → unpack as a profile again (?as=<new name>)
+  //   DELETE /__api/archives/:id           → drop the archive (409 + confirm token first)
+  const arM = /^\/__api\/archives(?:\/([^/]+))?(\/restore)?\/?$/.exec(u.pathname || '');
+  if (arM) {
+    if (!requireAdmin(req, res)) return;
+    let id = '';
+    try { id = arM[1] ? decodeURIComponent(arM[1]) : ''; } catch (_) { return sendJson(res, 400, { error: 'invalid archive id' }); }
+    if (id && !ARCHIVE_ID_RE.test(id)) return sendJson(res, 400, { error: 'invalid archive id' });
+    if (!id) {
+      if (req.method !== 'GET') return sendJson(res, 405, { error: `method ${req.method} not allowed here` });
+      return sendJson(res, 200, { dir: PROFILE_ARCHIVE_DIR, archives: listArchives() });
+    }
+    const p = archivePaths(id);
+    if (!fs.existsSync(p.tar)) return sendJson(res, 404, { error: `archive '${id}' not found` });
+    if (arM[2]) {
+      if (req.method !== 'POST') return sendJson(res, 405, { error: 'use POST' });
+      const as = u.query.as ? String(u.query.as).trim() : '';
+      return restoreArchive(id, as, (e, info) => {
+        if (e) {
+          if (!e.status) pushLog(`[api] restoring ${id} failed: ${e.message}`, 'error');
+          return sendJson(res, e.status || 500, { error: e.message });
+        }
+        sendJson(res, 201, Object.assign({ ok: true }, info), { location: `/__api/profiles/${encodeURIComponent(info.name)}` });
+      });
+    }
+    if (req.method !== 'DELETE') return sendJson(res, 405, { error: `method ${req.method} not allowed here` });
+    if (!requireConfirmation(req, res, u, 'delete-archive', id)) return;
+    try { fs.unlinkSync(p.tar); fs.rmSync(p.manifest, { force: true }); }
+    catch (e) { return sendJson(res, 500, { error: e.message }); }
+    pushLog(`[api] deleted archive ${id}`);
+    return sendJson(res, 200, { ok: true, id, deleted: true });
+  }
+
+  /* ------------ Admin API: code-server container ------------ */
+  //   GET  /__api/container                    → state, health, uptime, restart count
+  //   POST /__api/container/restart|stop|start → lifecycle via DOCKER_SOCK (?t=<stop timeout s>)
+  //   ?upstream=<profile|name|host> picks another routed upstream (default: the caller's).
+  const ctM = /^\/__api\/container(?:\/([a-z]+))?\/?$/.exec(u.pathname || '');
+  if (ctM) {
+    if (!requireAdmin(req, res)) return;
+    const cup = upstreamForAdminQuery(req, u);
+    if (!cup) return sendJson(res, 404, { error: `unknown upstream '${u.query.upstream}'` });
+    if (!dockerAvailable(cup)) return sendJson(res, 503, { error: 'docker control unavailable (socket or CODE_SERVICE_NAME)' });
+    const action = ctM[1] || '';
+    if (!action) {
+      if (req.method !== 'GET') return sendJson(res, 405, { error: `method ${req.method} not allowed here` });
+      return inspectCodeContainer(cup, (e, c)=> e ? sendJson(res, 502, { error: e.message }) : sendJson(res, 200, c));
+    }
+    if (!CONTAINER_ACTIONS.includes(action)) return sendJson(res, 404, { error: `unknown action '${action}' (${CONTAINER_ACTIONS.join(', ')})` });
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'use POST' });
+    const t = Math.max(0, Math.min(300, +(u.query.t || 10) || 0));
+    pushLog(`[docker] ${action} of '${cup.service}' requested by admin from ${clientIp(req)}`);
+    return codeContainerAction(cup, action, t, (e, result)=>{
+      if (e) { pushLog(`[docker] ${action} failed: ${e.message}`); return sendJson(res, 502, { error: e.message }); }
+      pushLog(`[docker] ${action} ${result === 'noop' ? 'not needed (already in that state)' : 'done'}`);
+      inspectCodeContainer(cup, (ie, c)=> sendJson(res, 200, { ok: true, action, result, container: ie ? null : c }));
+    });
+  }
+
+  /* ------------ Admin API: WebSocket tunnels ------------ */
+  //   GET    /__api/tunnels[?profile=&upstream=&ip=]        → open tunnels
+  //   DELETE /__api/tunnels/:id                             → close one
+  //   DELETE /__api/tunnels?profile=|upstream=|ip=|idleMs=|all=1 → close the matching ones
+  const tunM = /^\/__api\/tunnels(?:\/(\d+))?\/?$/.exec(u.pathname || '');
+  if (tunM) {
+    if (!requireAdmin(req, res)) return;
+    const q = u.query;
+    if (tunM[1]) {
+      if (req.method !== 'DELETE') return sendJson(res, 405, { error: 'use DELETE' });
+      const t = tunnels.get(+tunM[1]);
+      if (!t) return sendJson(res, 404, { error: `no open tunnel #${tunM[1]}` });
+      pushLog(`[ws] tunnel #${t.id} ${t.path} closed by admin from ${clientIp(req)}`);
+      closeTunnel(t, 'admin');
+      return sendJson(res, 200, { ok: true, closed: [tunnelInfo(t)] });
+    }
+    const idleMs = q.idleMs !== undefined ? +q.idleMs : null;
+    if (idleMs !== null && !(idleMs >= 0)) return sendJson(res, 400, { error: 'idleMs: expected milliseconds' });
+    const now = Date.now();
+    const match = t => (!q.profile || t.profile === q.profile) && (!q.upstream || t.up.name === q.upstream)
+      && (!q.ip || t.ip === q.ip) && (idleMs === null || now - t.lastActivity >= idleMs);
+    const list = [...tunnels.values()].filter(match);
+    if (req.method === 'GET') return sendJson(res, 200, { count: list.length, idleLimitMs: TUNNEL_IDLE_MS, maxPerIp: TUNNEL_MAX_PER_IP, tunnels: list.map(tunnelInfo) });
+    if (req.method !== 'DELETE') return sendJson(res, 405, { error: `method ${req.method} not allowed here` });
+    if (!q.profile && !q.upstream && !q.ip && idleMs === null && q.all !== '1') return sendJson(res, 400, { error: 'add a filter (profile, upstream, ip, idleMs) or all=1' });
+    const closed = list.map(t => { const info = tunnelInfo(t); closeTunnel(t, 'admin'); return info; });
+    pushLog(`[ws] ${closed.length} tunnel(s) closed by admin from ${clientIp(req)}`);
+    return sendJson(res, 200, { ok: true, closed });
+  }
+
+  /* ------------ Admin API: injection registry ------------ */
+  //   GET /__api/injections[?path=&profile=] → loaded snippets and errors; with path, which apply
+  if (u.pathname === '/__api/injections') {
+    if (!requireAdmin(req, res)) return;
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'use GET' });
+    const reg = injectionRegistry();
+    const body = { file: reg.file, exists: reg.exists, snippets: reg.snippets.map(describeSnippet), errors: reg.errors };
+    if (u.query.path) {
+      const p = String(u.query.path), profile = String(u.query.profile || '');
+      body.applies = reg.snippets.filter(x => x.matchers.some(m => m(p)) && (!x.profiles || x.profiles.includes(profile))).map(x => x.id);
+      if (shouldInjectWatchdog(p)) body.applies.unshift('watchdog');
+    }
+    return sendJson(res, 200, body);
+  }
+
+  /* ------------ Extension gallery (policy filter) ------------ */
+  if (u.pathname === GALLERY_PREFIX || u.pathname.startsWith(GALLERY_PREFIX + '/')) return handleGallery(req, res, u);
+
+  /* ------------ Profile picker ------------ */
+  if (u.pathname === '/__policies') {
+    const pol = currentPolicies();
+    return sendJson(res, 200, { file: pol.file, exists: pol.exists, policies: pol.values, errors: pol.errors });
+  }
+
   if (u.pathname === '/__profile' && req.method === 'GET') {
     const next = u.query.next || '/';
+    const ERRORS = {
+      badprofile: 'Pick a profile first.',
+      badpass:    'Incorrect password.',
+      auth:       'This profile requires a password.',
+      noauth:     'No credentials have been set up for this profile. Ask an admin to seed them.',
+      broken:     'That profile file is invalid. Fix it (see /__profiles) and try again.',
+      locked:     'Too many failed attempts. Try again in {wait}.',
+      policy:     policyDenial('allow-profiles-change')
+    };
+    const wait = Math.max(0, parseInt(u.query.wait, 10) || 0);
+    const errMsg = (ERRORS[u.query.e] || '').replace('{wait}', wait >= 90 ? `${Math.ceil(wait/60)} min` : `${wait}s`);
     res.writeHead(200, {'content-type':'text/html; charset=utf-8','cache-control':'no-store'});
     return res.end(`<!doctype html><meta charset="utf-8"><title>Select a profile</title>
 <style>
@@ -550,9 +3152,17 @@ const server = http.createServer((req,res)=>{
   form{background:#111827;border:1px solid #374151;border-radius:12px;padding:20px;min-width:320px}
   h1{margin:0 0 10px 0;font-size:18px}
   label{display:block;margin:8px 0 4px 0}
-  select{width:100%;padding:8px;border-radius:8px;border:1px solid #374151;background:#0b1220;color:#e5e7eb}
+  select,input[type=password]{width:100%;box-sizing:border-box;padding:8px;border-radius:8px;border:1px solid #374151;background:#0b1220;color:#e5e7eb}
   button{margin-top:12px;padding:10px 12px;border-radius:8px;border:1px solid #374151;background:#1f2937;color:#e5e7eb;cursor:pointer}
   .msg{opacity:.8;margin-bottom:8px}
+  .err{color:#f87171;margin:8px 0 0 0}
+  details{background:#111827;border:1px solid #374151;border-radius:12px;padding:12px 20px;margin-top:12px;max-width:360px}
+  summary{cursor:pointer}
+  details input{width:100%;box-sizing:border-box;padding:8px;border-radius:8px;border:1px solid #374151;background:#0b1220;color:#e5e7eb;margin-top:8px}
+  #archives{list-style:none;padding:0;margin:8px 0 0 0}
+  #archives li{display:flex;gap:8px;align-items:center;justify-content:space-between;padding:6px 0;border-top:1px solid #1f2937}
+  #archives button{margin:0;padding:4px 8px}
+  .small{font-size:12px;opacity:.7}
 </style>
 <div>
   <form method="POST" action="/__profile">
@@ -560,25 +3170,93 @@ const server = http.createServer((req,res)=>{
     <div class="msg">Pick the profile you want to use.</div>
     <label>Profile</label>
     <select name="profile" id="profile"></select>
-    <input type="hidden" name="next" value="${String(next).replace(/"/g,'&quot;')}"/>
-    <button type="submit">Use this profile</button>
+    <div id="pw-row" hidden>
+      <label for="password">Password</label>
+      <input type="password" name="password" id="password" autocomplete="current-password"/>
+    </div>
+    <input type="hidden" name="next" value="${htmlEsc(next)}"/>
+    ${errMsg ? `<div class="err" role="alert" id="err">${htmlEsc(errMsg)}</div>` : ''}
+    <button type="submit" id="go">Use this profile</button>
   </form>
+  ${ADMIN_TOKEN ? `<details id="archived">
+    <summary>Archived profiles (admin)</summary>
+    <input type="password" id="admin-token" placeholder="Admin token" autocomplete="off">
+    <button type="button" id="archives-load">Show archives</button>
+    <ul id="archives"></ul>
+    <div class="small" id="archives-msg"></div>
+  </details>` : ''}
 </div>
 <script>
+const wanted = ${JSON.stringify(String(u.query.profile || '')).replace(/</g,'\\u003c')};
 fetch('/__profiles',{cache:'no-store'}).then(r=>r.json()).then(j=>{
   const sel = document.getElementById('profile'); if(!sel) return;
-  (j.names||[]).forEach(n=>{ const o=document.createElement('option'); o.value=n; o.textContent=n; sel.appendChild(o); });
+  const auth = new Set(j.auth||[]);
+  const row = document.getElementById('pw-row'), pw = document.getElementById('password');
+  (j.names||[]).forEach(n=>{ const o=document.createElement('option'); o.value=n; o.textContent=auth.has(n) ? n+' 🔒' : n; sel.appendChild(o); });
+  Object.keys(j.broken||{}).forEach(n=>{
+    const o=document.createElement('option'); o.value=n; o.disabled=true;
+    const first=(j.broken[n]||[])[0]||{};
+    o.textContent=n+' — invalid'; o.title=(first.pointer||'(root)')+': '+(first.message||'');
+    sel.appendChild(o);
+  });
+  if (j.locked) [...sel.options].forEach(o=>{ if (o.value!==j.locked) { o.disabled=true; o.title='Switching profiles is disabled by policy'; } });
+  if (wanted) sel.value = wanted;
+  function sync(){ const need = auth.has(sel.value); row.hidden = !need; pw.required = need; if (need) pw.focus(); }
+  sel.addEventListener('change', sync); sync();
 });
+(function archivedProfiles(){
+  const box = document.getElementById('archived'); if (!box) return;
+  const tokEl = document.getElementById('admin-token'), list = document.getElementById('archives'), msg = document.getElementById('archives-msg');
+  const api = (path, method) => fetch(path, { method: method || 'GET', headers:{ authorization:'Bearer ' + tokEl.value.trim() }, cache:'no-store' })
+    .then(r => r.json().catch(()=>({})).then(j => { if (!r.ok) throw new Error(r.status === 401 ? 'Wrong admin token.' : (j.error || r.status)); return j; }));
+  function load(){
+    if (!tokEl.value.trim()) { msg.textContent = 'Enter the admin token (PROXY_ADMIN_TOKEN).'; tokEl.focus(); return; }
+    msg.textContent = 'Loading…';
+    api('/__api/archives').then(j => {
+      list.textContent = '';
+      (j.archives||[]).forEach(a => {
+        const li = document.createElement('li'), label = document.createElement('span'), btn = document.createElement('button');
+        label.textContent = a.name + ' '; label.title = a.id;
+        const when = document.createElement('span'); when.className = 'small';
+        when.textContent = (a.archivedAt || '').replace('T',' ').slice(0,16) + (a.reason === 'delete' ? ' · deleted' : '');
+        label.appendChild(when);
+        btn.type = 'button'; btn.textContent = 'Restore';
+        btn.addEventListener('click', () => {
+          const as = prompt('Restore as profile:', a.name); if (!as) return;
+          btn.disabled = true; msg.textContent = 'Restoring ' + a.name + '…';
+          api('/__api/archives/' + encodeURIComponent(a.id) + '/restore?as=' + encodeURIComponent(as), 'POST')
+            .then(r => { msg.textContent = 'Restored as ' + r.name + '. Reloading…'; setTimeout(()=>location.reload(), 800); })
+            .catch(e => { msg.textContent = 'Restore failed: ' + e.message; btn.disabled = false; });
+        });
+        li.append(label, btn); list.appendChild(li);
+      });
+      msg.textContent = (j.archives||[]).length ? '' : 'No archived profiles.';
+    }).catch(e => { msg.textContent = e.message; });
+  }
+  document.getElementById('archives-load').addEventListener('click', load);
+})();
+(function lockCountdown(){
+  let left = ${u.query.e === 'locked' ? wait : 0};
+  const go = document.getElementById('go'), err = document.getElementById('err');
+  if (!left || !go) return;
+  go.disabled = true;
+  const t = setInterval(()=>{
+    left--;
+    if (left <= 0) { clearInterval(t); go.disabled = false; if (err) err.textContent = 'You can try again now.'; return; }
+    if (err) err.textContent = 'Too many failed attempts. Try again in ' + left + 's.';
+  }, 1000);
+})();
 </script>`);
   }
 
   if (u.pathname === '/__profile' && req.method === 'POST') {
-    let body=''; req.on('data', c=> body+=c);
-    req.on('end', ()=>{
+    readBody(req, 16 * 1024, (err, body)=>{
+      if (err) { res.writeHead(413, {'content-type':'text/plain'}); return res.end('payload too large'); }
       const m = new URLSearchParams(body);
       const profile = (m.get('profile')||'').trim();
-      const next = m.get('next') || '/';
-      if (!profile) {
+      const next = safeNext(m.get('next'));
+      const back = (e)=> `/__profile?e=${e}&profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(next)}`;
+      if (!profile || !isValidProfileName(profile)) {
         res.writeHead(302, {'Location':'/__profile?e=badprofile'}); return res.end();
       }
       let target = next || '/';
@@ -592,8 +3270,147 @@ fetch('/__profiles',{cache:'no-store'}).then(r=>r.json()).then(j=>{
           target = url.format(parsed);
         }
       } catch(_){}
-      res.writeHead(302, {'Location': target});
+      if (fs.existsSync(profileJsonPath(profile)) && checkProfileFile(profile).errors.length) {
+        res.writeHead(302, {'Location': back('broken')}); return res.end();
+      }
+      if (!profileChangeAllowed(req, profile)) {
+        pushLog(`[policy] profile switch '${getSession(req).cur}' → '${profile}' denied for ${clientIp(req)}`);
+        res.writeHead(302, {'Location': back('policy')}); return res.end();
+      }
+      if (!profileRequiresAuth(profile)) {
+        applyProfileExtensions(profile);
+        res.writeHead(302, {'Location': target, 'Set-Cookie': sessionCookieWith(req, profile, { unlock: false })});
+        return res.end();
+      }
+      if (!readAuthFile(profile)) {
+        pushLog(`[auth] profile '${profile}' requires auth but has no auth file at ${authFilePath(profile)}`);
+        res.writeHead(302, {'Location': back('noauth')}); return res.end();
+      }
+      const ip = clientIp(req);
+      const keys = [`ip:${ip}`, `profile:${profile}`];
+      const wait = lockRemainingMs(keys);
+      if (wait) {
+        res.writeHead(302, {'Location': `${back('locked')}&wait=${Math.ceil(wait/1000)}`, 'Retry-After': String(Math.ceil(wait/1000))});
+        return res.end();
+      }
+      // Count the attempt before the (async) scrypt check so parallel guesses run into the
+      // lock too; a correct password clears the counters again.
+      noteFailure(keys);
+      verifyProfilePassword(profile, m.get('password'), (e, ok)=>{
+        if (e) pushLog(`[auth] verify failed for '${profile}': ${e.message}`);
+        if (!ok) {
+          pushLog(`[auth] bad password for profile '${profile}' from ${ip}`);
+          const w = lockRemainingMs(keys);
+          res.writeHead(302, {'Location': w ? `${back('locked')}&wait=${Math.ceil(w/1000)}` : back('badpass')});
+          return res.end();
+        }
+        noteSuccess(keys);
+        pushLog(`[auth] profile '${profile}' unlocked from ${ip}`);
+        applyProfileExtensions(profile);
+        const dest = authNeedsChange(profile)
+          ? `/__profile/change-password?profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(target)}`
+          : target;
+        res.writeHead(302, {'Location': dest, 'Set-Cookie': sessionCookieWith(req, profile)});
+        res.end();
+      });
+    });
+    return;
+  }
+
+  /* ------------ Re-materialize a profile's extensions (JSON report) ------------ */
+  if (u.pathname === '/__profile/apply') {
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'use POST' }, { 'Allow': 'POST' });
+    const profile = String(u.query.profile || '').trim();
+    if (!isValidProfileName(profile)) return sendJson(res, 400, { error: 'invalid profile name' });
+    if (profileRequiresAuth(profile) && !sessionCovers(getSession(req), profile) && !isAdmin(req)) {
+      return sendJson(res, 401, { error: `profile '${profile}' requires sign-in` });
+    }
+    try {
+      const r = materializeProfileExtensions(profile);
+      if (r.skipped) return sendJson(res, 200, { ok: true, ...r });
+      pushLog(`[extensions] profile '${profile}' applied via /__profile/apply (+${r.added.length} -${r.removed.length} missing ${r.missing.length})`);
+      return sendJson(res, 200, { ok: true, ...r });
+    } catch (e) {
+      pushLog(`[extensions] /__profile/apply '${profile}' failed: ${e.message}`);
+      return sendJson(res, 500, { ok: false, profile, error: e.message });
+    }
+  }
+
+  /* ------------ Forced password change (seeded credentials) ------------ */
+  if (u.pathname === '/__profile/change-password' && req.method === 'GET') {
+    const profile = String(u.query.profile || '');
+    const next = safeNext(u.query.next);
+    if (!isValidProfileName(profile) || !sessionCovers(getSession(req), profile)) {
+      res.writeHead(302, {'Location': `/__profile?e=auth&profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(next)}`});
       return res.end();
+    }
+    const ERRORS = {
+      short:    'Password must be at least 8 characters.',
+      mismatch: 'Passwords do not match.',
+      same:     'Choose a password different from the current one.',
+      write:    'Could not save the new password. Check the proxy logs.'
+    };
+    const errMsg = ERRORS[u.query.e] || '';
+    const forced = authNeedsChange(profile);
+    res.writeHead(200, {'content-type':'text/html; charset=utf-8','cache-control':'no-store'});
+    return res.end(`<!doctype html><meta charset="utf-8"><title>Change password</title>
+<style>
+  body{font:14px system-ui;background:#0f172a;color:#e5e7eb;display:grid;place-items:center;height:100vh;margin:0}
+  form{background:#111827;border:1px solid #374151;border-radius:12px;padding:20px;min-width:320px;max-width:380px}
+  h1{margin:0 0 10px 0;font-size:18px}
+  label{display:block;margin:8px 0 4px 0}
+  input[type=password]{width:100%;box-sizing:border-box;padding:8px;border-radius:8px;border:1px solid #374151;background:#0b1220;color:#e5e7eb}
+  button{margin-top:12px;padding:10px 12px;border-radius:8px;border:1px solid #374151;background:#1f2937;color:#e5e7eb;cursor:pointer}
+  .msg{opacity:.8;margin-bottom:8px}
+  .err{color:#f87171;margin:8px 0 0 0}
+</style>
+<div>
+  <form method="POST" action="/__profile/change-password">
+    <h1>Change password for “${htmlEsc(profile)}”</h1>
+    <div class="msg">${forced ? 'This profile is still using its default password. Set a new one to continue.' : 'Set a new password for this profile.'}</div>
+    <label for="password">New password</label>
+    <input type="password" name="password" id="password" autocomplete="new-password" minlength="8" required autofocus/>
+    <label for="confirm">Confirm new password</label>
+    <input type="password" name="confirm" id="confirm" autocomplete="new-password" minlength="8" required/>
+    <input type="hidden" name="profile" value="${htmlEsc(profile)}"/>
+    <input type="hidden" name="next" value="${htmlEsc(next)}"/>
+    ${errMsg ? `<div class="err" role="alert">${htmlEsc(errMsg)}</div>` : ''}
+    <button type="submit">Change password</button>
+  </form>
+</div>`);
+  }
+
+  if (u.pathname === '/__profile/change-password' && req.method === 'POST') {
+    readBody(req, 16 * 1024, (err, body)=>{
+      if (err) { res.writeHead(413, {'content-type':'text/plain'}); return res.end('payload too large'); }
+      const m = new URLSearchParams(body);
+      const profile = (m.get('profile')||'').trim();
+      const next = safeNext(m.get('next'));
+      const pw = m.get('password') || '', cf = m.get('confirm') || '';
+      const back = (e)=> `/__profile/change-password?e=${e}&profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(next)}`;
+      if (!isValidProfileName(profile) || !sessionCovers(getSession(req), profile)) {
+        res.writeHead(302, {'Location': `/__profile?e=auth&profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(next)}`});
+        return res.end();
+      }
+      const wait = lockRemainingMs([`ip:${clientIp(req)}`, `profile:${profile}`]);
+      if (wait) {
+        res.writeHead(302, {'Location': `/__profile?e=locked&wait=${Math.ceil(wait/1000)}&profile=${encodeURIComponent(profile)}&next=${encodeURIComponent(next)}`});
+        return res.end();
+      }
+      if (pw.length < 8) { res.writeHead(302, {'Location': back('short')}); return res.end(); }
+      if (pw !== cf)     { res.writeHead(302, {'Location': back('mismatch')}); return res.end(); }
+      verifyProfilePassword(profile, pw, (_e, same)=>{
+        if (same) { res.writeHead(302, {'Location': back('same')}); return res.end(); }
+        setProfilePassword(profile, pw, (e)=>{
+          if (e) {
+            pushLog(`[auth] password change failed for '${profile}': ${e.message}`);
+            res.writeHead(302, {'Location': back('write')}); return res.end();
+          }
+          pushLog(`[auth] password changed for profile '${profile}'`);
+          res.writeHead(302, {'Location': next, 'Set-Cookie': sessionCookieWith(req, profile)});
+          res.end();
+        });
+      });
     });
     return;
   }
@@ -605,144 +3422,334 @@ fetch('/__profiles',{cache:'no-store'}).then(r=>r.json()).then(j=>{
       res.writeHead(302, {'Location': `/__profile?next=${encodeURIComponent(req.url||'/')}`});
       return res.end();
     }
+    if (!profileChangeAllowed(req, gotProfile)) {
+      res.writeHead(302, {'Location': `/__profile?e=policy&profile=${encodeURIComponent(lockedProfile(req))}&next=${encodeURIComponent(req.url||'/')}`});
+      return res.end();
+    }
+    if (profileRequiresAuth(gotProfile) && !sessionCovers(getSession(req), gotProfile)) {
+      res.writeHead(302, {'Location': `/__profile?e=auth&profile=${encodeURIComponent(gotProfile)}&next=${encodeURIComponent(req.url||'/')}`});
+      return res.end();
+    }
+    if (profileRequiresAuth(gotProfile) && authNeedsChange(gotProfile)) {
+      res.writeHead(302, {'Location': `/__profile/change-password?profile=${encodeURIComponent(gotProfile)}&next=${encodeURIComponent(req.url||'/')}`});
+      return res.end();
+    }
+    // Assets and websockets route by the session's profile; keep it in step with the shell.
+    // Without allow-profiles-change the session's profile is also what the policy holds to,
+    // and with auth profiles around (or for the code logs) everything past the shell needs one.
+    const sess = getSession(req);
+    if (!sess || sess.cur !== gotProfile) routeCookie = sessionCookieWith(req, gotProfile, { unlock: false });
+    up = rec.upstream = upstreamForProfile(gotProfile);
+  } else if (sessionProfileLocked(req)) {
+    // The cookie names an auth profile this session has not unlocked (e.g. auth was enabled later).
+    if (isNavigation(req)) {
+      res.writeHead(302, {'Location': `/__profile?e=auth&profile=${encodeURIComponent(getSession(req).cur)}&next=/`});
+      return res.end();
+    }
+    return sendJson(res, 401, { error: 'profile_locked', profile: getSession(req).cur });
+  } else if (sessionRequired(req)) {
+    // assets, /vscode-remote-resource etc. without going through the shell first
+    if (isNavigation(req)) {
+      res.writeHead(302, {'Location': `/__profile?next=${encodeURIComponent(req.url||'/')}`});
+      return res.end();
+    }
+    return sendJson(res, 401, { error: 'session_required' });
   }
 
   /* ------------ Normal proxy flow ------------ */
-  probeAndNote(ok=>{
-    if (!ok) {
-      pushLog(`upstream DOWN → ${req.method} ${req.url}`);
-      res.writeHead(503, noStoreHeaders());
-      return res.end(makeSplashHtml());
+  // Upstream down: splash for navigations, hold short outages, JSON 503 for the rest.
+  const respondDown = (allowHold) => {
+    if (isNavigation(req)) {
+      pushLog(`${upstreamTable().multi ? `upstream '${up.name}'` : 'upstream'} DOWN → ${req.method} ${req.url}`);
+      res.writeHead(503, noStoreHeaders(routeCookie ? { 'set-cookie': routeCookie } : {}));
+      return res.end(makeSplashHtml(up));
     }
+    const giveUp = () => sendUpstreamUnavailable(res, up, routeCookie ? { 'set-cookie': routeCookie } : {});
+    if (allowHold && isHoldable(req)) return holdRequest(up, res, rec, () => forward(true), giveUp);
+    giveUp();
+  };
 
-    // strip hop-by-hop
-    const headers = { ...req.headers };
-    delete headers.connection; delete headers.upgrade;
-    delete headers['proxy-connection']; delete headers['keep-alive'];
-    delete headers['transfer-encoding'];
+  withUpstreamState(up, ok=> ok ? forward(false) : respondDown(true));
 
-    // forward info
-    headers['x-forwarded-proto'] = req.headers['x-forwarded-proto'] || 'http';
-    headers['x-forwarded-host']  = headers['x-forwarded-host'] || req.headers['host'];
-    if (req.socket?.remoteAddress) {
-      headers['x-forwarded-for'] = headers['x-forwarded-for']
-        ? `${headers['x-forwarded-for']}, ${req.socket.remoteAddress}`
-        : req.socket.remoteAddress;
+  // retry: replay of a held request (its body-less stream was already consumed or never read)
+  function forward(retry){
+    const headers = forwardHeaders(req);
+    const inj = req.method === 'GET' || req.method === 'HEAD' ? injectionFor(req, u) : null;
+    if (inj) {
+      for (let i = 0; i < headers.length; i += 2) if (headers[i].toLowerCase() === 'if-none-match') headers[i + 1] = upstreamIfNoneMatch(headers[i + 1], inj.fp);
     }
-
     const p = http.request({
-      hostname: CODE_SERVICE_NAME || '127.0.0.1',
-      port: CODE_EXPOSED_PORT,
+      hostname: up.host,
+      port: up.port,
       path: req.url,
       method: req.method,
       headers
     }, pr => {
       const status = pr.statusCode || 502;
       const hdrs = { ...pr.headers };
+      HOP_HEADERS.forEach(h => delete hdrs[h]);   // Node frames the response itself (and HTTP/2 rejects these)
+      if (routeCookie) hdrs['set-cookie'] = [].concat(hdrs['set-cookie'] || [], routeCookie);
 
-      const ct = String(hdrs['content-type'] || hdrs['Content-Type'] || '').toLowerCase();
+      const ct = String(hdrs['content-type'] || '').toLowerCase();
       const isHtml = ct.includes('text/html');
-      const allowInjectHere = shouldInjectWatchdog(req.url);
+      const enc = normalizeCoding(hdrs['content-encoding']);
+      const injectable = isHtml && inj && req.method !== 'HEAD' && status >= 200 && status !== 204 && status !== 304
+        && (enc === 'identity' || INJECT_CODINGS.includes(enc));
 
-      if (!(isHtml && allowInjectHere)) {
+      if (!injectable) {
         if (status === 503) {
           hdrs['cache-control'] = 'no-store, no-cache, must-revalidate, max-age=0';
           hdrs['pragma'] = 'no-cache'; hdrs['expires'] = '0';
         }
+        // a revalidated shell keeps the ETag the browser got with the injected body
+        if (status === 304 && inj && hdrs.etag) hdrs.etag = injectedEtag(hdrs.etag, inj.fp) || hdrs.etag;
+        if (isHtml && inj && status === 200 && req.method !== 'HEAD') pushLog(`warn: not injecting ${inj.ids.join(', ')} into ${req.url}: unsupported content-encoding '${enc}'`);
         res.writeHead(status, hdrs);
         pr.pipe(res);
         pr.on('end', ()=> pushLog(`${req.method} ${req.url} → ${status}`));
         return;
       }
 
-      // Mutate HTML (decode if compressed) and inject watchdog + seeder
+      // Inject watchdog, seeder and registry snippets while streaming; re-encode for what the client accepts
       hdrs['cache-control'] = 'no-store, no-cache, must-revalidate, max-age=0';
-      delete hdrs['content-length']; delete hdrs['Content-Length'];
-      const enc = String(hdrs['content-encoding'] || hdrs['Content-Encoding'] || '').toLowerCase();
-      delete hdrs['content-encoding']; delete hdrs['Content-Encoding'];
+      const need = scriptNeeds(inj.head + inj.tail);
+      const nonce = cspScriptNonce(hdrs, need);
+      const csp = { need, nonce, meta: false };
+      const outEnc = negotiateCoding(req.headers['accept-encoding'], enc);
+      if (outEnc === 'identity') delete hdrs['content-encoding']; else hdrs['content-encoding'] = outEnc;
+      // the snippets, and any <meta> CSP rewritten on the way, change the length
+      delete hdrs['content-length'];
+      // a per-response header nonce makes every body unique; otherwise mark the variant
+      // (a <meta> nonce travels inside the body, so a revalidated copy stays consistent)
+      if (nonce) delete hdrs.etag;
+      else if (hdrs.etag) { const e = injectedEtag(hdrs.etag, inj.fp); if (e) hdrs.etag = e; else delete hdrs.etag; }
+      const vary = String(hdrs.vary || '');
+      if (!/(^|,)\s*(accept-encoding|\*)\s*(,|$)/i.test(vary)) hdrs.vary = vary ? `${vary}, Accept-Encoding` : 'Accept-Encoding';
       res.writeHead(status, hdrs);
+      rec.watchdog = inj.ids.includes('watchdog');
 
-      let sourceStream = pr;
-      try {
-        if (enc.includes('br')) { const bro = zlib.createBrotliDecompress(); pr.pipe(bro); sourceStream = bro; }
-        else if (enc.includes('gzip') || enc.includes('x-gzip')) { const gun = zlib.createGunzip(); pr.pipe(gun); sourceStream = gun; }
-        else if (enc.includes('deflate')) { const inf = zlib.createInflate(); pr.pipe(inf); sourceStream = inf; }
-      } catch (e) {
-        pushLog(`warn: decoder init failed enc='${enc}': ${e.message}`); sourceStream = pr;
-      }
-
-      const TAG = `<script src="/__watchdog.js" defer></script><script src="/__seed_profiles.js" defer></script>`;
-      let injected = false;
-      let buffer = '';
-      sourceStream.setEncoding('utf8');
-
-      sourceStream.on('data', chunk=>{
-        buffer += chunk;
-        if (!injected) {
-          const i = buffer.toLowerCase().indexOf('</head>');
-          if (i !== -1) {
-            injected = true;
-            const out = buffer.slice(0, i) + TAG + buffer.slice(i);
-            res.write(out); buffer = '';
-          } else if (buffer.length > 128 * 1024) {
-            res.write(buffer); buffer='';
-          }
-        } else {
-          res.write(chunk);
-        }
-      });
-      sourceStream.on('end', ()=>{
-        if (!injected) {
-          const j = buffer.toLowerCase().lastIndexOf('</body>');
-          if (j !== -1) res.write(buffer.slice(0, j) + TAG + buffer.slice(j));
-          else res.write(buffer);
-        } else if (buffer) res.write(buffer);
-        res.end();
-        pushLog(`${req.method} ${req.url} → ${status} [watchdog=on enc=${enc||'identity'}]`);
+      const stages = [pr];
+      if (enc !== 'identity') stages.push(decoderFor(enc));
+      stages.push(createInjector(inj.head, inj.tail, csp));
+      if (outEnc !== 'identity') stages.push(encoderFor(outEnc));
+      stages.push(res);
+      stream.pipeline(...stages, err=>{
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') pushLog(`error in injection stream: ${err.message}`);
+        else if (!err) pushLog(`${req.method} ${req.url} → ${status} [inject=${inj.ids.join(',')} enc=${enc}→${outEnc}${nonce ? ' csp-nonce' : ''}${csp.meta ? ' csp-meta' : ''}]`);
       });
-      sourceStream.on('error', e=>{ pushLog(`error in injection stream: ${e.message}`); try{res.end();}catch(_){} });
     });
 
     p.on('error', (e)=>{
       pushLog(`error piping to upstream: ${e.message}`);
-      res.writeHead(503, noStoreHeaders());
-      res.end(makeSplashHtml());
+      noteProxyError(up, e);
+      if (res.headersSent) { try{res.end();}catch(_){} return; }
+      // refused before anything was sent: treat like a (maybe brief) outage, replay at most once
+      respondDown(!retry && CONNECT_ERRORS.includes(e.code));
     });
 
-    req.pipe(p);
-  });
-});
+    if (retry) p.end(); else req.pipe(p);
+  }
+}
 
 /* --------------------- WebSocket proxy --------------------- */
-server.on('upgrade', (req, client, head)=>{
+// Browsers open WebSockets over HTTP/1.1 even when the page came over HTTP/2.
+function handleUpgrade(req, client, head){
   // Do NOT enforce payload on WS; many VS Code internals use upgrade endpoints.
-  probeAndNote(ok=>{
-    if (!ok) { try{client.destroy();}catch(_){ } return; }
-    const upstream = net.connect(CODE_EXPOSED_PORT, CODE_SERVICE_NAME || '127.0.0.1');
-    upstream.on('connect', ()=>{
-      const lines=[];
-      lines.push(`${req.method} ${req.url} HTTP/${req.httpVersion}`);
-      for (const [k,v] of Object.entries(req.headers)) lines.push(`${k}: ${v}`);
-      lines.push('','');
-      upstream.write(lines.join('\r\n'));
-      if (head?.length) upstream.write(head);
-      upstream.pipe(client); client.pipe(upstream);
+  const t0 = process.hrtime.bigint();
+  const u = url.parse(req.url || '/', true);
+  const up = upstreamForRequest(req);
+  const ip = clientIp(req);
+  if (sessionProfileLocked(req)) {
+    metrics.wsRefused++;
+    rejectUpgrade(client, 401, { error: 'profile_locked', profile: getSession(req).cur });
+    recordTunnel(req, up, t0, 0, 0, 401);
+    return;
+  }
+  if (sessionRequired(req)) {
+    metrics.wsRefused++;
+    rejectUpgrade(client, 401, { error: 'session_required' });
+    recordTunnel(req, up, t0, 0, 0, 401);
+    return;
+  }
+  if (TUNNEL_MAX_PER_IP && tunnelsForIp(ip) >= TUNNEL_MAX_PER_IP) {
+    metrics.wsRefused++;
+    pushLog(`[ws] refused ${u.pathname} from ${ip}: ${TUNNEL_MAX_PER_IP} tunnels already open (TUNNEL_MAX_PER_IP)`, 'warn');
+    rejectUpgrade(client, 429, { error: 'too_many_tunnels', limit: TUNNEL_MAX_PER_IP });
+    recordTunnel(req, up, t0, 0, 0, 429);
+    return;
+  }
+  withUpstreamState(up, ok=>{
+    if (!ok) {
+      metrics.wsRefused++;
+      rejectUpgrade(client, 503, { error: 'upstream_unavailable', upstream: up.name, reason: upstreamState(up).reason }, { 'retry-after': String(retryAfterSec()) });
+      recordTunnel(req, up, t0, 0, 0, 503);
+      return;
+    }
+    // Upstream answers 101 → 'upgrade'; anything else (401, 404, 503 …) → 'response', which
+    // is relayed as a complete HTTP/1.1 response (Node already decoded any chunking).
+    const p = http.request({
+      hostname: up.host, port: up.port, path: req.url, method: req.method,
+      headers: forwardHeaders(req, { upgrade: true }), agent: false
+    });
+    let t = null, status = 502, closed = false, upstream = null;
+    const onClose = ()=>{
+      if (closed) return; closed = true;
+      if (t) tunnels.delete(t.id);
+      try{ upstream ? upstream.destroy() : p.destroy(); }catch(_){ }
+      recordTunnel(req, up, t0, client.bytesRead, client.bytesWritten, status);
+    };
+    client.on('close', onClose);
+    client.on('error', ()=>{ try{ upstream ? upstream.destroy() : p.destroy(); }catch(_){ } });
+    const statusHead = (pr, drop) => {
+      const lines = [`HTTP/1.1 ${pr.statusCode} ${pr.statusMessage || http.STATUS_CODES[pr.statusCode] || ''}`];
+      for (let i = 0; i < pr.rawHeaders.length; i += 2) if (!drop.includes(pr.rawHeaders[i].toLowerCase())) lines.push(`${pr.rawHeaders[i]}: ${pr.rawHeaders[i + 1]}`);
+      return lines;
+    };
+
+    p.on('upgrade', (pr, sock, uhead)=>{
+      status = 101; upstream = sock;
+      if (closed) { try{ sock.destroy(); }catch(_){ } return; }
+      metrics.wsTotal++;
+      const sess = getSession(req);
+      t = { id: ++tunnelSeq, profile: (sess && sess.cur) || null, path: u.pathname, up, ip,
+            startedAt: Date.now(), lastActivity: Date.now(), client, upstream: sock };
+      tunnels.set(t.id, t);
+      const touch = ()=>{ t.lastActivity = Date.now(); };
+      client.on('data', touch); sock.on('data', touch);
+      sock.on('error', e=>{ noteProxyError(up, e); try{client.destroy();}catch(_){ } });
+      client.write(statusHead(pr, []).join('\r\n') + '\r\n\r\n');
+      if (uhead?.length) client.write(uhead);
+      if (head?.length) sock.write(head);
+      sock.pipe(client); client.pipe(sock);
+    });
+    p.on('response', pr=>{
+      status = pr.statusCode || 502;
+      pushLog(`[ws] upstream refused upgrade ${u.pathname} → ${status}`);
+      const lines = statusHead(pr, ['connection', 'keep-alive', 'transfer-encoding', 'content-length']);
+      lines.push('connection: close');
+      client.write(lines.join('\r\n') + '\r\n\r\n');
+      pr.pipe(client);
+      pr.on('error', ()=>{ try{client.destroy();}catch(_){ } });
     });
-    upstream.on('error', ()=>{ try{client.destroy();}catch(_){ } });
-    client.on('error',  ()=>{ try{upstream.destroy();}catch(_){ } });
+    p.on('error', e=>{
+      if (upstream) return;
+      noteProxyError(up, e);
+      try{client.destroy();}catch(_){ }
+    });
+    p.end();
   });
-});
+}
 
-/* --------------------- boot --------------------- */
-server.listen(PROXY_PORT, '0.0.0.0', ()=>{
-  pushLog(`listening on 0.0.0.0:${PROXY_PORT} → upstream http://${CODE_SERVICE_NAME}:${CODE_EXPOSED_PORT}`);
-  if (!CODE_SERVICE_NAME) pushLog(`WARNING: CODE_SERVICE_NAME not set — upstream+logs may not work`);
-  if (docker.wantLogs) {
-    pushLog(`docker logs enabled (sock: ${DOCKER_SOCK}) — service: ${CODE_SERVICE_NAME}`);
-  } else if (docker.enabled) {
-    pushLog(`docker socket present, but CODE_SERVICE_NAME not set → logs disabled`);
-  } else {
-    pushLog(`docker logs disabled (socket not mounted at ${DOCKER_SOCK})`);
+/* --------------------- TLS --------------------- */
+// TLS_CERT_FILE + TLS_KEY_FILE (PEM; the cert file may carry the chain) enable HTTPS on TLS_PORT.
+// Both files are polled and swapped into the running server when they change, so certbot /
+// cert-manager renewals need no restart; a pair that does not load keeps the previous one.
+const TLS_CERT_FILE     = process.env.TLS_CERT_FILE || '';
+const TLS_KEY_FILE      = process.env.TLS_KEY_FILE || '';
+const TLS_ENABLED       = !!(TLS_CERT_FILE && TLS_KEY_FILE);
+const TLS_PORT          = +(process.env.TLS_PORT || 8443);
+const TLS_PUBLIC_PORT   = +(process.env.TLS_PUBLIC_PORT || TLS_PORT);   // port browsers reach TLS_PORT on (redirects)
+const TLS_REDIRECT_HTTP = TLS_ENABLED && /^(1|true|yes|on)$/i.test(process.env.TLS_REDIRECT_HTTP || '');
+const TLS_HTTP2         = /^(1|true|yes|on)$/i.test(process.env.TLS_HTTP2 || '');
+const TLS_RELOAD_INTERVAL_MS = Math.max(1000, +(process.env.TLS_RELOAD_INTERVAL_MS || 10000));
+// Plain-HTTP paths still served when TLS_REDIRECT_HTTP is on (probes, scrapers).
+const TLS_REDIRECT_EXEMPT = new Set(['/__up', '/__metrics']);
+
+function readTlsPair(){
+  const cert = fs.readFileSync(TLS_CERT_FILE), key = fs.readFileSync(TLS_KEY_FILE);
+  tls.createSecureContext({ cert, key });   // throws on a bad or mismatched pair
+  return { cert, key };
+}
+function certSummary(cert){
+  try {
+    const x = new crypto.X509Certificate(cert);
+    return `${x.subject.replace(/\n/g, ', ')} (valid until ${new Date(x.validTo).toISOString()})`;
+  } catch (_) { return 'unparsed certificate'; }
+}
+function watchTlsFiles(tlsServer){
+  let timer = null;
+  const reload = () => {
+    timer = null;
+    try {
+      const pair = readTlsPair();
+      tlsServer.setSecureContext(pair);
+      pushLog(`[tls] certificate reloaded: ${certSummary(pair.cert)}`);
+    } catch (e) {
+      pushLog(`[tls] reload failed, keeping the previous certificate: ${e.code || e.message}`, 'warn');
+    }
+  };
+  // cert and key are usually replaced together; settle before reading the pair
+  const changed = (cur, prev) => { if (cur.mtimeMs !== prev.mtimeMs || cur.ino !== prev.ino) { clearTimeout(timer); timer = setTimeout(reload, 1000); } };
+  fs.watchFile(TLS_CERT_FILE, { interval: TLS_RELOAD_INTERVAL_MS, persistent: false }, changed);
+  fs.watchFile(TLS_KEY_FILE,  { interval: TLS_RELOAD_INTERVAL_MS, persistent: false }, changed);
+}
+function redirectToHttps(req, res){
+  const u = url.parse(req.url || '/', true);
+  if (TLS_REDIRECT_EXEMPT.has(u.pathname)) return handleRequest(req, res);
+  const host = String(req.headers.host || '').replace(/:\d+$/, '').replace(/[^A-Za-z0-9.\-\[\]:]/g, '');
+  if (!host) { res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' }); return res.end('Host header required\n'); }
+  const loc = `https://${host}${TLS_PUBLIC_PORT === 443 ? '' : ':' + TLS_PUBLIC_PORT}${req.url || '/'}`;
+  res.writeHead(308, { location: loc, 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-store' });
+  res.end(`Moved to ${loc}\n`);
+}
+
+function createServers(){
+  const servers = [];
+  if (TLS_REDIRECT_HTTP) servers.push({ server: http.createServer(redirectToHttps), port: PROXY_PORT, what: 'http → https redirect' });
+  else {
+    const plain = http.createServer(handleRequest);
+    plain.on('upgrade', handleUpgrade);
+    servers.push({ server: plain, port: PROXY_PORT, what: 'http' });
   }
-});
+  if (TLS_ENABLED) {
+    let pair;
+    try { pair = readTlsPair(); }
+    catch (e) {
+      pushLog(`[tls] cannot load TLS_CERT_FILE/TLS_KEY_FILE: ${e.code || e.message}`, 'error');
+      process.exit(1);
+    }
+    const secure = TLS_HTTP2
+      ? http2.createSecureServer({ ...pair, allowHTTP1: true }, handleRequest)
+      : https.createServer(pair, handleRequest);
+    secure.on('upgrade', handleUpgrade);
+    watchTlsFiles(secure);
+    pushLog(`[tls] certificate: ${certSummary(pair.cert)}`);
+    servers.push({ server: secure, port: TLS_PORT, what: TLS_HTTP2 ? 'https (h2, http/1.1)' : 'https' });
+  }
+  return servers;
+}
+
+/* --------------------- boot --------------------- */
+function boot(){
+  initProxyLog();
+  pushLog(logSeq ? `proxy started (log history resumed after #${logSeq})` : 'proxy started');
+  sessionSecret = loadSessionSecret();
+  loadLockouts();
+  const servers = createServers();
+  servers.slice(1).forEach(x => x.server.listen(x.port, '0.0.0.0', () => pushLog(`listening on 0.0.0.0:${x.port} (${x.what})`)));
+  if (TLS_REDIRECT_HTTP) pushLog(`plain http on ${PROXY_PORT} redirects to https port ${TLS_PUBLIC_PORT}`);
+  servers[0].server.listen(PROXY_PORT, '0.0.0.0', ()=>{
+    startHealthMonitor();
+    startProfileSync();
+    if (TUNNEL_IDLE_MS) setInterval(sweepIdleTunnels, Math.min(60000, Math.max(1000, TUNNEL_IDLE_MS / 4))).unref();
+    const table = upstreamTable();
+    if (table.multi) pushLog(`listening on 0.0.0.0:${PROXY_PORT} → upstreams by profile: ${describeUpstreams(table)}`);
+    else pushLog(`listening on 0.0.0.0:${PROXY_PORT} → upstream http://${table.def.host}:${table.def.port}`);
+    if (!CODE_SERVICE_NAME && !table.routes.size && !UPSTREAMS_ENV) pushLog(`WARNING: CODE_SERVICE_NAME not set — upstream+logs may not work`);
+    pushLog(accessLog ? `access log: ${accessLog.file}` : 'access log disabled (ACCESS_LOG_FILE="")');
+    warnIfGalleryBypassed();
+  if (!injectionRegistry().exists && INJECTIONS_FILE) pushLog(`[inject] no ${INJECTIONS_FILE}; only the built-in watchdog is injected`);
+    const services = [...new Set(table.all.map(x => x.service).filter(Boolean))];
+    if (docker.enabled && services.length) {
+      pushLog(`docker logs enabled (sock: ${DOCKER_SOCK}) — service${services.length > 1 ? 's' : ''}: ${services.join(', ')}`);
+    } else if (docker.enabled) {
+      pushLog(`docker socket present, but CODE_SERVICE_NAME not set → logs disabled`);
+    } else {
+      pushLog(`docker logs disabled (socket not mounted at ${DOCKER_SOCK})`);
+    }
+  });
+}
+// Required (by the tests) rather than run: expose the pure helpers, start nothing.
+if (require.main === module) boot();
+else module.exports = { BUILTIN_TAGS, snippetFromFile, createInjector, scriptNeeds, cspScriptNonce };
 //WORKING MARKER OCT 13 10:42 WWW!!!
@@ -362,6 +362,8 @@ codestrap — apply a profile + manage auth
 
 Usage:
   codestrap profile --load <name> [--ghp <token>]   # Load /config/codestrap/profiles/<name>.profile.json
+  codestrap profile --export <name> [--out <file>] [--vsix]   # Portable bundle (.codestrap-profile.tar.gz)
+  codestrap profile --import <file> [--as <name>] [--pin] [--yes]   # Validate, show the diff, then apply
   codestrap passwd                  # Change code-server password (interactive)
   codestrap passwd --set "<pw>" "<pw>"    # Non-interactive password set
   codestrap sudopasswd              # Change sudo password (interactive; policy-permitting)
@@ -430,7 +432,10 @@ fi
 # Profiles dir
 PROFILE_DIR="/config/codestrap/profiles"
 # Per-profile auth storage (proxy reads these)
-PROFILE_DATA_BASE="${PROFILE_DATA_BASE:-/config/codestrap/profile_data}"
+PROFILE_DATA_BASE="${PROFILE_DATA_BASE:-/config/data/User/profiles}"
+# Export/import of profile bundles (shared with the proxy and the side panel)
+PROFILE_BUNDLE_JS="${PROFILE_BUNDLE_JS:-/config/codestrap/extension/lib/profile-bundle.js}"
+VSIX_DIR="${VSIX_DIR:-/config/.codestrap/vsix}"
 # DEFAULT_PASSWORD is already used elsewhere; we also use it for seeding profile auth
 DEFAULT_PASSWORD="${DEFAULT_PASSWORD:-}"
 
@@ -538,9 +543,24 @@ validate_profile_schema(){ # usage: validate_profile_schema </path/to/profile.js
             | "\"tasks.inputs\"[" + ( .key|tostring ) + "] must be an object")
         else empty end),
 
-      # extensions
+      # extensions ("publisher.name", "publisher.name@1.2.3" or {id, version, source})
       (if has("extensions") and (.extensions != null) and ( .extensions | type != "array")
         then "extensions must be an array" else empty end),
+      (if (.extensions // []) | type == "array"
+        then
+          ((.extensions // []) | to_entries[]
+            | ("extensions[" + (.key|tostring) + "]") as $at
+            | .value
+            | if type == "string" then
+                (if test("^[A-Za-z0-9][A-Za-z0-9-]*\\.[A-Za-z0-9][A-Za-z0-9._-]*(@[0-9A-Za-z][0-9A-Za-z.+-]*)?$") then empty
+                 else $at + " must be \"publisher.name\" or \"publisher.name@version\"" end)
+              elif type == "object" then
+                (if ((.id // null) | type) != "string" then $at + ".id is required" else empty end),
+                (if (.version // null) != null and ((.version | type) != "string") then $at + ".version must be a string" else empty end),
+                (if (.source // null) != null and (((.source | type) != "string") or (.source | test("^vsix:/") | not))
+                  then $at + ".source must be \"vsix:/absolute/path.vsix\"" else empty end)
+              else $at + " must be a string or an object" end)
+        else empty end),
 
       # github (object; username required if block is present)
       (if has("github") and (.github != null) and ( .github | type != "object")
@@ -564,7 +584,30 @@ validate_profile_schema(){ # usage: validate_profile_schema </path/to/profile.js
 
       # require username if github block exists
       (if (.github // null) != null and ((.github.username // null) == null)
-        then "github.username is required when the github block is present" else empty end)
+        then "github.username is required when the github block is present" else empty end),
+
+      # dirs (object; absolute path strings)
+      (if has("dirs") and (.dirs != null) and ( .dirs | type != "object")
+        then "dirs must be an object" else empty end),
+      (if (.dirs // null) | type == "object"
+        then
+          (.dirs | to_entries[]
+            | select(.key == "workspace" or .key == "profile_data")
+            | select(.value != null and ((.value | type) != "string" or (.value | startswith("/") | not)))
+            | "dirs." + .key + " must be an absolute path string")
+        else empty end),
+      (if ((.dirs // null) | type == "object") and ((.dirs.associated // null) != null) and ((.dirs.associated | type) != "array")
+        then "dirs.associated must be an array" else empty end),
+      (if ((.dirs // null) | type == "object") and ((.dirs.associated // null) | type == "array")
+        then
+          (.dirs.associated | to_entries[]
+            | select((.value | type) != "string" or (.value | startswith("/") | not))
+            | "dirs.associated[" + ( .key|tostring ) + "] must be an absolute path string")
+        else empty end),
+
+      # auth (boolean)
+      (if has("auth") and (.auth != null) and ( .auth | type != "boolean")
+        then "auth must be a boolean" else empty end)
     ] | .[]
   ' "$file")"
 
@@ -585,35 +628,56 @@ bool_from_token(){
   # normalize to lowercase, strip whitespace/newlines
   v="$(printf '%s' "$1" | tr -d ' \t\r\n' | tr '[:upper:]' '[:lower:]')"
   case "$v" in
-    t|true|1|y|yes) echo 1 ;;
-    f|false|0|n|no|'') echo 0 ;;
+    t|true|1|y|yes|on) echo 1 ;;
+    f|false|0|n|no|off|'') echo 0 ;;
     *) echo 0 ;;
   esac
 }
 
-policy_allow_sudo_change(){
-  # default deny if file missing/unreadable
-  [ -r "$POLICY_YAML" ] || { echo 0; return; }
+# Boolean policy lookup (top-level "key: value" in policies.yml).
+# usage: policy_bool <key> <default 1|0> → prints 1 or 0
+# Defaults mirror POLICY_DEFS in extension/lib/policies.js.
+policy_bool(){
+  _pk="$1"; _pdef="${2:-0}"
+  [ -r "$POLICY_YAML" ] || { echo "$_pdef"; return; }
 
   if command -v yq >/dev/null 2>&1; then
-    # yq: read scalar, could be true/false/"true"/"false"
-    v="$(yq -r '."allow-sudo-password-change" // ""' "$POLICY_YAML" 2>/dev/null || true)"
+    # no "// empty" here: jq-style alternation would turn an explicit false into the default
+    v="$(yq -r ".\"$_pk\"" "$POLICY_YAML" 2>/dev/null || true)"
   else
-    # Fallback: naive "key: value" line parser
+    # Fallback: naive "key: value" line parser (drops trailing comments and quotes)
     v="$(
-      awk -F: '
-        /^[[:space:]]*allow-sudo-password-change[[:space:]]*:/ {
-          # print text after colon, strip leading/trailing spaces
-          sub(/^[^:]*:/,"",$0);
-          gsub(/^[[:space:]]+|[[:space:]]+$/,"",$0);
-          print; exit
+      awk -v k="$_pk" '
+        {
+          line = $0
+          if (line !~ "^[[:space:]]*" k "[[:space:]]*:") next
+          sub(/^[^:]*:/, "", line)
+          sub(/[[:space:]]#.*$/, "", line)
+          gsub(/^[[:space:]]+|[[:space:]]+$/, "", line)
+          gsub(/^["\047]|["\047]$/, "", line)
+          print line; exit
         }' "$POLICY_YAML" 2>/dev/null
     )"
   fi
 
+  case "$v" in ""|null|"~") echo "$_pdef"; return;; esac
   bool_from_token "$v"
 }
 
+# usage: policy_gate <key> <default 1|0> <ctx tag> <what> → 0 when allowed, else err line + 1
+policy_gate(){
+  [ "$(policy_bool "$1" "$2")" = "1" ] && return 0
+  _pg_old="$CTX_TAG"; CTX_TAG="$3"
+  err "$4 is disabled by policy (see $POLICY_YAML → $1: false)."
+  CTX_TAG="$_pg_old"
+  return 1
+}
+
+policy_allow_sudo_change(){
+  # default deny if file missing/unreadable
+  policy_bool allow-sudo-password-change 0
+}
+
 sudo_hash_pw(){
   # usage: sudo_hash_pw "<plain>" -> prints $6$<salt>$<hash>
   _pw="$1"
@@ -843,6 +907,24 @@ _seed_profile_auth_json() { # usage: _seed_profile_auth_json "<name>" "<password
   log "seeded default auth for profile '${_name}' → ${_file}"
 }
 
+# Seed DEFAULT_PASSWORD for every "auth": true profile that has no auth file yet.
+# The proxy forces a change on first sign-in (requiresChange/defaultSeed).
+init_profile_auth_if_env(){
+  [ -n "$DEFAULT_PASSWORD" ] || { log "DEFAULT_PASSWORD not set; skipping profile auth seeding"; return 0; }
+  [ -d "$PROFILE_DIR" ] || return 0
+  command -v jq >/dev/null 2>&1 || { warn "jq not available; cannot read profile auth flags"; return 0; }
+  for f in "$PROFILE_DIR"/*.profile.json; do
+    [ -f "$f" ] || continue
+    _pname="$(basename "$f" .profile.json)"
+    [ "$(jq -r '.auth // false' "$f" 2>/dev/null)" = "true" ] || continue
+    if [ -s "${PROFILE_DATA_BASE}/${_pname}/auth/${_pname}.auth.json" ]; then
+      log "auth exists for profile '${_pname}'; leaving as-is"
+      continue
+    fi
+    _seed_profile_auth_json "$_pname" "$DEFAULT_PASSWORD" || warn "could not seed auth for profile '${_pname}'"
+  done
+}
+
 # ===== first-boot default password =====
 init_default_password_if_env(){
   DEFAULT_PASSWORD="${DEFAULT_PASSWORD:-}"
@@ -2326,6 +2408,16 @@ emit_installed_exts_with_versions(){
   "$CODE_BIN" --list-extensions --show-versions 2>/dev/null | awk 'NF' | awk '!seen[$0]++'
 }
 
+# jq: normalize one profile "extensions" entry → {id, version, source} ("" when unpinned)
+JQ_EXT_SPEC='def ext_spec:
+  if type == "string" then
+    index("@") as $i
+    | if $i == null then {id: ., version: "", source: ""}
+      else {id: .[0:$i], version: .[$i+1:], source: ""} end
+  elif type == "object" then
+    {id: (.id // "" | tostring), version: (.version // "" | tostring), source: (.source // "" | tostring)}
+  else empty end;'
+
 # Emit union of "extensions" from all /config/codestrap/profiles/*.profile.json
 emit_profile_superset_exts(){
   local dir="/config/codestrap/profiles"
@@ -2339,11 +2431,45 @@ emit_profile_superset_exts(){
   find "$dir" -maxdepth 1 -type f -name '*.profile.json' -print 2>/dev/null \
     | sort \
     | while IFS= read -r f; do
-        jq -r '.extensions // [] | .[] | strings' "$f" 2>/dev/null || true
+        jq -r "$JQ_EXT_SPEC"'.extensions // [] | .[] | ext_spec | .id' "$f" 2>/dev/null || true
       done \
     | awk 'NF' | awk '!seen[$0]++'
 }
 
+# Emit pinned entries (version and/or vsix source) across all profiles as
+# "id<TAB>version<TAB>source". usage: emit_profile_ext_pins [<profile>]
+# The named profile's pins (the one being loaded) win; otherwise the first
+# profile (sorted) to pin an id wins.
+emit_profile_ext_pins(){
+  local dir="/config/codestrap/profiles" primary="${1:-}"
+  [ -d "$dir" ] || return 0
+  command -v jq >/dev/null 2>&1 || return 0
+  {
+    [ -n "$primary" ] && [ -f "$dir/${primary}.profile.json" ] && printf '%s\n' "$dir/${primary}.profile.json"
+    find "$dir" -maxdepth 1 -type f -name '*.profile.json' -print 2>/dev/null \
+      | sort | grep -vxF "$dir/${primary}.profile.json"
+  } | while IFS= read -r f; do
+        jq -r --arg p "$(basename "$f" .profile.json)" "$JQ_EXT_SPEC"'.extensions // [] | .[] | ext_spec
+          | select(.id != "" and (.version != "" or .source != ""))
+          | [$p, .id, .version, .source] | @tsv' "$f" 2>/dev/null || true
+      done \
+    | awk -F'\t' -v OFS='\t' '{ k = tolower($2); pin = $3 (($3 != "" && $4 != "") ? " " : "") $4 }
+        seen[k]++ { if (pin != first[k]) printf "[Extensions][WARN] conflicting pins for %s (%s: %s vs %s: %s); using %s\n", $2, from[k], first[k], $1, pin, from[k] > "/dev/stderr"; next }
+        { first[k] = pin; from[k] = $1; print $2, $3, $4 }'
+}
+
+# usage: ext_pin_line <id> <pins.tsv> → matching "id<TAB>version<TAB>source" (case-insensitive)
+ext_pin_line(){
+  [ -s "$2" ] || return 0
+  awk -F'\t' -v id="$1" 'tolower($1) == tolower(id) { print; exit }' "$2"
+}
+
+# usage: installed_ext_version <id> <installed-with-versions file> → version or ""
+installed_ext_version(){
+  [ -s "$2" ] || return 0
+  awk -F'@' -v id="$1" 'tolower($1) == tolower(id) { print $2; exit }' "$2"
+}
+
 
 snapshot_extensions_state(){
   local out="$1"
@@ -2383,6 +2509,47 @@ install_one_ext(){
   fi
 }
 
+# Install honoring a profile pin: vsix source first, else id@version, else latest.
+install_pinned_ext(){ # usage: install_pinned_ext <id> <pins.tsv> <force>
+  # locals: install_one_ext assigns $ext/$force, which must not leak into the caller's loop
+  local ext pins force pin pin_ver pin_src vsix
+  ext="$1"; pins="$2"; force="${3:-false}"
+  pin="$(ext_pin_line "$ext" "$pins")"
+  [ -n "$pin" ] || { install_one_ext "$ext" "$force"; return $?; }
+  pin_ver="$(printf '%s\n' "$pin" | cut -f2)"
+  pin_src="$(printf '%s\n' "$pin" | cut -f3)"
+  case "$pin_src" in
+    vsix:*)
+      vsix="${pin_src#vsix:}"
+      [ -r "$vsix" ] || { warn "vsix for ${ext} not readable: ${vsix}"; return 1; }
+      install_one_ext "$vsix" "true";;
+    *)
+      install_one_ext "${ext}@${pin_ver}" "true";;
+  esac
+}
+
+# Compare pinned versions with what is installed; one line per pin, WARN on drift.
+report_ext_drift(){ # usage: report_ext_drift <pins.tsv>
+  local pins cur drift id ver src have
+  pins="$1"
+  [ -s "$pins" ] || return 0
+  cur="$(mktemp)"
+  emit_installed_exts_with_versions >"$cur" 2>/dev/null || true
+  drift=0
+  while IFS="$(printf '\t')" read -r id ver src; do
+    [ -n "$id" ] && [ -n "$ver" ] || continue
+    have="$(installed_ext_version "$id" "$cur")"
+    if [ -z "$have" ]; then
+      warn "drift: ${id} pinned ${ver}, not installed"; drift=$((drift+1))
+    elif [ "$have" != "$ver" ]; then
+      warn "drift: ${id} pinned ${ver}, installed ${have}"; drift=$((drift+1))
+    fi
+  done <"$pins"
+  rm -f "$cur" 2>/dev/null || true
+  if [ "$drift" -eq 0 ]; then log "pinned extensions match installed versions"; fi
+  return 0
+}
+
 uninstall_one_ext(){
   ext="$1"
   CODE_BIN="$(detect_code_cli)"; [ -n "$CODE_BIN" ] || { warn "code CLI not found; cannot uninstall ${ext}"; return 1; }
@@ -2397,6 +2564,8 @@ extensions_cmd(){
   # Parse flags
   MODE=""         # install scope: "", "all", "missing"
   UNMODE=""       # uninstall scope: "", "all", "missing"
+  DRIFT_ONLY=""   # --drift: only report pinned vs installed versions
+  PINS_PROFILE="" # --profile: whose pins win on conflicts
 
   # --- NEVER uninstall this extension (version-agnostic) ---
   PROTECTED_RE='^(codestrap\.codestrap)(@.*)?$'
@@ -2415,11 +2584,25 @@ Usage:
   codestrap extensions -u missing|m
   # Combine:
   codestrap extensions -i m -u m
+  codestrap extensions --drift
+    → report pinned vs installed versions, change nothing
+  codestrap extensions --profile <name> ...
+    → <name>'s pins win over other profiles' pins for the same extension
 
 This uses extensions listed in your merged extensions.json at:
   $HOME/data/User/extensions.json
+
+Profiles may pin versions ("publisher.name@1.2.3" or
+{ "id": ..., "version": ..., "source": "vsix:/path.vsix" }); pinned
+extensions are installed at that version and never updated to latest.
 EHELP
         exit 0;;
+      --drift)
+        DRIFT_ONLY=1;;
+      --profile)
+        shift || true; PINS_PROFILE="${1:-}"
+        [ -n "$PINS_PROFILE" ] || { CTX_TAG="[Extensions]"; err "Flag '--profile' requires <name>"; CTX_TAG=""; exit 2; }
+        ;;
       --install|-i)
         if [ "$1" = "-i" ]; then shift || true; MODE="$(normalize_scope "${1:-}")"; else shift || true; MODE="$(normalize_scope "${1:-}")"; fi
         [ -n "$MODE" ] || { CTX_TAG="[Extensions]"; err "Flag '--install|-i' requires <all|a|missing|m>"; CTX_TAG=""; exit 2; }
@@ -2445,7 +2628,14 @@ EHELP
   CODE_BIN="$(detect_code_cli)"
   [ -n "$CODE_BIN" ] || { CTX_TAG="[Extensions]"; warn "code-server/VS Code CLI not found; cannot manage extensions"; CTX_TAG=""; exit 0; }
 
-  tmp_recs="$(mktemp)"; tmp_installed="$(mktemp)"
+  tmp_recs="$(mktemp)"; tmp_installed="$(mktemp)"; tmp_pins="$(mktemp)"; tmp_installed_v="$(mktemp)"
+  emit_profile_ext_pins "$PINS_PROFILE" >"$tmp_pins" || true
+
+  if [ -n "$DRIFT_ONLY" ]; then
+    CTX_TAG="[Extensions]"; report_ext_drift "$tmp_pins"; CTX_TAG=""
+    rm -f "$tmp_recs" "$tmp_installed" "$tmp_pins" "$tmp_installed_v" 2>/dev/null || true
+    return 0
+  fi
 
   # Prefer superset from profiles; fallback to extensions.json if none found
   if emit_profile_superset_exts | grep -q . 2>/dev/null; then
@@ -2457,6 +2647,7 @@ EHELP
   fi
 
   emit_installed_exts | grep -Ev "$PROTECTED_RE" >"$tmp_installed" || true
+  emit_installed_exts_with_versions >"$tmp_installed_v" 2>/dev/null || true
 
   # Build sets
   tmp_missing="$(mktemp)"; : >"$tmp_missing"         # in recs but not installed
@@ -2536,8 +2727,8 @@ EHELP
           log "installing missing recommended extensions"
           while IFS= read -r ext; do
             [ -n "$ext" ] || continue
-            if install_one_ext "$ext" "false"; then
-              log "installed ${ext}"
+            if install_pinned_ext "$ext" "$tmp_pins" "false"; then
+              log "installed ${ext}$(ext_pin_line "$ext" "$tmp_pins" | awk -F'\t' '$2 != "" { printf "@%s", $2 }')"
             else
               warn "failed to install ${ext}"
             fi
@@ -2551,8 +2742,8 @@ EHELP
           log "installing missing recommended extensions"
           while IFS= read -r ext; do
             [ -n "$ext" ] || continue
-            if install_one_ext "$ext" "false"; then
-              log "installed ${ext}"
+            if install_pinned_ext "$ext" "$tmp_pins" "false"; then
+              log "installed ${ext}$(ext_pin_line "$ext" "$tmp_pins" | awk -F'\t' '$2 != "" { printf "@%s", $2 }')"
             else
               warn "failed to install ${ext}"
             fi
@@ -2564,7 +2755,19 @@ EHELP
           log "updating already-installed recommended extensions to latest"
           while IFS= read -r ext; do
             [ -n "$ext" ] || continue
-            if install_one_ext "$ext" "true"; then
+            pin="$(ext_pin_line "$ext" "$tmp_pins")"
+            if [ -n "$pin" ]; then
+              # pinned: never "update to latest"; only correct drift
+              pin_ver="$(printf '%s\n' "$pin" | cut -f2)"
+              have="$(installed_ext_version "$ext" "$tmp_installed_v")"
+              if [ -z "$pin_ver" ] || [ "$have" = "$pin_ver" ]; then
+                log "kept pinned ${ext}${have:+@$have}"
+              elif install_pinned_ext "$ext" "$tmp_pins" "true"; then
+                log "re-pinned ${ext} ${have:-?} → ${pin_ver}"
+              else
+                warn "failed to pin ${ext}@${pin_ver}"
+              fi
+            elif install_one_ext "$ext" "true"; then
               log "updated ${ext}"
             else
               warn "failed to update ${ext}"
@@ -2600,7 +2803,7 @@ EHELP
       UNMODE="$(normalize_scope "$scope_raw")"; [ -n "$UNMODE" ] || UNMODE="missing"
       if [ "$UNMODE" = "all" ]; then
         conf="$(prompt_def "This will remove ALL installed extensions (protected skipped). Continue? (y/N) " "n")"
-        [ "$(yn_to_bool "$conf")" = "true" ] || { log "aborted uninstall all"; PROMPT_TAG=""; CTX_TAG=""; rm -f "$tmp_recs" "$tmp_installed" "$tmp_missing" "$tmp_present_rec" "$tmp_not_recommended"; exit 0; }
+        [ "$(yn_to_bool "$conf")" = "true" ] || { log "aborted uninstall all"; PROMPT_TAG=""; CTX_TAG=""; rm -f "$tmp_recs" "$tmp_installed" "$tmp_missing" "$tmp_present_rec" "$tmp_not_recommended" "$tmp_pins" "$tmp_installed_v"; exit 0; }
       fi
       do_uninstall "$UNMODE"
     fi
@@ -2612,28 +2815,83 @@ EHELP
     if [ -n "$MODE" ]; then do_install "$MODE"; fi
   fi
 
-  rm -f "$tmp_recs" "$tmp_installed" "$tmp_missing" "$tmp_present_rec" "$tmp_not_recommended" 2>/dev/null || true
+  CTX_TAG="[Extensions]"; report_ext_drift "$tmp_pins"; CTX_TAG=""
+
+  rm -f "$tmp_recs" "$tmp_installed" "$tmp_missing" "$tmp_present_rec" "$tmp_not_recommended" "$tmp_pins" "$tmp_installed_v" 2>/dev/null || true
+}
+
+# ===== profile bundles (export / import) =====
+_profile_bundle_node(){ # usage: _profile_bundle_node <export|diff|apply> args...
+  _NODE="$(_find_node_bin)"
+  [ -n "$_NODE" ] || { err "node not found; cannot handle profile bundles"; return 1; }
+  [ -r "$PROFILE_BUNDLE_JS" ] || { err "bundle helper not found at $PROFILE_BUNDLE_JS (mount ./extension → /config/codestrap/extension)"; return 1; }
+  PROFILE_DIR="$PROFILE_DIR" PROFILE_DATA_BASE="$PROFILE_DATA_BASE" VSIX_DIR="$VSIX_DIR" "$_NODE" "$PROFILE_BUNDLE_JS" "$@"
+}
+
+profile_export(){ # usage: profile_export <name> [out] [vsix:true|false]
+  _name="$1"; _out="${2:-}"; _vsix="${3:-false}"
+  CTX_TAG="[Profile export: ${_name}]"
+  [ -r "${PROFILE_DIR}/${_name}.profile.json" ] || { err "profile not found: ${PROFILE_DIR}/${_name}.profile.json"; CTX_TAG=""; return 2; }
+  [ -n "$_out" ] || _out="$(pwd)/${_name}.codestrap-profile.tar.gz"
+  if [ "$_vsix" = "true" ]; then _profile_bundle_node export "$_name" "$_out" --vsix; else _profile_bundle_node export "$_name" "$_out"; fi
+  _rc=$?
+  [ $_rc -eq 0 ] && log "bundle written: $_out"
+  CTX_TAG=""
+  return $_rc
+}
+
+# Validates the bundle and prints the diff; nothing is written until confirmed
+# (interactive prompt, or --yes when there is no TTY).
+profile_import(){ # usage: profile_import <file> [as] [pin:true|false] [yes:true|false]
+  _file="$1"; _as="${2:-}"; _pin="${3:-false}"; _yes="${4:-false}"
+  CTX_TAG="[Profile import]"
+  [ -r "$_file" ] || { err "bundle not readable: $_file"; CTX_TAG=""; return 2; }
+  set -- "$_file"
+  [ -n "$_as" ] && set -- "$@" "$_as"
+  [ "$_pin" = "true" ] && set -- "$@" --pin
+  log "checking bundle $_file"
+  _profile_bundle_node diff "$@" || { _rc=$?; err "bundle rejected; nothing was changed"; CTX_TAG=""; return $_rc; }
+  if [ "$_yes" != "true" ]; then
+    if ! is_tty; then err "re-run with --yes to apply the changes above"; CTX_TAG=""; return 2; fi
+    if [ "$(prompt_yn "apply these changes? (y/N)" "n")" != "true" ]; then log "import cancelled; nothing was changed"; CTX_TAG=""; return 0; fi
+  fi
+  _profile_bundle_node apply "$@" || { _rc=$?; err "import failed"; CTX_TAG=""; return $_rc; }
+  log "imported; run 'codestrap profile --load <name>' to apply it to the workbench"
+  CTX_TAG=""
 }
 
 # ===== profile loader =====
 profile_cmd(){
-  # flags: --load <name> [--ghp <token>]
+  # flags: --load <name> [--ghp <token>] | --export <name> [--out <file>] [--vsix] |
+  #        --import <file> [--as <name>] [--pin] [--yes]
   NAME=""; GH_PAT=""
+  EXPORT_NAME=""; EXPORT_OUT=""; EXPORT_VSIX="false"
+  IMPORT_FILE=""; IMPORT_AS=""; IMPORT_PIN="false"; IMPORT_YES="false"
   while [ $# -gt 0 ]; do
     case "$1" in
       -h|--help)
         cat <<'PHELP'
 Usage:
   codestrap profile --load <name>
+  codestrap profile --export <name> [--out <file>] [--vsix]
+  codestrap profile --import <file> [--as <name>] [--pin] [--yes]
 
 Loads: /config/codestrap/profiles/<name>.profile.json
 
+Bundles (<name>.codestrap-profile.tar.gz) carry the profile.json, the profile's current
+settings/keybindings/tasks, its installed extensions with versions and, with --vsix, the
+.vsix files its "vsix:" sources point at. --import validates the bundle and prints a diff
+first; it asks before writing (or needs --yes without a TTY). --as imports under another
+name, --pin pins unpinned extensions to the bundle's versions. Extensions are installed
+by the next --load.
+
 Profile shape:
 {
   "settings": { ... },
   "keybindings": [ ... ],
   "tasks": { ... },
-  "extensions": [ "publisher.id", ... ],
+  "extensions": [ "publisher.id", "publisher.id@1.2.3",
+                  { "id": "publisher.id", "version": "1.2.3", "source": "vsix:/path/x.vsix" } ],
   "github": {
     "username": "alice",
     "name": "Alice",
@@ -2646,7 +2904,8 @@ Profile shape:
 
 Notes:
 - settings/keybindings/tasks/extensions overwrite current user files.
-- extensions are synced (uninstall non-recommended, then install/update recommended).
+- extensions are synced (uninstall non-recommended, then install/update recommended);
+  pinned versions are installed as pinned and drift is reported afterwards.
 - If the profile includes a "github" section, you MUST pass --ghp <token>.
 PHELP
         exit 0;;
@@ -2658,13 +2917,38 @@ PHELP
         shift || true; GH_PAT="${1:-}";;
       --ghp=*)
         GH_PAT="${1#*=}";;
+      --export)
+        shift || true; EXPORT_NAME="${1:-}";;
+      --export=*)
+        EXPORT_NAME="${1#*=}";;
+      --out)
+        shift || true; EXPORT_OUT="${1:-}";;
+      --out=*)
+        EXPORT_OUT="${1#*=}";;
+      --vsix)
+        EXPORT_VSIX="true";;
+      --import)
+        shift || true; IMPORT_FILE="${1:-}";;
+      --import=*)
+        IMPORT_FILE="${1#*=}";;
+      --as)
+        shift || true; IMPORT_AS="${1:-}";;
+      --as=*)
+        IMPORT_AS="${1#*=}";;
+      --pin)
+        IMPORT_PIN="true";;
+      --yes|-y)
+        IMPORT_YES="true";;
       *)
         err "Unknown flag for 'profile': $1"; exit 1;;
     esac
     shift || true
   done
 
-  [ -n "$NAME" ] || { err "'codestrap profile' requires --load <name>"; exit 2; }
+  if [ -n "$EXPORT_NAME" ]; then profile_export "$EXPORT_NAME" "$EXPORT_OUT" "$EXPORT_VSIX"; exit $?; fi
+  if [ -n "$IMPORT_FILE" ]; then profile_import "$IMPORT_FILE" "$IMPORT_AS" "$IMPORT_PIN" "$IMPORT_YES"; exit $?; fi
+
+  [ -n "$NAME" ] || { err "'codestrap profile' requires --load <name>, --export <name> or --import <file>"; exit 2; }
 
   FILE="${PROFILE_DIR}/${NAME}.profile.json"
   [ -r "$FILE" ] || { err "profile not found: $FILE"; exit 2; }
@@ -2678,7 +2962,8 @@ PHELP
   J_SETTINGS="$(jq -c '."settings" // empty' "$FILE")"
   J_KEYB="$(jq -c '."keybindings" // empty' "$FILE")"
   J_TASKS="$(jq -c '."tasks" // empty' "$FILE")"
-  J_EXTS="$(jq -c '."extensions" // empty' "$FILE")"
+  # recommendations are plain ids; pins are honored by the extensions sync
+  J_EXTS="$(jq -c "$JQ_EXT_SPEC"'if (."extensions" // null) == null then empty else [."extensions"[] | ext_spec | .id] end' "$FILE")"
   J_GH="$(jq -c '."github" // empty' "$FILE")"
 
   # Ensure no env leakage into GitHub/bootstrap path
@@ -2801,7 +3086,7 @@ PHELP
     snapshot_extensions_state "$EXTS_SNAP"
     tx_add "restore_extensions_state '$EXTS_SNAP'; rm -f '$EXTS_SNAP' 2>/dev/null || true"
 
-    if ! extensions_cmd --uninstall missing --install all; then
+    if ! extensions_cmd --profile "$NAME" --uninstall missing --install all; then
       warn "extensions sync failed"
       ROLLBACK=1
     fi
@@ -3084,7 +3369,9 @@ cli_entry(){
 
     # 1) GitHub?
     if has_tty; then printf "\n" >/dev/tty; else printf "\n"; fi
-    if [ "$(prompt_yn "Bootstrap GitHub? (Y/n)" "y")" = "true" ]; then
+    if [ "$(policy_bool allow-github-bootstrap 1)" != "1" ]; then
+      CTX_TAG="[Bootstrap GitHub]"; log "skipped bootstrap GitHub (disabled by policy)"; CTX_TAG=""
+    elif [ "$(prompt_yn "Bootstrap GitHub? (Y/n)" "y")" = "true" ]; then
       PROMPT_TAG="[Bootstrap GitHub] ? "
       CTX_TAG="[Bootstrap GitHub]"
       bootstrap_interactive
@@ -3097,7 +3384,9 @@ cli_entry(){
     fi
     # 2) Config?
     if has_tty; then printf "\n" >/dev/tty; else printf "\n"; fi
-    if [ "$(prompt_yn "Bootstrap config? (Y/n)" "y")" = "true" ]; then
+    if [ "$(policy_bool allow-config-merge 1)" != "1" ]; then
+      CTX_TAG="[Bootstrap config]"; log "skipped bootstrap config (disabled by policy)"; CTX_TAG=""
+    elif [ "$(prompt_yn "Bootstrap config? (Y/n)" "y")" = "true" ]; then
       config_interactive
     else
       CTX_TAG="[Bootstrap config]"; log "skipped bootstrap config"; CTX_TAG=""
@@ -3106,7 +3395,9 @@ cli_entry(){
     # 3) Password?  (no prefix on question; default YES)
     if has_tty; then printf "\n" >/dev/tty; else printf "\n"; fi
     CTX_TAG="[Change password]"
-    if [ "$(prompt_yn "Change password? (Y/n)" "y")" = "true" ]; then
+    if [ "$(policy_bool allow-login-password-change 1)" != "1" ]; then
+      log "skipped change password (disabled by policy)"
+    elif [ "$(prompt_yn "Change password? (Y/n)" "y")" = "true" ]; then
       password_change_interactive
     else
       log "skipped change password"
@@ -3122,6 +3413,7 @@ cli_entry(){
     -v|--version) print_version; exit 0;;
     github)
       shift || true
+      policy_gate allow-github-bootstrap 1 "[Bootstrap GitHub]" "Bootstrapping GitHub" || exit 1
       if [ $# -eq 0 ]; then
         if is_tty; then
           bootstrap_banner
@@ -3139,6 +3431,7 @@ cli_entry(){
       ;;
     config)
       shift || true
+      policy_gate allow-config-merge 1 "[Bootstrap config]" "Merging bootstrap config" || exit 1
       # Parse config flags
       unset CFG_SETTINGS
       unset CFG_KEYB
@@ -3217,16 +3510,20 @@ cli_entry(){
       ;;
     extensions)
       shift || true
+      policy_gate allow-extensions-sync 1 "[Extensions]" "Managing extensions" || exit 1
       extensions_cmd "$@"
       ;;
     --auto|-a)
+      policy_gate allow-github-bootstrap 1 "[Bootstrap GitHub]" "Bootstrapping GitHub" || exit 1
       CTX_TAG="[Bootstrap GitHub]"; bootstrap_env_only; CTX_TAG=""; exit 0;;
     profile)
       shift || true
+      case "${1:-}" in -h|--help) ;; *) policy_gate allow-profiles-change 1 "[Profile]" "Switching or editing profiles" || exit 1;; esac
       profile_cmd "$@"
       ;;
     passwd)
       shift || true
+      policy_gate allow-login-password-change 1 "[Change password]" "Changing the login password" || exit 1
       case "${1:-}" in
         --set)
           shift || true
@@ -3331,6 +3628,7 @@ case "${1:-init}" in
     safe_run "[Codestrap extension]"     install_codestrap_extension
     safe_run "[Codestrap UI]"            write_codestrap_login
     safe_run "[Default password]"        init_default_password_if_env
+    safe_run "[Profile auth]"            init_profile_auth_if_env
     safe_run "[Sudo default password]"   init_default_sudo_password_if_env
     safe_run "[Sudo password policy]"    enforce_policy_permissions
     safe_run "[Apply sudo hash]"         apply_sudo_hash_if_present
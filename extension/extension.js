@@ -1,6 +1,10 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const http = require('http');
+const path = require('path');
+const { validateProfile, validateProfileText, formatErrors, parseExtensionSpec } = require('./lib/profile-schema');
+const { loadPolicies, policyAllows, policyDenial, extensionBlockReason } = require('./lib/policies');
+const { BUNDLE_SUFFIX, exportBundle, readBundle, diffBundle, formatDiff } = require('./lib/profile-bundle');
 
 let cliTerminal = null;
 let outChan = null;
@@ -15,6 +19,13 @@ let lastReloadNonce = 0;
 const PROFILE_SWITCH_FLAG = '/run/codestrap/profile.switch';
 let lastProfileSwitchSeen = '';
 
+// Profiles consumed by `codestrap profile --load` (validated with the proxy's rules)
+const PROFILES_DIR = '/config/codestrap/profiles';
+
+// PROFILES_DIR is read-only in this container; edits and imports go through the proxy's admin API
+const PROXY_URL = (process.env.CODESTRAP_PROXY_URL || 'http://splash:8080').replace(/\/+$/, '');
+const PROXY_ADMIN_TOKEN = process.env.PROXY_ADMIN_TOKEN || '';
+
 function shellQ(s){
   if (s === undefined || s === null) return "''";
   s = String(s); if (s === '') return "''";
@@ -87,6 +98,173 @@ function callRestartGate(){
   vscode.window.showInformationMessage('Reboot requested.');
 }
 
+function readProfilesStatus(){
+  let files = [];
+  try { files = fs.readdirSync(PROFILES_DIR).filter(f => /\.profile\.json$/i.test(f)).sort(); }
+  catch(_) { return []; }
+  return files.map(f => {
+    const name = f.replace(/\.profile\.json$/i, '');
+    let text = '';
+    try { text = fs.readFileSync(path.join(PROFILES_DIR, f), 'utf8'); }
+    catch (e) { return { name, errors: [{ pointer: '', message: `unreadable: ${e.code || e.message}` }] }; }
+    return { name, errors: validateProfileText(text).errors };
+  });
+}
+
+const PROFILE_NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+function isValidProfileName(n){ return typeof n === 'string' && PROFILE_NAME_RE.test(n) && !/^\.+$/.test(n); }
+function profileFile(name){ return path.join(PROFILES_DIR, `${name}.profile.json`); }
+
+function readProfileForEdit(name){
+  if (!isValidProfileName(name)) return { profile: null, errors: [{ pointer: '', message: 'invalid profile name' }] };
+  let text;
+  try { text = fs.readFileSync(profileFile(name), 'utf8'); }
+  catch (e) {
+    if (e.code === 'ENOENT') return { profile: {}, errors: [] };   // new profile
+    return { profile: null, errors: [{ pointer: '', message: `unreadable: ${e.code || e.message}` }] };
+  }
+  return validateProfileText(text);
+}
+
+// cb(err, status, json). body: an object (sent as JSON) or { file } (streamed as the body).
+function proxyApi(method, apiPath, body, cb){
+  if (!PROXY_ADMIN_TOKEN) return cb(new Error('PROXY_ADMIN_TOKEN is not set for the code container, so profiles cannot be changed from here.'));
+  let target;
+  try { target = new URL(PROXY_URL + apiPath); } catch (e) { return cb(new Error(`CODESTRAP_PROXY_URL: ${e.message}`)); }
+  const headers = { authorization: `Bearer ${PROXY_ADMIN_TOKEN}`, accept: 'application/json' };
+  let payload = null;
+  try {
+    if (body && body.file) { headers['content-type'] = 'application/gzip'; headers['content-length'] = fs.statSync(body.file).size; }
+    else if (body !== undefined) { payload = Buffer.from(JSON.stringify(body)); headers['content-type'] = 'application/json'; headers['content-length'] = payload.length; }
+  } catch (e) { return cb(e); }
+  let called = false;
+  const done = (...args) => { if (!called) { called = true; cb(...args); } };
+  const req = (target.protocol === 'https:' ? require('https') : http).request(target, { method, headers, timeout: 30000 }, res => {
+    const chunks = [];
+    res.on('data', c => chunks.push(c));
+    res.on('end', () => {
+      let j = null;
+      try { j = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch (_) {}
+      done(null, res.statusCode, j || {});
+    });
+  });
+  req.on('timeout', () => req.destroy(new Error('no answer')));
+  req.on('error', e => done(new Error(`proxy at ${PROXY_URL}: ${e.message}`)));
+  if (body && body.file) fs.createReadStream(body.file).on('error', e => req.destroy(e)).pipe(req);
+  else req.end(payload);
+}
+function apiErrors(err, status, j){
+  if (err) return [{ pointer: '', message: err.message }];
+  if (Array.isArray(j.errors) && j.errors.length) return j.errors;
+  return [{ pointer: '', message: `${j.error || 'request failed'} (HTTP ${status})` }];
+}
+
+// Validate, then save through the proxy, which writes the file and syncs code-server's profile list.
+// With `create`, an existing profile of that name is a conflict, never overwritten. cb(errors)
+function writeProfileForEdit(name, prof, { create = false } = {}, cb){
+  if (!isValidProfileName(name)) return cb([{ pointer: '', message: 'invalid profile name (letters, digits, . _ - only)' }]);
+  const errors = validateProfile(prof);
+  if (errors.length) return cb(errors);
+  const done = (err, status, j) => {
+    if (!err && status >= 200 && status < 300) return cb([]);
+    if (!err && status === 409) return cb([{ pointer: '', message: `profile "${name}" already exists` }]);
+    cb(apiErrors(err, status, j));
+  };
+  const createIt = () => proxyApi('POST', '/__api/profiles', { name, profile: prof }, done);
+  if (create) return createIt();
+  proxyApi('PUT', `/__api/profiles/${encodeURIComponent(name)}`, prof, (err, status, j) => {
+    if (!err && status === 404) return createIt();   // saving a name that has no file yet
+    done(err, status, j);
+  });
+}
+
+// ===== Profile bundles (export / import) =====
+// Import keeps the unpacked bundle between the preview and Apply; a new pick or Cancel drops it.
+let pendingImport = null;   // { bundle, file, name, pin }
+function dropPendingImport(){
+  if (pendingImport) pendingImport.bundle.cleanup();
+  pendingImport = null;
+}
+function importPreview(){
+  const { bundle, name, pin } = pendingImport;
+  const diff = diffBundle(bundle, name, { pin });
+  return { type: 'profile:import:preview', name, pin, errors: [], text: formatDiff(diff), changed: diff.changed };
+}
+
+async function exportProfileBundle(name, postAck){
+  const { profile } = readProfileForEdit(name);
+  const hasVsix = !!(profile && Array.isArray(profile.extensions) && profile.extensions.some(e => e && typeof e === 'object' && e.source));
+  let vsix = false;
+  if (hasVsix) {
+    const pick = await vscode.window.showInformationMessage(`Profile "${name}" installs extensions from .vsix files. Include them in the bundle?`, { modal: true }, 'Include', 'Skip');
+    if (!pick) return postAck({ type: 'ack', op: 'profile:export', ok: false });
+    vsix = pick === 'Include';
+  }
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(process.env.HOME || '/config', `${name}${BUNDLE_SUFFIX}`)),
+    filters: { 'Codestrap profile bundle': ['gz'] }
+  });
+  if (!target) return postAck({ type: 'ack', op: 'profile:export', ok: false });
+  exportBundle(name, target.fsPath, { vsix }, (err, manifest) => {
+    if (err) {
+      vscode.window.showErrorMessage(`Export failed: ${err.message}`);
+      return postAck({ type: 'ack', op: 'profile:export', ok: false, error: err.message });
+    }
+    if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+    manifest.warnings.forEach(w => outChan.appendLine(`[profiles] export ${name}: ${w}`));
+    vscode.window.showInformationMessage(`Exported "${name}" to ${target.fsPath}${manifest.warnings.length ? ' (with warnings, see "Codestrap" output)' : ''}.`);
+    postAck({ type: 'ack', op: 'profile:export', ok: true });
+  });
+}
+
+async function pickProfileBundle(postAck){
+  const picked = await vscode.window.showOpenDialog({ canSelectMany: false, openLabel: 'Check bundle', filters: { 'Codestrap profile bundle': ['gz'] } });
+  if (!picked || !picked[0]) return postAck({ type: 'ack', op: 'profile:import', ok: false });
+  dropPendingImport();
+  readBundle(picked[0].fsPath, async (err, bundle) => {
+    if (err) return postAck({ type: 'profile:import:preview', name: '', errors: [{ pointer: '', message: err.message }] });
+    if (bundle.errors.length) {
+      bundle.cleanup();
+      return postAck({ type: 'profile:import:preview', name: '', errors: bundle.errors });
+    }
+    const name = await vscode.window.showInputBox({
+      prompt: 'Import as profile',
+      value: bundle.manifest.name,
+      validateInput: v => isValidProfileName(v) ? null : 'Letters, digits, . _ - only'
+    });
+    if (!name) { bundle.cleanup(); return postAck({ type: 'ack', op: 'profile:import', ok: false }); }
+    pendingImport = { bundle, file: picked[0].fsPath, name, pin: false };
+    postAck(importPreview());
+  });
+}
+
+// The proxy re-validates the bundle and answers with a confirmation token; the preview the
+// user just accepted is that confirmation, so the token is sent straight back.
+function applyProfileBundle(pin, postAck){
+  if (!pendingImport) return postAck({ type: 'ack', op: 'profile:import', ok: false, error: 'Pick a bundle first.' });
+  const { file, name } = pendingImport;
+  const apiPath = `/__api/profiles/${encodeURIComponent(name)}/import${pin ? '?pin=1' : ''}`;
+  const finish = (err, status, j) => {
+    if (!err && status === 201) {
+      if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+      (j.written || []).forEach(f => outChan.appendLine(`[profiles] import ${name}: wrote ${f}`));
+      vscode.window.showInformationMessage(`Imported profile "${name}". Load it to install its extensions.`);
+      postAck({ type: 'ack', op: 'profile:import', ok: true, name });
+    } else {
+      const e = apiErrors(err, status, j)[0];
+      const message = e.pointer ? `${e.pointer}: ${e.message}` : e.message;
+      vscode.window.showErrorMessage(`Import failed: ${message}`);
+      postAck({ type: 'ack', op: 'profile:import', ok: false, error: message });
+    }
+    if (pendingImport && pendingImport.file === file) dropPendingImport();
+    postAck({ type: 'profiles:status', profiles: readProfilesStatus() });
+  };
+  proxyApi('POST', apiPath, { file }, (err, status, j) => {
+    if (err || status !== 200 || !j.confirm) return finish(err, status, j);
+    proxyApi('POST', `${apiPath}${pin ? '&' : '?'}confirm=${encodeURIComponent(j.confirm)}`, { file }, finish);
+  });
+}
+
 const INITIALS = {
   GITHUB_USERNAME: process.env.GITHUB_USERNAME || '',
   GITHUB_TOKEN:    process.env.GITHUB_TOKEN    || '',
@@ -94,9 +272,46 @@ const INITIALS = {
   GIT_EMAIL:       process.env.GIT_EMAIL       || '',
   GITHUB_REPOS:    process.env.GITHUB_REPOS    || '',
   GITHUB_PULL:     (process.env.GITHUB_PULL || '').toString(),
-  ALLOW_SUDO_PASSWORD_CHANGE: false
+  ALLOW_SUDO_PASSWORD_CHANGE: false,
+  POLICIES: {},
+  PROFILES: []
 };
 
+// Re-read on every check (cached by mtime in lib/policies) so edits apply without a reload.
+// Returns true when allowed; otherwise shows the denial and ACKs failure to the webview.
+function policyGate(key, { op, postAck } = {}){
+  if (policyAllows(key, loadPolicies())) return true;
+  vscode.window.showWarningMessage(policyDenial(key));
+  if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+  outChan.appendLine(`[policy] denied: ${policyDenial(key)}`);
+  if (op && postAck) postAck({ type: 'ack', op, ok: false, policy: key });
+  return false;
+}
+
+function reportPolicyErrors(){
+  const pol = loadPolicies();
+  if (!pol.errors.length) return;
+  if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+  pol.errors.forEach(e => outChan.appendLine(`[policy] ${pol.file}${e.line ? `:${e.line}` : ''}${e.key ? ` ${e.key}` : ''}: ${e.message}`));
+}
+
+// Extension ids any profile asks for (what `codestrap extensions -i` installs)
+function profileExtensionSuperset(){
+  const ids = new Set();
+  let files = [];
+  try { files = fs.readdirSync(PROFILES_DIR).filter(f => /\.profile\.json$/i.test(f)); } catch(_) {}
+  files.forEach(f => {
+    try {
+      const prof = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, f), 'utf8'));
+      (Array.isArray(prof.extensions) ? prof.extensions : []).forEach(e => {
+        const spec = parseExtensionSpec(e);
+        if (spec) ids.add(spec.id.toLowerCase());
+      });
+    } catch(_) {}
+  });
+  return ids;
+}
+
 function registerTerminalWatcher(context){
   context.subscriptions.push(
     vscode.window.onDidCloseTerminal((term) => {
@@ -295,22 +510,14 @@ function loadWebviewHtml(webview, context, initialJSON){
 class ViewProvider {
   constructor(context){
     this.context = context;
-    // Parse policies.yml once (best-effort, no external deps)
-    try {
-      const p = '/config/.codestrap/policies.yml';
-      if (fs.existsSync(p)) {
-        const text = fs.readFileSync(p, 'utf8');
-        // look for: allow-sudo-password-change: true (ignores whitespace & case)
-        const m = /(^|\n)\s*allow-sudo-password-change\s*:\s*true\s*($|\n)/i.test(text);
-        INITIALS.ALLOW_SUDO_PASSWORD_CHANGE = !!m;
-      }
-    } catch (_) {
-      INITIALS.ALLOW_SUDO_PASSWORD_CHANGE = false;
-    }
+    reportPolicyErrors();
   }
   resolveWebviewView(webviewView){
     this.webview = webviewView.webview;
     this.webview.options = { enableScripts: true };
+    INITIALS.POLICIES = loadPolicies().values;
+    INITIALS.ALLOW_SUDO_PASSWORD_CHANGE = INITIALS.POLICIES['allow-sudo-password-change'] === true;
+    INITIALS.PROFILES = readProfilesStatus();
     this.webview.html = loadWebviewHtml(this.webview, this.context, INITIALS);
 
     this.webview.onDidReceiveMessage((msg) => {
@@ -318,7 +525,12 @@ class ViewProvider {
       switch (msg.type) {
         case 'open:docs': openDocs(); break;
         case 'open:cli':  openCLI();  break;
+        case 'policies:get': {
+          postAck({ type: 'policies', policies: loadPolicies().values });
+          break;
+        }
         case 'passwd:set': {
+          if (!policyGate('allow-login-password-change', { op: 'passwd', postAck })) return;
           const pw = msg.password || '';
           const cf = msg.confirm  || '';
           if (pw.length < 8) { vscode.window.showErrorMessage('Password must be at least 8 characters.'); return; }
@@ -329,10 +541,7 @@ class ViewProvider {
           break; // no ack (spinner continues)
         }
         case 'sudopasswd:set': {
-          if (!INITIALS.ALLOW_SUDO_PASSWORD_CHANGE) {
-            vscode.window.showWarningMessage('Changing sudo password is disabled by policy.');
-            return;
-          }
+          if (!policyGate('allow-sudo-password-change', { op: 'sudopasswd', postAck })) return;
           const pw = msg.password || '';
           const cf = msg.confirm  || '';
           if (pw.length < 8) { vscode.window.showErrorMessage('Password must be at least 8 characters.'); return; }
@@ -342,6 +551,7 @@ class ViewProvider {
           break; // no ack (spinner continues)
         }
         case 'config:run': {
+          if (!policyGate('allow-config-merge', { op: 'config', postAck })) break;
           const tf=(b)=> b?'true':'false';
           const args=['config'];
           if ('settings' in msg)   args.push('-s', tf(!!msg.settings));
@@ -353,6 +563,7 @@ class ViewProvider {
           break;
         }
         case 'ext:apply': {
+          if (!policyGate('allow-extensions-sync', { op: 'extensions', postAck })) break;
           const args = ['extensions'];
           const un = (msg.uninstall || '').trim();
           const ins = (msg.install   || '').trim();
@@ -363,6 +574,19 @@ class ViewProvider {
             postAck && postAck({ type: 'ack', op: 'extensions', ok: false });
             break;
           }
+          // Installing is refused up front when policy forbids it or blocks a profile extension
+          if (ins !== '') {
+            if (!policyGate('allow-extension-installs', { op: 'extensions', postAck })) break;
+            const pol = loadPolicies();
+            const blocked = [...profileExtensionSuperset()].map(id => extensionBlockReason(id, pol)).filter(Boolean);
+            if (blocked.length) {
+              if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+              blocked.forEach(r => outChan.appendLine(`[policy] denied: ${r}`));
+              vscode.window.showWarningMessage(blocked.length === 1 ? blocked[0] : `${blocked.length} profile extensions are blocked by policy; see the Codestrap output.`);
+              postAck && postAck({ type: 'ack', op: 'extensions', ok: false });
+              break;
+            }
+          }
 
           if (un === 'all' || un === 'missing') args.push('-u', un);
           if (ins === 'all' || ins === 'missing') args.push('-i', ins);
@@ -372,6 +596,7 @@ class ViewProvider {
           break;
         }
         case 'github:run': {
+          if (!policyGate('allow-github-bootstrap', { op: 'github', postAck })) break;
           const args=['github'];
           if (msg.fill_env || msg.auto) {
             args.push('--auto');
@@ -387,6 +612,92 @@ class ViewProvider {
           runCodestrap('github', args, { expectAck:true, postAck });
           break;
         }
+        case 'profiles:check': {
+          const profiles = readProfilesStatus();
+          const bad = profiles.filter(p => p.errors.length);
+          if (bad.length) {
+            if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+            bad.forEach(p => formatErrors(p.errors).forEach(line => outChan.appendLine(`[profiles] ${p.name}.profile.json ${line}`)));
+          }
+          postAck({ type: 'profiles:status', profiles });
+          break;
+        }
+        case 'profile:get': {
+          const name = String(msg.name || '');
+          const { profile, errors } = readProfileForEdit(name);
+          postAck({ type: 'profile:data', name, profile, errors });
+          break;
+        }
+        case 'profile:validate': {
+          postAck({ type: 'profile:validated', errors: validateProfile(msg.profile) });
+          break;
+        }
+        case 'profile:save': {
+          if (!policyGate('allow-profiles-change', { op: 'profile:save', postAck })) break;
+          const name = String(msg.name || '');
+          writeProfileForEdit(name, msg.profile, { create: msg.create === true }, errors => {
+            if (errors.length) {
+              if (!outChan) outChan = vscode.window.createOutputChannel('Codestrap');
+              formatErrors(errors).forEach(line => outChan.appendLine(`[profiles] ${name}.profile.json ${line}`));
+            } else {
+              vscode.window.showInformationMessage(`Saved profile "${name}".`);
+            }
+            postAck({ type: 'ack', op: 'profile:save', ok: !errors.length, name, errors });
+            postAck({ type: 'profiles:status', profiles: readProfilesStatus() });
+          });
+          break;
+        }
+        case 'profile:load': {
+          if (!policyGate('allow-profiles-change', { op: 'profile', postAck })) break;
+          const name = String(msg.name || '');
+          if (!isValidProfileName(name)) {
+            vscode.window.showErrorMessage('Pick a profile to load first.');
+            postAck({ type: 'ack', op: 'profile', ok: false });
+            break;
+          }
+          const { profile, errors } = readProfileForEdit(name);
+          if (errors.length) {
+            vscode.window.showErrorMessage(`Profile "${name}" is invalid: ${formatErrors(errors)[0]}`);
+            postAck({ type: 'ack', op: 'profile', ok: false, errors });
+            break;
+          }
+          const args = ['profile', '--load', name];
+          // The CLI refuses profiles with a github block unless a token is given
+          if (profile && profile.github) {
+            const tok = msg.token || process.env.GITHUB_TOKEN || '';
+            if (!tok) {
+              vscode.window.showErrorMessage(`Profile "${name}" has a github section; enter a GitHub token to load it.`);
+              postAck({ type: 'ack', op: 'profile', ok: false });
+              break;
+            }
+            args.push('--ghp', tok);
+          }
+          runCodestrap('profile', args, { expectAck: true, postAck });
+          break;
+        }
+        case 'profile:export': {
+          const name = String(msg.name || '');
+          if (!isValidProfileName(name)) { postAck({ type: 'ack', op: 'profile:export', ok: false }); break; }
+          exportProfileBundle(name, postAck);
+          break;
+        }
+        case 'profile:import:pick': {
+          if (!policyGate('allow-profiles-change', { op: 'profile:import', postAck })) break;
+          pickProfileBundle(postAck);
+          break;
+        }
+        case 'profile:import:diff': {
+          if (!pendingImport) break;
+          pendingImport.pin = !!msg.pin;
+          postAck(importPreview());
+          break;
+        }
+        case 'profile:import:apply': {
+          if (!policyGate('allow-profiles-change', { op: 'profile:import', postAck })) break;
+          applyProfileBundle(!!msg.pin, postAck);
+          break;
+        }
+        case 'profile:import:cancel': dropPendingImport(); break;
         //case 'host:error': {
         //    if (msg && msg.message) vscode.window.showErrorMessage(String(msg.message));
         //    break;
@@ -410,6 +721,6 @@ function activate(context){
   setupReloadWatcher(context);
   setupProfileSwitchWatcher(context);
 }
-function deactivate(){}
+function deactivate(){ dropPendingImport(); }
 
 module.exports = { activate, deactivate };
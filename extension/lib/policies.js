@@ -0,0 +1,210 @@
+// policies.js — typed policies from /config/.codestrap/policies.yml
+//
+// Shared by the proxy (codestrap-proxy.js, mounted at /app/lib) and the
+// VS Code extension (extension.js). No dependencies; CommonJS only.
+//
+// policies.yml is read with a small YAML subset:
+//   key: value            scalars (true/false, numbers, null, 'quoted', "quoted", bare)
+//   key: [a, "b"]         flow lists of scalars
+//   key:                  block lists of scalars
+//     - a
+//   # comments            full-line or after whitespace
+// Anything else is reported as an error (with its line number) and ignored.
+//
+// Every known policy has a type and a default; a missing file means defaults.
+// codestrap.sh mirrors the boolean defaults in policy_bool().
+
+const fs = require('fs');
+
+const POLICIES_FILE = '/config/.codestrap/policies.yml';
+
+const POLICY_DEFS = {
+  'allow-sudo-password-change':  { type: 'boolean', default: false, what: 'Changing the sudo password' },
+  'allow-login-password-change': { type: 'boolean', default: true,  what: 'Changing the login password' },
+  'allow-profiles-change':       { type: 'boolean', default: true,  what: 'Switching or editing profiles' },
+  'allow-config-merge':          { type: 'boolean', default: true,  what: 'Merging bootstrap config' },
+  'allow-extensions-sync':       { type: 'boolean', default: true,  what: 'Managing extensions' },
+  'allow-extension-installs':    { type: 'boolean', default: true,  what: 'Installing extensions' },
+  'allow-github-bootstrap':      { type: 'boolean', default: true,  what: 'Bootstrapping GitHub' },
+  // "publisher" or "publisher.name" entries, case-insensitive; an empty allowlist allows all
+  'extension-allowlist':         { type: 'list',    default: [],    what: 'Extension allowlist' },
+  'extension-denylist':          { type: 'list',    default: [],    what: 'Extension denylist' }
+};
+
+const TRUE_TOKENS  = ['true', 'yes', 'y', 'on', '1'];
+const FALSE_TOKENS = ['false', 'no', 'n', 'off', '0'];
+
+/* --------------------- YAML subset --------------------- */
+function stripComment(line){
+  let q = '';
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (q) { if (c === q) q = ''; continue; }
+    if (c === '"' || c === "'") q = c;
+    else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+  }
+  return line;
+}
+
+function parseScalar(raw){
+  const v = raw.trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(v)) { try { return JSON.parse(v); } catch (_) { return v.slice(1, -1); } }
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (v === '' || v === '~' || v === 'null') return null;
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+function parseFlowList(raw){
+  const inner = raw.trim().slice(1, -1).trim();
+  if (!inner) return [];
+  const out = [];
+  let cur = '', q = '';
+  for (const c of inner) {
+    if (q) { cur += c; if (c === q) q = ''; continue; }
+    if (c === '"' || c === "'") { q = c; cur += c; continue; }
+    if (c === ',') { out.push(parseScalar(cur)); cur = ''; continue; }
+    cur += c;
+  }
+  out.push(parseScalar(cur));
+  return out;
+}
+
+// Returns { data, errors:[{ line, message }] }; top-level mapping only.
+function parseYamlSubset(text){
+  const data = {};
+  const errors = [];
+  let listKey = null;   // key whose block list we are filling
+  String(text || '').split(/\r?\n/).forEach((full, idx) => {
+    const line = idx + 1;
+    const s = stripComment(full).replace(/\s+$/, '');
+    if (!s.trim()) return;
+    const indent = s.length - s.trimStart().length;
+
+    const item = /^\s*-(?:\s+(.*))?$/.exec(s);
+    if (item) {
+      if (!listKey) { errors.push({ line, message: 'list item without a parent key' }); return; }
+      const v = (item[1] || '').trim();
+      if (/^[^'"[{]*:(\s|$)/.test(v) || v.startsWith('{') || v.startsWith('[')) { errors.push({ line, message: 'only lists of scalars are supported' }); return; }
+      if (!Array.isArray(data[listKey])) data[listKey] = [];
+      data[listKey].push(parseScalar(v));
+      return;
+    }
+    if (indent > 0) { errors.push({ line, message: 'nested mappings are not supported' }); return; }
+
+    listKey = null;
+    const m = /^([A-Za-z0-9_.-]+)\s*:(?:\s+(.*))?$/.exec(s);
+    if (!m) { errors.push({ line, message: 'expected "key: value"' }); return; }
+    const key = m[1];
+    const rest = (m[2] || '').trim();
+    if (Object.prototype.hasOwnProperty.call(data, key)) errors.push({ line, message: `duplicate key "${key}" (last one wins)` });
+    if (!rest) { data[key] = null; listKey = key; return; }   // null unless "- item" lines follow
+    if (rest.startsWith('[')) {
+      if (!rest.endsWith(']')) { errors.push({ line, message: 'unterminated flow list' }); return; }
+      data[key] = parseFlowList(rest);
+      return;
+    }
+    if (rest.startsWith('{') || rest === '|' || rest === '>') { errors.push({ line, message: 'only scalars and lists are supported' }); return; }
+    data[key] = parseScalar(rest);
+  });
+  return { data, errors };
+}
+
+/* --------------------- typed policies --------------------- */
+function coerce(def, v){
+  if (v === null || v === undefined) return { ok: true, value: def.default };
+  switch (def.type) {
+    case 'boolean': {
+      if (typeof v === 'boolean') return { ok: true, value: v };
+      const t = String(v).trim().toLowerCase();
+      if (TRUE_TOKENS.includes(t)) return { ok: true, value: true };
+      if (FALSE_TOKENS.includes(t)) return { ok: true, value: false };
+      return { ok: false, message: 'must be true or false' };
+    }
+    case 'number':
+      return typeof v === 'number' && isFinite(v) ? { ok: true, value: v } : { ok: false, message: 'must be a number' };
+    case 'string':
+      return typeof v === 'string' ? { ok: true, value: v } : { ok: false, message: 'must be a string' };
+    case 'list': {
+      const arr = Array.isArray(v) ? v : [v];
+      if (arr.some(x => typeof x !== 'string' && typeof x !== 'number')) return { ok: false, message: 'must be a list of strings' };
+      return { ok: true, value: arr.map(String) };
+    }
+  }
+  return { ok: false, message: `unknown policy type ${def.type}` };
+}
+
+function defaultPolicies(){
+  const values = {};
+  Object.keys(POLICY_DEFS).forEach(k => { values[k] = Array.isArray(POLICY_DEFS[k].default) ? [...POLICY_DEFS[k].default] : POLICY_DEFS[k].default; });
+  return values;
+}
+
+// Typed values for every known key; bad or unknown keys are reported, never fatal.
+function resolvePolicies(data){
+  const values = defaultPolicies();
+  const errors = [];
+  Object.keys(data || {}).forEach(k => {
+    const def = POLICY_DEFS[k];
+    if (!def) { errors.push({ key: k, message: 'unknown policy (ignored)' }); return; }
+    const r = coerce(def, data[k]);
+    if (r.ok) values[k] = r.value;
+    else errors.push({ key: k, message: `${r.message}; using default ${JSON.stringify(def.default)}` });
+  });
+  return { values, errors };
+}
+
+// Cached by mtime so callers can re-read on every request/message.
+const cache = new Map();
+function loadPolicies(file = POLICIES_FILE){
+  let st = null;
+  try { st = fs.statSync(file); } catch (_) {}
+  if (!st) return { file, exists: false, values: defaultPolicies(), errors: [] };
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.result;
+  let result;
+  try {
+    const parsed = parseYamlSubset(fs.readFileSync(file, 'utf8'));
+    const typed = resolvePolicies(parsed.data);
+    result = {
+      file, exists: true, values: typed.values,
+      errors: [...parsed.errors.map(e => ({ line: e.line, message: e.message })), ...typed.errors]
+    };
+  } catch (e) {
+    result = { file, exists: true, values: defaultPolicies(), errors: [{ message: `unreadable: ${e.code || e.message}` }] };
+  }
+  cache.set(file, { mtimeMs: st.mtimeMs, size: st.size, result });
+  return result;
+}
+
+function policyAllows(key, policies){
+  const values = (policies && policies.values) || loadPolicies().values;
+  return values[key] !== false;
+}
+
+function policyDenial(key){
+  const def = POLICY_DEFS[key];
+  return `${def ? def.what : key} is disabled by policy (policies.yml → ${key}: false).`;
+}
+
+// null when extension `id` may be installed, else a user-facing reason.
+function extensionBlockReason(id, policies){
+  const values = (policies && policies.values) || loadPolicies().values;
+  if (values['allow-extension-installs'] === false) return policyDenial('allow-extension-installs');
+  const lc = String(id || '').toLowerCase();
+  const pub = lc.split('.')[0];
+  const listed = list => (list || []).some(e => { const x = String(e).toLowerCase(); return x === lc || x === pub; });
+  if (listed(values['extension-denylist'])) return `${id} is blocked by policy (policies.yml → extension-denylist).`;
+  if ((values['extension-allowlist'] || []).length && !listed(values['extension-allowlist'])) {
+    return `${id} is not an allowed extension (policies.yml → extension-allowlist).`;
+  }
+  return null;
+}
+
+module.exports = {
+  POLICIES_FILE, POLICY_DEFS,
+  parseYamlSubset, resolvePolicies, defaultPolicies, loadPolicies, policyAllows, policyDenial,
+  extensionBlockReason
+};
@@ -0,0 +1,345 @@
+// profile-bundle.js — portable profile bundles (<name>.codestrap-profile.tar.gz)
+//
+// Shared by the proxy (codestrap-proxy.js, mounted at /app/lib), the VS Code
+// extension (extension.js) and the CLI (`codestrap profile --export/--import`
+// runs this file with node). No dependencies; CommonJS only.
+//
+// Bundle layout:
+//   bundle.json         { format, version, name, exportedAt, extensions: [{ id, version, vsix? }], files }
+//   profile.json        the *.profile.json
+//   user/settings.json  current settings / keybindings / tasks from the profile's data
+//   user/keybindings.json   folder (kept as text, comments included)
+//   user/tasks.json
+//   vsix/<file>.vsix    optional: files behind "vsix:" extension sources
+//
+// Importing is read → diff → apply: readBundle() validates everything, diffBundle()
+// describes what apply would change, applyBundle() writes it. Nothing is written before
+// apply. Extensions are not installed here; the list (with versions) is what the next
+// `codestrap profile --load` / extensions sync will bring in, and copied .vsix files are
+// referenced from the imported profile.json. They go to <vsixDir>/<profile>/, so importing
+// one profile never replaces a same-named .vsix another profile points at.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateProfile, validateProfileText, formatErrors, parseExtensionSpec } = require('./profile-schema');
+const { writeTarGz, extractTarGz } = require('./tar');
+
+const BUNDLE_FORMAT = 'codestrap-profile-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_SUFFIX = '.codestrap-profile.tar.gz';
+const USER_FILES = { 'settings.json': 'object', 'keybindings.json': 'array', 'tasks.json': 'object' };
+const PROFILE_NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+const DEFAULT_PATHS = {
+  profilesDir: '/config/codestrap/profiles',
+  dataBase: '/config/data/User/profiles',
+  vsixDir: '/config/.codestrap/vsix'
+};
+function bundlePaths(p){ return Object.assign({}, DEFAULT_PATHS, p || {}); }
+function isValidProfileName(n){ return typeof n === 'string' && PROFILE_NAME_RE.test(n) && !/^\.+$/.test(n); }
+function vsixPath(paths, name, file){ return path.join(paths.vsixDir, name, file); }
+function typeOf(v){ return v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v; }
+
+/* --------------------- JSONC --------------------- */
+// settings.json & co. allow comments and trailing commas; strip both outside strings.
+function parseJsonc(text){
+  // pass(s, fn): copies strings verbatim, lets fn(s, i) consume anything else
+  const pass = (s, fn) => {
+    let out = '', i = 0;
+    while (i < s.length) {
+      if (s[i] === '"') {
+        let j = i + 1;
+        while (j < s.length && s[j] !== '"') j += s[j] === '\\' ? 2 : 1;
+        out += s.slice(i, j + 1); i = j + 1;
+        continue;
+      }
+      const r = fn(s, i);
+      out += r.text; i = r.next;
+    }
+    return out;
+  };
+  const noComments = pass(String(text), (s, i) => {
+    if (s[i] === '/' && s[i + 1] === '/') { const nl = s.indexOf('\n', i); return { text: '', next: nl < 0 ? s.length : nl }; }
+    if (s[i] === '/' && s[i + 1] === '*') { const end = s.indexOf('*/', i + 2); return { text: ' ', next: end < 0 ? s.length : end + 2 }; }
+    return { text: s[i], next: i + 1 };
+  });
+  const clean = pass(noComments, (s, i) => ({ text: s[i] === ',' && /^\s*[}\]]/.test(s.slice(i + 1)) ? '' : s[i], next: i + 1 }));
+  return clean.trim() ? JSON.parse(clean) : undefined;
+}
+
+/* --------------------- export --------------------- */
+// Extensions installed in the profile (its materialized extensions.json), sorted by id.
+function installedExtensions(name, paths){
+  let list;
+  try { list = JSON.parse(fs.readFileSync(path.join(bundlePaths(paths).dataBase, name, 'extensions.json'), 'utf8')); }
+  catch (_) { return []; }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(e => ({ id: String((e && e.identifier && e.identifier.id) || '').toLowerCase(), version: (e && e.version) || null }))
+    .filter(e => e.id)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Writes the bundle for profile `name` to outFile; cb(err, manifest).
+// opts: { paths, vsix: include .vsix files referenced by the profile }
+function exportBundle(name, outFile, opts, cb){
+  const paths = bundlePaths(opts && opts.paths);
+  if (!isValidProfileName(name)) return cb(new Error('invalid profile name'));
+  let profileText;
+  try { profileText = fs.readFileSync(path.join(paths.profilesDir, `${name}.profile.json`), 'utf8'); }
+  catch (e) { return cb(new Error(e.code === 'ENOENT' ? `profile '${name}' not found` : `cannot read profile '${name}': ${e.code || e.message}`)); }
+  const { profile, errors } = validateProfileText(profileText);
+  if (errors.length) return cb(new Error(`profile '${name}' is invalid: ${formatErrors(errors)[0]}`));
+
+  const items = [{ name: 'profile.json', data: Buffer.from(profileText) }];
+  const warnings = [];
+  for (const f of Object.keys(USER_FILES)) {
+    try { items.push({ name: `user/${f}`, data: fs.readFileSync(path.join(paths.dataBase, name, f)) }); }
+    catch (e) { if (e.code !== 'ENOENT') warnings.push(`user/${f}: ${e.code || e.message}`); }
+  }
+
+  const extensions = installedExtensions(name, paths);
+  const byId = new Map(extensions.map(e => [e.id, e]));
+  const vsixNames = new Set();
+  for (const spec of (Array.isArray(profile.extensions) ? profile.extensions : []).map(parseExtensionSpec).filter(Boolean)) {
+    const id = spec.id.toLowerCase();
+    if (!byId.has(id)) { const e = { id, version: spec.version || null }; extensions.push(e); byId.set(id, e); }
+    if (!opts || !opts.vsix || !spec.source) continue;
+    const file = spec.source.slice('vsix:'.length);
+    let base = path.basename(file);
+    for (let n = 2; vsixNames.has(base); n++) base = path.basename(file, '.vsix') + `-${n}.vsix`;
+    try { fs.accessSync(file, fs.constants.R_OK); }
+    catch (e) { warnings.push(`${spec.id}: ${file} not readable (${e.code || e.message}); exported without its .vsix`); continue; }
+    items.push({ name: `vsix/${base}`, file });
+    vsixNames.add(base);
+    byId.get(id).vsix = base;
+  }
+  extensions.sort((a, b) => a.id.localeCompare(b.id));
+
+  const manifest = {
+    format: BUNDLE_FORMAT, version: BUNDLE_VERSION, name,
+    exportedAt: new Date().toISOString(), exportedFrom: os.hostname(),
+    extensions, files: items.map(i => i.name), warnings
+  };
+  items.unshift({ name: 'bundle.json', data: Buffer.from(JSON.stringify(manifest, null, 2) + '\n') });
+  writeTarGz(outFile, items, err => cb(err || null, err ? null : manifest));
+}
+
+/* --------------------- import --------------------- */
+// Unpacks and validates a bundle; cb(err, bundle). err is only for unreadable archives —
+// content problems land in bundle.errors ({ pointer: "/<file>/<json pointer>", message }).
+// Call bundle.cleanup() when done.
+function readBundle(file, cb){
+  let dir;
+  try { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codestrap-bundle-')); } catch (e) { return cb(e); }
+  const cleanup = () => { try { fs.rmSync(dir, { recursive: true, force: true }); } catch (_) {} };
+  extractTarGz(file, dir, (err) => {
+    if (err) { cleanup(); return cb(new Error(`not a readable bundle: ${err.message}`)); }
+    const b = { dir, cleanup, manifest: null, profileText: null, profile: null, user: {}, vsix: [], errors: [], warnings: [] };
+    const add = (pointer, message) => b.errors.push({ pointer, message });
+    const read = rel => { try { return fs.readFileSync(path.join(dir, rel), 'utf8'); } catch (_) { return null; } };
+
+    const mtext = read('bundle.json');
+    if (mtext === null) add('/bundle.json', 'is missing (not a codestrap profile bundle)');
+    else {
+      try { b.manifest = JSON.parse(mtext); } catch (e) { add('/bundle.json', `invalid JSON: ${e.message}`); }
+      const m = b.manifest;
+      if (m && m.format !== BUNDLE_FORMAT) add('/bundle.json/format', `must be "${BUNDLE_FORMAT}"`);
+      else if (m && !(Number.isInteger(m.version) && m.version >= 1 && m.version <= BUNDLE_VERSION)) add('/bundle.json/version', `unsupported bundle version ${JSON.stringify(m.version)} (this codestrap reads ${BUNDLE_VERSION})`);
+      if (m && !isValidProfileName(m.name)) add('/bundle.json/name', 'must match [A-Za-z0-9._-]{1,64}');
+      if (m && m.extensions !== undefined && !Array.isArray(m.extensions)) add('/bundle.json/extensions', 'must be an array');
+    }
+
+    b.profileText = read('profile.json');
+    if (b.profileText === null) add('/profile.json', 'is missing');
+    else {
+      const v = validateProfileText(b.profileText);
+      b.profile = v.profile;
+      v.errors.forEach(e => add(`/profile.json${e.pointer}`, e.message));
+    }
+
+    for (const [f, shape] of Object.entries(USER_FILES)) {
+      const text = read(`user/${f}`);
+      if (text === null) continue;
+      let value;
+      try { value = parseJsonc(text); } catch (e) { add(`/user/${f}`, `invalid JSON: ${e.message}`); continue; }
+      if (value !== undefined && typeOf(value) !== shape) { add(`/user/${f}`, `must be ${shape === 'array' ? 'an' : 'a'} ${shape} (got ${typeOf(value)})`); continue; }
+      b.user[f] = { text, value };
+    }
+
+    try { b.vsix = fs.readdirSync(path.join(dir, 'vsix')).filter(n => /\.vsix$/i.test(n)).sort(); } catch (_) {}
+    const referenced = new Set(((b.manifest && Array.isArray(b.manifest.extensions)) ? b.manifest.extensions : []).map(e => e && e.vsix).filter(Boolean));
+    referenced.forEach(n => { if (!b.vsix.includes(n)) add('/bundle.json/extensions', `references vsix/${n}, which is not in the bundle`); });
+    b.vsix.filter(n => !referenced.has(n)).forEach(n => b.warnings.push(`vsix/${n} is not referenced by any extension (ignored)`));
+    cb(null, b);
+  });
+}
+
+// profile.json as it would be written for `name`: vsix sources point at the copied files and,
+// with opts.pin, unpinned extensions are pinned to the bundle's installed versions.
+function plannedProfile(b, name, opts){
+  const paths = bundlePaths(opts && opts.paths);
+  const prof = JSON.parse(JSON.stringify(b.profile || {}));
+  const listed = new Map(((b.manifest && b.manifest.extensions) || []).filter(e => e && e.id).map(e => [String(e.id).toLowerCase(), e]));
+  if (!Array.isArray(prof.extensions)) return prof;
+  prof.extensions = prof.extensions.map(entry => {
+    const spec = parseExtensionSpec(entry);
+    const got = spec && listed.get(spec.id.toLowerCase());
+    if (!got) return entry;
+    if (got.vsix && b.vsix.includes(got.vsix)) {
+      return Object.assign({}, typeof entry === 'object' ? entry : {}, { id: spec.id, source: `vsix:${vsixPath(paths, name, got.vsix)}` },
+        spec.version || got.version ? { version: spec.version || got.version } : {});
+    }
+    if (opts && opts.pin && !spec.version && got.version) {
+      return typeof entry === 'string' ? `${spec.id}@${got.version}` : Object.assign({}, entry, { version: got.version });
+    }
+    return entry;
+  });
+  return prof;
+}
+
+// RFC 6901-ish change list; arrays are compared as sets of (JSON) elements.
+function jsonDiff(a, b, ptr = '', out = []){
+  const ta = typeOf(a), tb = typeOf(b);
+  const esc = k => String(k).replace(/~/g, '~0').replace(/\//g, '~1');
+  if (a === undefined && b === undefined) return out;
+  if (a === undefined) { out.push({ op: 'add', pointer: ptr, to: b }); return out; }
+  if (b === undefined) { out.push({ op: 'remove', pointer: ptr, from: a }); return out; }
+  if (ta === 'object' && tb === 'object') {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) jsonDiff(a[k], b[k], `${ptr}/${esc(k)}`, out);
+    return out;
+  }
+  if (ta === 'array' && tb === 'array') {
+    const sa = a.map(x => JSON.stringify(x)), sb = b.map(x => JSON.stringify(x));
+    sa.forEach((s, i) => { if (!sb.includes(s)) out.push({ op: 'remove', pointer: `${ptr}/${i}`, from: a[i] }); });
+    sb.forEach((s, i) => { if (!sa.includes(s)) out.push({ op: 'add', pointer: `${ptr}/-`, to: b[i] }); });
+    return out;
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ op: 'change', pointer: ptr, from: a, to: b });
+  return out;
+}
+
+// What applyBundle(b, name, opts) would change. opts: { paths, pin }
+function diffBundle(b, name, opts){
+  const paths = bundlePaths(opts && opts.paths);
+  const profFile = path.join(paths.profilesDir, `${name}.profile.json`);
+  const exists = fs.existsSync(profFile);
+  let current;
+  if (exists) { try { current = JSON.parse(fs.readFileSync(profFile, 'utf8')); } catch (_) { current = null; } }
+  const diff = {
+    name, exists, from: (b.manifest && b.manifest.name) || null,
+    profile: jsonDiff(exists && current ? current : {}, plannedProfile(b, name, opts)),
+    user: {}, extensions: { add: [], remove: [], change: [] },
+    vsix: b.vsix.map(n => vsixPath(paths, name, n)), warnings: b.warnings.slice()
+  };
+  if (exists && current === null) diff.warnings.push(`${name}.profile.json is not valid JSON; it will be replaced`);
+  for (const f of Object.keys(b.user)) {
+    let cur;
+    try { cur = parseJsonc(fs.readFileSync(path.join(paths.dataBase, name, f), 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') diff.warnings.push(`current ${f} is unreadable (${e.code || e.message}); it will be replaced`); }
+    diff.user[f] = jsonDiff(cur === undefined ? (USER_FILES[f] === 'array' ? [] : {}) : cur, b.user[f].value);
+  }
+  const have = new Map(installedExtensions(name, paths).map(e => [e.id, e.version]));
+  const want = new Map(((b.manifest && b.manifest.extensions) || []).filter(e => e && e.id).map(e => [String(e.id).toLowerCase(), e.version || null]));
+  for (const [id, v] of want) {
+    if (!have.has(id)) diff.extensions.add.push({ id, version: v });
+    else if (v && have.get(id) && v !== have.get(id)) diff.extensions.change.push({ id, from: have.get(id), to: v });
+  }
+  for (const [id, v] of have) if (!want.has(id)) diff.extensions.remove.push({ id, version: v });
+  diff.changed = !!(diff.profile.length || Object.values(diff.user).some(c => c.length) || diff.vsix.length);
+  return diff;
+}
+
+function formatDiff(diff){
+  const val = v => { const s = JSON.stringify(v); return s.length > 80 ? `${s.slice(0, 77)}...` : s; };
+  const change = c => c.op === 'add' ? `  + ${c.pointer || '(root)'}: ${val(c.to)}`
+    : c.op === 'remove' ? `  - ${c.pointer || '(root)'}`
+    : `  ~ ${c.pointer || '(root)'}: ${val(c.from)} → ${val(c.to)}`;
+  const lines = [`profile '${diff.name}'${diff.exists ? ' (exists, will be updated)' : ' (new)'}${diff.from && diff.from !== diff.name ? ` from bundle '${diff.from}'` : ''}`];
+  lines.push(diff.profile.length ? `${diff.name}.profile.json:` : `${diff.name}.profile.json: no changes`);
+  diff.profile.forEach(c => lines.push(change(c)));
+  for (const [f, changes] of Object.entries(diff.user)) {
+    lines.push(changes.length ? `${f}:` : `${f}: no changes`);
+    changes.forEach(c => lines.push(change(c)));
+  }
+  const x = diff.extensions;
+  if (x.add.length || x.remove.length || x.change.length) {
+    lines.push('extensions (installed on the next profile load):');
+    x.add.forEach(e => lines.push(`  + ${e.id}${e.version ? `@${e.version}` : ''}`));
+    x.change.forEach(e => lines.push(`  ~ ${e.id} ${e.from} → ${e.to}`));
+    x.remove.forEach(e => lines.push(`  - ${e.id}${e.version ? `@${e.version}` : ''}`));
+  }
+  diff.vsix.forEach(f => lines.push(`vsix: ${f}`));
+  diff.warnings.forEach(w => lines.push(`warning: ${w}`));
+  return lines;
+}
+
+// Writes profile.json, the user files and the .vsix files for profile `name`.
+// Refuses bundles with errors. Returns { name, written: [files] }.
+function applyBundle(b, name, opts){
+  const paths = bundlePaths(opts && opts.paths);
+  if (b.errors.length) throw new Error(`bundle is invalid: ${formatErrors(b.errors)[0]}`);
+  if (!isValidProfileName(name)) throw new Error('invalid profile name');
+  const prof = plannedProfile(b, name, opts);
+  const errors = validateProfile(prof);
+  if (errors.length) throw new Error(`imported profile is invalid: ${formatErrors(errors)[0]}`);
+  const written = [];
+  const writeAtomic = (file, data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, data, { mode: 0o644 });
+    fs.renameSync(tmp, file);
+    written.push(file);
+  };
+  b.vsix.forEach(n => writeAtomic(vsixPath(paths, name, n), fs.readFileSync(path.join(b.dir, 'vsix', n))));
+  for (const [f, u] of Object.entries(b.user)) writeAtomic(path.join(paths.dataBase, name, f), u.text);
+  writeAtomic(path.join(paths.profilesDir, `${name}.profile.json`), JSON.stringify(prof, null, 2) + '\n');
+  return { name, written };
+}
+
+/* --------------------- CLI (used by codestrap.sh) --------------------- */
+//   node profile-bundle.js export <name> <out.tar.gz> [--vsix]
+//   node profile-bundle.js diff   <bundle> [<name>] [--pin] [--json]   exit 2 = invalid bundle
+//   node profile-bundle.js apply  <bundle> [<name>] [--pin]
+// PROFILE_DIR, PROFILE_DATA_BASE and VSIX_DIR in the environment override the default paths.
+function main(argv){
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const [cmd, a1, a2] = argv.filter(a => !a.startsWith('--'));
+  const env = { profilesDir: process.env.PROFILE_DIR, dataBase: process.env.PROFILE_DATA_BASE, vsixDir: process.env.VSIX_DIR };
+  const paths = Object.fromEntries(Object.entries(env).filter(([, v]) => v));
+  const opts = { paths, pin: flags.has('--pin'), vsix: flags.has('--vsix') };
+  const fail = (msg, code = 1) => { process.stderr.write(`${msg}\n`); process.exit(code); };
+  if (cmd === 'export') {
+    if (!a1 || !a2) fail('usage: export <name> <out.tar.gz> [--vsix]', 2);
+    return exportBundle(a1, a2, opts, (err, m) => {
+      if (err) fail(err.message);
+      m.warnings.forEach(w => process.stderr.write(`warning: ${w}\n`));
+      process.stdout.write(`exported '${a1}' → ${a2} (${m.files.length} files, ${m.extensions.length} extensions)\n`);
+    });
+  }
+  if (cmd !== 'diff' && cmd !== 'apply') fail('usage: export|diff|apply …', 2);
+  if (!a1) fail(`usage: ${cmd} <bundle> [<name>] [--pin]`, 2);
+  readBundle(a1, (err, b) => {
+    if (err) fail(err.message, 2);
+    const name = a2 || (b.manifest && b.manifest.name) || '';
+    if (b.errors.length) { b.cleanup(); fail(['bundle is invalid:', ...formatErrors(b.errors).map(l => `  ${l}`)].join('\n'), 2); }
+    if (!isValidProfileName(name)) { b.cleanup(); fail('invalid profile name', 2); }
+    try {
+      if (cmd === 'diff') {
+        const diff = diffBundle(b, name, opts);
+        process.stdout.write(flags.has('--json') ? JSON.stringify(diff, null, 2) + '\n' : formatDiff(diff).join('\n') + '\n');
+      } else {
+        const r = applyBundle(b, name, opts);
+        r.written.forEach(f => process.stdout.write(`wrote ${f}\n`));
+      }
+    } catch (e) { b.cleanup(); fail(e.message); }
+    b.cleanup();
+  });
+}
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = {
+  BUNDLE_FORMAT, BUNDLE_VERSION, BUNDLE_SUFFIX,
+  parseJsonc, installedExtensions, exportBundle, readBundle, diffBundle, formatDiff, applyBundle
+};
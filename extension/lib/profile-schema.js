@@ -0,0 +1,156 @@
+// profile-schema.js — validator for /config/codestrap/profiles/<name>.profile.json
+//
+// Shared by the proxy (codestrap-proxy.js, mounted at /app/lib) and the
+// VS Code extension (extension.js). No dependencies; CommonJS only.
+//
+// Every error carries a JSON pointer (RFC 6901) to the offending value, e.g.
+//   { pointer: "/github/repos/1", message: "must be \"owner/repo\", \"owner/repo#branch\" or a GitHub URL" }
+//
+// The rules are a superset of validate_profile_schema in codestrap.sh.
+
+const INPUT_TYPES = ['promptString', 'pickString', 'command'];
+const REPO_RE = /^([A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+(#[^\s#]+)?|https:\/\/github\.com\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+?(\.git)?\/?|(ssh:\/\/)?git@github\.com[:/][A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+?(\.git)?)$/;
+const EXT_ID_RE = /^[A-Za-z0-9][A-Za-z0-9-]*\.[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const EXT_VERSION_RE = /^[0-9A-Za-z][0-9A-Za-z.+-]*$/;
+const VSIX_SOURCE_RE = /^vsix:\/\S+\.vsix$/i;
+
+function pointer(parts){
+  return parts.length ? '/' + parts.map(p => String(p).replace(/~/g, '~0').replace(/\//g, '~1')).join('/') : '';
+}
+function typeOf(v){
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+const isObj = v => typeOf(v) === 'object';
+const given = v => v !== undefined && v !== null;
+
+// Extension entries: "publisher.name", "publisher.name@1.2.3" or
+// { id, version?, source?: "vsix:/abs/path.vsix" }. Returns { id, version, source }
+// (version/source '' when unpinned) or null when the entry has no usable id.
+function parseExtensionSpec(entry){
+  if (typeof entry === 'string') {
+    const at = entry.indexOf('@');
+    const id = (at < 0 ? entry : entry.slice(0, at)).trim();
+    return id ? { id, version: at < 0 ? '' : entry.slice(at + 1).trim(), source: '' } : null;
+  }
+  if (isObj(entry) && typeof entry.id === 'string' && entry.id.trim()) {
+    return {
+      id: entry.id.trim(),
+      version: typeof entry.version === 'string' ? entry.version.trim() : '',
+      source: typeof entry.source === 'string' ? entry.source.trim() : ''
+    };
+  }
+  return null;
+}
+
+function validateProfile(prof){
+  const errors = [];
+  const add = (parts, message) => errors.push({ pointer: pointer(parts), message });
+  const expect = (parts, v, want) => {
+    if (typeOf(v) === want) return true;
+    add(parts, `must be ${want === 'array' || want === 'object' ? 'an' : 'a'} ${want} (got ${typeOf(v)})`);
+    return false;
+  };
+  const absPath = (parts, v) => {
+    if (typeof v !== 'string' || !v.startsWith('/')) add(parts, 'must be an absolute path string');
+  };
+
+  if (!isObj(prof)) { add([], `profile must be a JSON object (got ${typeOf(prof)})`); return errors; }
+
+  if (given(prof.auth)) expect(['auth'], prof.auth, 'boolean');
+
+  if (given(prof.dirs) && expect(['dirs'], prof.dirs, 'object')) {
+    for (const k of ['workspace', 'profile_data']) if (given(prof.dirs[k])) absPath(['dirs', k], prof.dirs[k]);
+    if (given(prof.dirs.associated) && expect(['dirs', 'associated'], prof.dirs.associated, 'array')) {
+      prof.dirs.associated.forEach((d, i) => absPath(['dirs', 'associated', i], d));
+    }
+  }
+
+  if (given(prof.settings)) expect(['settings'], prof.settings, 'object');
+
+  if (given(prof.keybindings) && expect(['keybindings'], prof.keybindings, 'array')) {
+    prof.keybindings.forEach((kb, i) => {
+      if (!expect(['keybindings', i], kb, 'object')) return;
+      for (const k of ['key', 'command']) {
+        if (!given(kb[k])) add(['keybindings', i, k], 'is required');
+        else if (typeof kb[k] !== 'string' || !kb[k].trim()) add(['keybindings', i, k], 'must be a non-empty string');
+      }
+      if (given(kb.when) && typeof kb.when !== 'string') add(['keybindings', i, 'when'], 'must be a string');
+    });
+  }
+
+  if (given(prof.tasks) && expect(['tasks'], prof.tasks, 'object')) {
+    const t = prof.tasks;
+    if (given(t.version) && typeof t.version !== 'string') add(['tasks', 'version'], 'must be a string');
+    if (given(t.tasks) && expect(['tasks', 'tasks'], t.tasks, 'array')) {
+      t.tasks.forEach((task, i) => {
+        if (!expect(['tasks', 'tasks', i], task, 'object')) return;
+        if (given(task.label) && typeof task.label !== 'string') add(['tasks', 'tasks', i, 'label'], 'must be a string');
+      });
+    }
+    if (given(t.inputs) && expect(['tasks', 'inputs'], t.inputs, 'array')) {
+      const seen = new Set();
+      t.inputs.forEach((inp, i) => {
+        if (!expect(['tasks', 'inputs', i], inp, 'object')) return;
+        if (typeof inp.id !== 'string' || !inp.id) add(['tasks', 'inputs', i, 'id'], 'is required and must be a string');
+        else if (seen.has(inp.id)) add(['tasks', 'inputs', i, 'id'], `duplicate input id "${inp.id}"`);
+        else seen.add(inp.id);
+        if (!INPUT_TYPES.includes(inp.type)) add(['tasks', 'inputs', i, 'type'], `must be one of ${INPUT_TYPES.join(', ')}`);
+        if (inp.type === 'pickString' && !Array.isArray(inp.options)) add(['tasks', 'inputs', i, 'options'], 'is required for pickString inputs');
+        if (inp.type === 'command' && typeof inp.command !== 'string') add(['tasks', 'inputs', i, 'command'], 'is required for command inputs');
+      });
+    }
+  }
+
+  if (given(prof.extensions) && expect(['extensions'], prof.extensions, 'array')) {
+    const seen = new Set();
+    prof.extensions.forEach((e, i) => {
+      if (typeof e === 'string') {
+        const spec = parseExtensionSpec(e);
+        if (!spec || !EXT_ID_RE.test(spec.id)) return add(['extensions', i], `"${e}" is not a valid publisher.name extension id`);
+        if (e.includes('@') && !EXT_VERSION_RE.test(spec.version)) return add(['extensions', i], `"${e}" has an invalid version (use publisher.name@1.2.3)`);
+      } else if (isObj(e)) {
+        if (!given(e.id)) return add(['extensions', i, 'id'], 'is required');
+        if (typeof e.id !== 'string' || !EXT_ID_RE.test(e.id)) return add(['extensions', i, 'id'], 'must be a publisher.name extension id');
+        if (given(e.version) && (typeof e.version !== 'string' || !EXT_VERSION_RE.test(e.version))) add(['extensions', i, 'version'], 'must be a version string like "1.2.3"');
+        if (given(e.source) && (typeof e.source !== 'string' || !VSIX_SOURCE_RE.test(e.source))) add(['extensions', i, 'source'], 'must be "vsix:/absolute/path.vsix"');
+      } else {
+        return add(['extensions', i], `must be an extension id string or { id, version, source } object (got ${typeOf(e)})`);
+      }
+      const id = parseExtensionSpec(e).id.toLowerCase();
+      if (seen.has(id)) add(['extensions', i], `duplicate extension "${id}"`);
+      seen.add(id);
+    });
+  }
+
+  if (given(prof.github) && expect(['github'], prof.github, 'object')) {
+    const gh = prof.github;
+    if (!given(gh.username)) add(['github', 'username'], 'is required when the github block is present');
+    for (const k of ['username', 'name', 'email']) if (given(gh[k])) expect(['github', k], gh[k], 'string');
+    if (given(gh.repos) && expect(['github', 'repos'], gh.repos, 'array')) {
+      gh.repos.forEach((r, i) => {
+        if (typeof r !== 'string') add(['github', 'repos', i], `must be a string (got ${typeOf(r)})`);
+        else if (!REPO_RE.test(r.trim())) add(['github', 'repos', i], 'must be "owner/repo", "owner/repo#branch" or a GitHub URL');
+      });
+    }
+    for (const k of ['repos-subdir', 'repos_subdir']) if (given(gh[k])) expect(['github', k], gh[k], 'string');
+    for (const k of ['pull-existing', 'pull_existing']) if (given(gh[k])) expect(['github', k], gh[k], 'boolean');
+  }
+
+  return errors;
+}
+
+// Parse + validate raw file text; parse failures are reported at pointer "".
+function validateProfileText(text){
+  let prof;
+  try { prof = JSON.parse(text); }
+  catch (e) { return { profile: null, errors: [{ pointer: '', message: `invalid JSON: ${e.message}` }] }; }
+  return { profile: prof, errors: validateProfile(prof) };
+}
+
+function formatErrors(errors){
+  return (errors || []).map(e => `${e.pointer || '(root)'}: ${e.message}`);
+}
+
+module.exports = { validateProfile, validateProfileText, formatErrors, pointer, parseExtensionSpec };
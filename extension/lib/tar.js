@@ -0,0 +1,149 @@
+// tar.js — minimal .tar.gz writer/reader for profile archives and bundles
+//
+// Shared by the proxy (codestrap-proxy.js, mounted at /app/lib) and the
+// VS Code extension (extension.js). No dependencies; CommonJS only.
+//
+// ustar with PAX "path" records for names over 100 bytes; regular files and
+// directories only (symlinks and devices are skipped on both sides). Extraction
+// refuses absolute paths and "..", so an archive cannot write outside destDir,
+// and stops once the unpacked size or entry count passes its limits (gzip bombs).
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+
+/* --------------------- writer --------------------- */
+function tarOctal(buf, off, len, n){ buf.write(Math.floor(n).toString(8).padStart(len - 1, '0') + '\0', off, len, 'ascii'); }
+function tarHeader(name, size, mode, mtime, type){
+  const h = Buffer.alloc(512);
+  h.write(name, 0, 100, 'utf8');
+  tarOctal(h, 100, 8, mode & 0o7777);
+  tarOctal(h, 108, 8, 0); tarOctal(h, 116, 8, 0);
+  tarOctal(h, 124, 12, size);
+  tarOctal(h, 136, 12, mtime);
+  h.fill(' ', 148, 156);
+  h.write(type, 156, 1, 'ascii');
+  h.write('ustar\0', 257, 6, 'ascii'); h.write('00', 263, 2, 'ascii');
+  let sum = 0; for (const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return h;
+}
+function tarPad(size){ return Buffer.alloc((512 - (size % 512)) % 512); }
+function tarEntryHead(name, size, mode, mtime, type){
+  if (Buffer.byteLength(name) <= 100) return [tarHeader(name, size, mode, mtime, type)];
+  const rec = ` path=${name}\n`, len = Buffer.byteLength(rec);
+  let total = len + 1;
+  while (len + String(total).length !== total) total = len + String(total).length;   // the record counts its own length
+  const body = Buffer.from(`${total}${rec}`);
+  return [tarHeader('PaxHeader', body.length, 0o644, mtime, 'x'), body, tarPad(body.length), tarHeader(name.slice(-100), size, mode, mtime, type)];
+}
+// items: [{ name, dir: true } | { name, file } | { name, data: Buffer }] → tar byte stream
+async function* tarStream(items){
+  for (const it of items) {
+    const mtime = Math.floor((it.mtimeMs || Date.now()) / 1000);
+    if (it.dir) { for (const b of tarEntryHead(it.name.replace(/\/?$/, '/'), 0, it.mode || 0o755, mtime, '5')) yield b; continue; }
+    const data = it.data || await fs.promises.readFile(it.file);
+    for (const b of tarEntryHead(it.name, data.length, it.mode || 0o644, mtime, '0')) yield b;
+    yield data;
+    yield tarPad(data.length);
+  }
+  yield Buffer.alloc(1024);
+}
+// Directory tree below `root` as tar items under `prefix`.
+function tarTree(root, prefix, out = []){
+  let st;
+  try { st = fs.lstatSync(root); } catch (_) { return out; }
+  if (!st.isDirectory()) return out;
+  out.push({ name: prefix, dir: true, mode: st.mode, mtimeMs: st.mtimeMs });
+  for (const e of fs.readdirSync(root, { withFileTypes: true })) {
+    const p = path.join(root, e.name), name = `${prefix}/${e.name}`;
+    if (e.isDirectory()) tarTree(p, name, out);
+    else if (e.isFile()) { const s = fs.statSync(p); out.push({ name, file: p, mode: s.mode, mtimeMs: s.mtimeMs }); }
+  }
+  return out;
+}
+function writeTarGz(file, items, cb){
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  stream.pipeline(stream.Readable.from(tarStream(items)), zlib.createGzip(), fs.createWriteStream(tmp, { mode: 0o600 }), err => {
+    if (err) { try { fs.unlinkSync(tmp); } catch (_) {} return cb(err); }
+    try { fs.renameSync(tmp, file); cb(null); } catch (e) { cb(e); }
+  });
+}
+/* --------------------- reader --------------------- */
+const EXTRACT_MAX_BYTES   = 2 * 1024 * 1024 * 1024;
+const EXTRACT_MAX_ENTRIES = 100000;
+const PAX_MAX_BYTES       = 64 * 1024;
+
+// Extracts a .tar.gz into destDir; cb(err, { files, dirs, skipped, bytes }).
+// opts: { maxBytes, maxEntries } — the running totals of the entry headers; the
+// archive is rejected as soon as either is exceeded, before that data is written.
+function extractTarGz(file, destDir, opts, cb){
+  if (typeof opts === 'function') { cb = opts; opts = {}; }
+  const maxBytes = (opts && opts.maxBytes) || EXTRACT_MAX_BYTES;
+  const maxEntries = (opts && opts.maxEntries) || EXTRACT_MAX_ENTRIES;
+  const result = { files: 0, dirs: 0, skipped: [], bytes: 0 };
+  let entries = 0;
+  let buf = Buffer.alloc(0), remaining = 0, pad = 0, cur = null, paxPath = null;
+  const target = name => {
+    const n = path.posix.normalize(String(name).replace(/\/+$/, ''));
+    if (!n || n.startsWith('/') || n === '..' || n.startsWith('../')) throw new Error(`unsafe path in archive: ${name}`);
+    return path.join(destDir, n);
+  };
+  const endEntry = () => {
+    if (cur.fd !== undefined) fs.closeSync(cur.fd);
+    if (cur.type === 'x') { const m = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(Buffer.concat(cur.chunks).toString('utf8')); paxPath = m ? m[1] : null; }
+    cur = null;
+  };
+  const drain = () => {
+    for (;;) {
+      if (remaining > 0) {
+        const n = Math.min(remaining, buf.length);
+        if (!n) return;
+        const part = buf.subarray(0, n);
+        if (cur.fd !== undefined) fs.writeSync(cur.fd, part);
+        else if (cur.chunks) cur.chunks.push(Buffer.from(part));
+        buf = buf.subarray(n); remaining -= n;
+        if (!remaining) endEntry();
+        continue;
+      }
+      if (pad > 0) { const n = Math.min(pad, buf.length); if (!n) return; buf = buf.subarray(n); pad -= n; continue; }
+      if (buf.length < 512) return;
+      const h = buf.subarray(0, 512); buf = buf.subarray(512);
+      if (h.every(b => b === 0)) continue;
+      let sum = 0; for (let i = 0; i < 512; i++) sum += (i >= 148 && i < 156) ? 32 : h[i];
+      if (sum !== parseInt(h.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8)) throw new Error('corrupt archive (bad header checksum)');
+      const str = (a, b) => h.toString('utf8', a, b).replace(/\0.*$/s, '');
+      const size = parseInt(str(124, 136).trim() || '0', 8);
+      const type = str(156, 157) || '0';
+      const prefix = str(345, 500);
+      const name = paxPath || (prefix ? `${prefix}/${str(0, 100)}` : str(0, 100));
+      if (type !== 'x') paxPath = null;
+      if (!Number.isFinite(size) || size < 0) throw new Error('corrupt archive (bad entry size)');
+      if (type === 'x' && size > PAX_MAX_BYTES) throw new Error(`archive rejected: PAX header over ${PAX_MAX_BYTES} bytes`);
+      if (++entries > maxEntries) throw new Error(`archive rejected: more than ${maxEntries} entries`);
+      if ((result.bytes += size) > maxBytes) throw new Error(`archive rejected: unpacks to more than ${maxBytes} bytes`);
+      remaining = size; pad = (512 - (size % 512)) % 512;
+      if (type === 'x') cur = { type, chunks: [] };
+      else if (type === '5') { fs.mkdirSync(target(name), { recursive: true }); result.dirs++; cur = { type }; }
+      else if (type === '0' || type === '7') {
+        const p = target(name);
+        fs.mkdirSync(path.dirname(p), { recursive: true });
+        cur = { type, fd: fs.openSync(p, 'w', parseInt(str(100, 108).trim() || '644', 8) & 0o777 || 0o644) };
+        result.files++;
+      } else { result.skipped.push(name); cur = { type }; }
+      if (!remaining) endEntry();
+    }
+  };
+  const sink = new stream.Writable({
+    write(chunk, _enc, done){ try { buf = Buffer.concat([buf, chunk]); drain(); done(); } catch (e) { done(e); } },
+    final(done){ if (cur && cur.fd !== undefined) fs.closeSync(cur.fd); done(remaining ? new Error('truncated archive') : null); }
+  });
+  stream.pipeline(fs.createReadStream(file), zlib.createGunzip(), sink, err => {
+    if (err && cur && cur.fd !== undefined) { try { fs.closeSync(cur.fd); } catch (_) {} }
+    cb(err || null, result);
+  });
+}
+
+module.exports = { tarTree, writeTarGz, extractTarGz };
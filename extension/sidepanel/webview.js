@@ -15,10 +15,23 @@ function setButtonLoading(btnId, isLoading) {
     btn.disabled = true;
   } else {
     btn.classList.remove('loading');
-    btn.disabled = false;
+    btn.disabled = !!btn.dataset.policy;   // stay disabled when gated by policy
   }
 }
 
+// Policy-gated buttons start disabled; the host re-checks (and explains) on every action.
+const POLICIES = INITIAL.POLICIES || {};
+function gateByPolicy(key, btnIds){
+  if (POLICIES[key] !== false) return;
+  btnIds.forEach(id => {
+    const btn = $(id);
+    if (!btn) return;
+    btn.dataset.policy = key;
+    btn.disabled = true;
+    btn.title = `Disabled by policy (policies.yml → ${key}: false)`;
+  });
+}
+
 // --- helper for repo field sizing ---
 function autoResizeTextarea(el){
   if (!el) return;
@@ -318,6 +331,325 @@ $("ext-run").onclick = () => {
 });
 
 
+// profiles status (validated by the host with lib/profile-schema.js)
+function renderProfiles(list){
+  const box = $("prof-list");
+  if (!box) return;
+  box.textContent = "";
+  if (!list || !list.length) { box.textContent = "No profiles found in /config/codestrap/profiles."; return; }
+  list.forEach(p => {
+    const item = document.createElement("div");
+    const errs = p.errors || [];
+    item.className = "prof-item " + (errs.length ? "prof-bad" : "prof-ok");
+    item.appendChild(document.createTextNode(p.name));
+    if (errs.length) {
+      const ul = document.createElement("ul");
+      ul.className = "prof-errors";
+      errs.forEach(e => {
+        const li = document.createElement("li");
+        const code = document.createElement("code");
+        code.textContent = e.pointer || "(root)";
+        li.appendChild(code);
+        li.appendChild(document.createTextNode(" " + e.message));
+        ul.appendChild(li);
+      });
+      item.appendChild(ul);
+    }
+    box.appendChild(item);
+  });
+}
+renderProfiles(INITIAL.PROFILES);
+
+$("prof-check").onclick = () => {
+  setButtonLoading("prof-check", true);
+  vscode.postMessage({ type: "profiles:check" });
+};
+
+// --- Profile editor ---
+// PE.base is the profile as last read/saved; keys the forms don't cover
+// (auth, dirs, tasks.inputs, keybinding args, ...) are carried over from it.
+const NEW_PROFILE = "__new__";
+const PE = { name: "", isNew: false, base: {}, saved: "" };
+const clone = (v) => JSON.parse(JSON.stringify(v === undefined ? null : v));
+
+function renderProfilePicker(list){
+  const sel = $("prof-pick");
+  if (!sel) return;
+  const cur = (PE.name && !PE.isNew) ? PE.name : sel.value;
+  sel.textContent = "";
+  const add = (value, text) => { const o = document.createElement("option"); o.value = value; o.textContent = text; sel.appendChild(o); };
+  add("", "(choose a profile)");
+  (list || []).forEach(p => add(p.name, p.name + ((p.errors || []).length ? "  ✗" : "")));
+  add(NEW_PROFILE, "+ New profile…");
+  sel.value = [...sel.options].some(o => o.value === cur) ? cur : "";
+}
+
+function addEditorRow(containerId, fields, rest){
+  const row = document.createElement("div");
+  row.className = "kv-row";
+  row.dataset.rest = JSON.stringify(rest || {});
+  fields.forEach(f => {
+    const inp = document.createElement("input");
+    inp.type = "text";
+    inp.placeholder = f.placeholder;
+    inp.value = f.value == null ? "" : String(f.value);
+    inp.dataset.field = f.name;
+    row.appendChild(inp);
+  });
+  const del = document.createElement("button");
+  del.className = "btn-del";
+  del.title = "Remove";
+  del.textContent = "✕";
+  del.onclick = () => row.remove();
+  row.appendChild(del);
+  $(containerId).appendChild(row);
+}
+
+function readEditorRows(containerId){
+  return [...$(containerId).querySelectorAll(".kv-row")].map(row => {
+    const out = { rest: JSON.parse(row.dataset.rest || "{}") };
+    row.querySelectorAll("input").forEach(inp => { out[inp.dataset.field] = inp.value; });
+    return out;
+  });
+}
+
+// Plain strings are shown bare unless they'd read back as another JSON type ("true", "3")
+function settingText(v){
+  if (v === undefined) return "";
+  if (typeof v !== "string") return JSON.stringify(v);
+  try { JSON.parse(v); return JSON.stringify(v); } catch (_) { return v; }
+}
+const settingRow = (k, v) => addEditorRow("pe-settings", [
+  { name: "key", placeholder: "setting.key", value: k },
+  { name: "value", placeholder: "value (JSON)", value: settingText(v) }
+]);
+// rows keep the whole original object so unknown keys (and key order) survive a save
+const keybRow = (kb) => {
+  const { key, command, when } = kb || {};
+  addEditorRow("pe-keyb", [
+    { name: "key", placeholder: "ctrl+k", value: key },
+    { name: "command", placeholder: "command", value: command },
+    { name: "when", placeholder: "when (optional)", value: when }
+  ], kb);
+};
+const taskRow = (t) => {
+  const { label, type, command } = t || {};
+  addEditorRow("pe-tasks", [
+    { name: "label", placeholder: "label", value: label },
+    { name: "type", placeholder: "shell", value: type },
+    { name: "command", placeholder: "command", value: command }
+  ], t);
+};
+
+function fillProfileEditor(prof){
+  prof = prof && typeof prof === "object" && !Array.isArray(prof) ? prof : {};
+  ["pe-settings","pe-keyb","pe-tasks"].forEach(id => { $(id).textContent = ""; });
+  const settings = prof.settings && typeof prof.settings === "object" ? prof.settings : {};
+  Object.keys(settings).forEach(k => settingRow(k, settings[k]));
+  (Array.isArray(prof.keybindings) ? prof.keybindings : []).forEach(keybRow);
+  const tasks = prof.tasks && Array.isArray(prof.tasks.tasks) ? prof.tasks.tasks : [];
+  tasks.forEach(taskRow);
+  $("pe-ext").value = (Array.isArray(prof.extensions) ? prof.extensions : []).map(extLine).filter(Boolean).join("\n");
+  const gh = prof.github && typeof prof.github === "object" ? prof.github : {};
+  $("pe-gh-user").value   = gh.username || "";
+  $("pe-gh-name").value   = gh.name || "";
+  $("pe-gh-email").value  = gh.email || "";
+  $("pe-gh-repos").value  = (Array.isArray(gh.repos) ? gh.repos : []).join("\n");
+  $("pe-gh-subdir").value = gh["repos-subdir"] || gh.repos_subdir || "";
+  $("pe-gh-pull").checked = !!(gh["pull-existing"] ?? gh.pull_existing);
+  markEditorErrors([]);
+}
+
+// Extension lines: "publisher.name[@version] [vsix:/path.vsix]"
+function extLine(e){
+  if (typeof e === "string") return e;
+  if (!e || typeof e !== "object" || !e.id) return "";
+  return e.id + (e.version ? "@" + e.version : "") + (e.source ? " " + e.source : "");
+}
+function extEntry(line, baseEntries){
+  const [spec, source] = line.split(/\s+/);
+  const at = spec.indexOf("@");
+  const id = at < 0 ? spec : spec.slice(0, at);
+  const version = at < 0 ? "" : spec.slice(at + 1);
+  const prev = baseEntries.find(e => e && typeof e === "object" && String(e.id || "").toLowerCase() === id.toLowerCase());
+  if (!source && !prev) return spec;
+  // object form: reuse the original object so extra keys survive
+  const obj = Object.assign(prev ? clone(prev) : {}, { id });
+  if (version) obj.version = version; else delete obj.version;
+  if (source) obj.source = source; else delete obj.source;
+  return obj;
+}
+
+// Build the profile JSON from the forms (empty sections the base didn't have are omitted)
+function collectProfile(){
+  const prof = clone(PE.base) || {};
+  const lines = (id) => $(id).value.split(/[\n,]/).map(x => x.trim()).filter(Boolean);
+  const setOrDrop = (key, value, empty) => {
+    if (empty && !(key in PE.base)) delete prof[key]; else prof[key] = value;
+  };
+
+  const settings = {};
+  readEditorRows("pe-settings").forEach(r => {
+    const k = r.key.trim();
+    if (!k) return;
+    try { settings[k] = JSON.parse(r.value); } catch (_) { settings[k] = r.value; }
+  });
+  setOrDrop("settings", settings, !Object.keys(settings).length);
+
+  const keyb = readEditorRows("pe-keyb")
+    .filter(r => r.key.trim() || r.command.trim() || r.when.trim())
+    .map(r => {
+      const kb = Object.assign(r.rest, { key: r.key.trim(), command: r.command.trim() });
+      if (r.when.trim()) kb.when = r.when.trim(); else delete kb.when;
+      return kb;
+    });
+  setOrDrop("keybindings", keyb, !keyb.length);
+
+  const taskList = readEditorRows("pe-tasks")
+    .filter(r => r.label.trim() || r.command.trim())
+    .map(r => {
+      const t = Object.assign(r.rest, { label: r.label.trim() });
+      if (r.type.trim()) t.type = r.type.trim(); else delete t.type;
+      if (r.command.trim()) t.command = r.command; else delete t.command;
+      return t;
+    });
+  const baseTasks = PE.base.tasks && typeof PE.base.tasks === "object" ? clone(PE.base.tasks) : null;
+  if (baseTasks) { baseTasks.tasks = taskList; prof.tasks = baseTasks; }
+  else setOrDrop("tasks", { version: "2.0.0", tasks: taskList }, !taskList.length);
+
+  const exts = $("pe-ext").value.split(/[\n,]/).map(x => x.trim()).filter(Boolean)
+    .map(l => extEntry(l, Array.isArray(PE.base.extensions) ? PE.base.extensions : []));
+  setOrDrop("extensions", exts, !exts.length);
+
+  const gh = PE.base.github && typeof PE.base.github === "object" ? clone(PE.base.github) : {};
+  const put = (k, v) => { if (v) gh[k] = v; else delete gh[k]; };
+  put("username", $("pe-gh-user").value.trim());
+  put("name", $("pe-gh-name").value.trim());
+  put("email", $("pe-gh-email").value.trim());
+  const repos = lines("pe-gh-repos");
+  if (repos.length) gh.repos = repos; else delete gh.repos;
+  const subKey = "repos_subdir" in gh ? "repos_subdir" : "repos-subdir";
+  put(subKey, $("pe-gh-subdir").value.trim());
+  const pullKey = "pull_existing" in gh ? "pull_existing" : "pull-existing";
+  if ($("pe-gh-pull").checked || pullKey in gh) gh[pullKey] = $("pe-gh-pull").checked;
+  setOrDrop("github", gh, !Object.keys(gh).length);
+
+  return prof;
+}
+
+// Show pointer errors inline and flag the offending table rows
+function markEditorErrors(errors){
+  errors = errors || [];
+  const rows = { keybindings: "pe-keyb", tasks: "pe-tasks" };
+  Object.values(rows).forEach(id => $(id).querySelectorAll(".kv-row").forEach(r => r.classList.remove("invalid")));
+  errors.forEach(e => {
+    const m = /^\/(keybindings|tasks\/tasks)\/(\d+)/.exec(e.pointer || "");
+    if (!m) return;
+    const row = $(m[1] === "keybindings" ? rows.keybindings : rows.tasks).querySelectorAll(".kv-row")[Number(m[2])];
+    row && row.classList.add("invalid");
+  });
+  setError("prof-error", errors.map(e => `${e.pointer || "(root)"}: ${e.message}`).join("\n"));
+  $("prof-error").style.whiteSpace = "pre-line";
+}
+
+function editorTarget(){
+  if (!PE.isNew) return PE.name;
+  return $("prof-new-name").value.trim();
+}
+
+$("prof-pick").onchange = () => {
+  const v = $("prof-pick").value;
+  setError("prof-error", "");
+  $("prof-new-row").hidden = v !== NEW_PROFILE;
+  if (!v) { $("prof-editor").hidden = true; PE.name = ""; return; }
+  if (v === NEW_PROFILE) {
+    Object.assign(PE, { name: "", isNew: true, base: {}, saved: "" });
+    fillProfileEditor({});
+    $("prof-editor").hidden = false;
+    $("prof-new-name").focus();
+    return;
+  }
+  vscode.postMessage({ type: "profile:get", name: v });
+};
+
+// editor sub-tabs
+(function profileTabs(){
+  const tabs = [...document.querySelectorAll("#prof-editor .tab")];
+  tabs.forEach(t => {
+    t.onclick = () => tabs.forEach(o => {
+      const on = o === t;
+      o.classList.toggle("active", on);
+      o.setAttribute("aria-selected", on ? "true" : "false");
+      $(o.dataset.panel).hidden = !on;
+    });
+  });
+})();
+
+$("pe-settings-add").onclick = () => settingRow("", undefined);
+$("pe-keyb-add").onclick     = () => keybRow({});
+$("pe-tasks-add").onclick    = () => taskRow({});
+$("pe-gh-token-eye").onclick = () => togglePw("pe-gh-token");
+
+renderProfilePicker(INITIAL.PROFILES);
+
+$("prof-validate").onclick = () => {
+  setButtonLoading("prof-validate", true);
+  vscode.postMessage({ type: "profile:validate", profile: collectProfile() });
+};
+
+$("prof-save").onclick = () => {
+  const name = editorTarget();
+  if (!/^[A-Za-z0-9._-]{1,64}$/.test(name) || /^\.+$/.test(name)) {
+    setError("prof-error", "Profile name may only contain letters, digits, '.', '_' and '-'.");
+    return;
+  }
+  setError("prof-error", "");
+  setButtonLoading("prof-save", true);
+  vscode.postMessage({ type: "profile:save", name, create: PE.isNew, profile: collectProfile() });
+};
+
+$("prof-export").onclick = () => {
+  if (PE.isNew || !PE.name) { setError("prof-error", "Save the profile before exporting it."); return; }
+  setError("prof-error", "");
+  setButtonLoading("prof-export", true);
+  vscode.postMessage({ type: "profile:export", name: PE.name });
+};
+
+// Bundle import: the host validates and diffs first; Apply writes, Cancel drops it.
+$("prof-import").onclick = () => {
+  setButtonLoading("prof-import", true);
+  vscode.postMessage({ type: "profile:import:pick" });
+};
+$("prof-import-pin").onchange = () => vscode.postMessage({ type: "profile:import:diff", pin: $("prof-import-pin").checked });
+$("prof-import-apply").onclick = () => {
+  setButtonLoading("prof-import-apply", true);
+  vscode.postMessage({ type: "profile:import:apply", pin: $("prof-import-pin").checked });
+};
+$("prof-import-cancel").onclick = () => {
+  $("prof-import-box").hidden = true;
+  vscode.postMessage({ type: "profile:import:cancel" });
+};
+function renderImportPreview(data){
+  const box = $("prof-import-box");
+  const errs = data.errors || [];
+  box.hidden = false;
+  $("prof-import-title").textContent = data.name ? `Import into "${data.name}"` : "Import";
+  $("prof-import-diff").textContent = errs.length
+    ? ["Bundle is invalid; nothing can be applied:", ...errs.map(e => `  ${e.pointer || "(root)"}: ${e.message}`)].join("\n")
+    : (data.text || []).join("\n");
+  $("prof-import-pin").checked = !!data.pin;
+  $("prof-import-apply").disabled = !!errs.length || !!$("prof-import-apply").dataset.policy;
+  setError("prof-import-error", "");
+}
+
+$("prof-load").onclick = () => {
+  if (PE.isNew || !PE.name) { setError("prof-error", "Save the profile before loading it."); return; }
+  if (JSON.stringify(collectProfile()) !== PE.saved) { setError("prof-error", "Save your changes before loading."); return; }
+  setError("prof-error", "");
+  setButtonLoading("prof-load", true);
+  vscode.postMessage({ type: "profile:load", name: PE.name, token: $("pe-gh-token").value });
+};
+
 // gh actions
 // Toggle: when ON → fill with env  disable; when OFF → restore manual  enable
 $("gh-fill-env").onchange = () => {
@@ -359,6 +691,13 @@ $("gh-run").onclick = () => {
   });
 };
 
+// Policy gates (sudo is handled by the tab above)
+gateByPolicy("allow-login-password-change", ["login-run"]);
+gateByPolicy("allow-config-merge",          ["cfg-run"]);
+gateByPolicy("allow-extensions-sync",       ["ext-run"]);
+gateByPolicy("allow-github-bootstrap",      ["gh-run"]);
+gateByPolicy("allow-profiles-change",       ["prof-save", "prof-load", "prof-import", "prof-import-apply"]);
+
 // Enter submits current panel/section
 setupEnterToSubmit('panel-login', 'login-run');
 setupEnterToSubmit('panel-sudo', 'sudo-run');
@@ -369,6 +708,33 @@ setupEnterToSubmit('sec-github', 'gh-run');
 // Stop spinners when host ACKs completion (non-reboot ops only)
 window.addEventListener('message', (event) => {
   const data = event.data || {};
+  if (data.type === 'profiles:status') {
+    setButtonLoading('prof-check', false);
+    renderProfiles(data.profiles);
+    renderProfilePicker(data.profiles);
+    return;
+  }
+  if (data.type === 'profile:data') {
+    if (data.name !== $('prof-pick').value) return;   // user moved on
+    if (!data.profile) { $('prof-editor').hidden = true; markEditorErrors(data.errors); return; }
+    Object.assign(PE, { name: data.name, isNew: false, base: clone(data.profile) || {} });
+    fillProfileEditor(data.profile);
+    PE.saved = JSON.stringify(collectProfile());
+    $('prof-editor').hidden = false;
+    markEditorErrors(data.errors);
+    return;
+  }
+  if (data.type === 'profile:import:preview') {
+    setButtonLoading('prof-import', false);
+    renderImportPreview(data);
+    return;
+  }
+  if (data.type === 'profile:validated') {
+    setButtonLoading('prof-validate', false);
+    markEditorErrors(data.errors);
+    if (!(data.errors || []).length) setError('prof-error', '');
+    return;
+  }
   if (data.type !== 'ack') return;
   switch (data.op) {
     case 'config':
@@ -383,6 +749,42 @@ window.addEventListener('message', (event) => {
       setButtonLoading('gh-run', false);
       if (data.ok === false) alert('GitHub bootstrap failed. Check "Codestrap" output.');
       break;
-    // passwd/sudopasswd: no ack => spinner keeps spinning until reboot refreshes the webview
+    case 'profile:save':
+      setButtonLoading('prof-save', false);
+      markEditorErrors(data.errors);
+      if (data.ok) {
+        PE.base = collectProfile();
+        PE.saved = JSON.stringify(PE.base);
+        if (PE.isNew) {
+          PE.isNew = false;
+          PE.name = data.name;
+          $('prof-new-row').hidden = true;
+          $('prof-new-name').value = '';
+          // picker is rebuilt (and reselected via PE.name) by the profiles:status that follows
+        }
+      }
+      break;
+    case 'profile:export':
+      setButtonLoading('prof-export', false);
+      if (data.ok === false && data.error) setError('prof-error', data.error);
+      break;
+    case 'profile:import':
+      setButtonLoading('prof-import', false);
+      setButtonLoading('prof-import-apply', false);
+      if (data.ok) $('prof-import-box').hidden = true;
+      else if (data.error) setError('prof-import-error', data.error);
+      break;
+    case 'profile':
+      setButtonLoading('prof-load', false);
+      if (data.errors) markEditorErrors(data.errors);
+      if (data.ok === false) alert('Profile load failed. Check "Codestrap" output.');
+      break;
+    // passwd/sudopasswd: no ack on success => spinner keeps spinning until reboot refreshes the webview
+    case 'passwd':
+      setButtonLoading('login-run', false);
+      break;
+    case 'sudopasswd':
+      setButtonLoading('sudo-run', false);
+      break;
   }
 });
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Drop browser-side beacons and requests to Microsoft telemetry endpoints.
+(function(){
+  var BLOCK = /(^|\.)(vortex\.data\.microsoft\.com|dc\.services\.visualstudio\.com|mobile\.events\.data\.microsoft\.com|browser\.events\.data\.microsoft\.com)$/i;
+  function blocked(u){ try { return BLOCK.test(new URL(String(u), location.href).hostname); } catch (e) { return false; } }
+  if (navigator.sendBeacon) {
+    var beacon = navigator.sendBeacon.bind(navigator);
+    navigator.sendBeacon = function(u, data){ return blocked(u) ? true : beacon(u, data); };
+  }
+  var nativeFetch = window.fetch;
+  window.fetch = function(input, init){
+    var u = input && input.url ? input.url : input;
+    return blocked(u) ? Promise.resolve(new Response(null, { status: 204 })) : nativeFetch.apply(this, arguments);
+  };
+})();
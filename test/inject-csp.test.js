@@ -0,0 +1,116 @@
+// Injection into a real code-server shell under its CSP.
+// Run with: node --test test/
+// fixtures/workbench.html is lib/vscode/out/vs/code/browser/workbench/workbench.html from
+// code-server 4.100.3; WORKBENCH_CSP is the header its server sends with that page.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const proxy = require('../codestrap-proxy.js');
+
+const WORKBENCH = fs.readFileSync(path.join(__dirname, 'fixtures', 'workbench.html'), 'utf8');
+const WORKBENCH_CSP = "default-src 'self'; img-src 'self' https: data: blob:; media-src 'self'; script-src 'self' 'unsafe-eval' blob: 'nonce-1nline-m4p' 'sha256-2Q+j4hfT09+1+imS46J2YlkCtHWQt0/BE79PXjJ0ZJ8=' 'sha256-/r7rqQ+yrxt57sxLuQ6AMYcy/lUpvAIzHjIJt/OeLWU=' ; child-src 'self'; frame-src 'self' https://*.vscode-cdn.net data:; worker-src 'self' data: blob:; style-src 'self' 'unsafe-inline'; connect-src 'self' ws: wss: https:; font-src 'self' blob:; manifest-src 'self';";
+
+// the shipped registry's inline snippets: a template and a .js file
+const HEAD = proxy.BUILTIN_TAGS + proxy.snippetFromFile(path.join(__dirname, '..', 'injections', 'telemetry-optout.js'));
+const TAIL = "<script>console.info('This workspace (profile main) is for authorised use only.');</script>";
+
+function withMeta(html, policy, quote = '"'){
+  return html.replace('<meta charset="utf-8" />',
+    `<meta charset="utf-8" />\n\t\t<meta http-equiv="Content-Security-Policy" content=${quote}${policy}${quote}>`);
+}
+
+// Streams html through the injector the way forward() does, in chunks of `size` bytes.
+async function inject(html, hdrs, size = 64){
+  const need = proxy.scriptNeeds(HEAD + TAIL);
+  const csp = { need, nonce: proxy.cspScriptNonce(hdrs, need), meta: false };
+  const body = Buffer.from(html), chunks = [], out = [];
+  for (let i = 0; i < body.length; i += size) chunks.push(body.subarray(i, i + size));
+  await pipeline(Readable.from(chunks), proxy.createInjector(HEAD, TAIL, csp),
+    new Writable({ write(c, _e, cb){ out.push(c); cb(); } }));
+  return { html: Buffer.concat(out).toString('utf8'), csp };
+}
+
+function metaPolicies(html){
+  return [...html.matchAll(/<meta\b[^>]*http-equiv=["']?content-security-policy["']?[^>]*>/gi)]
+    .map(m => /\scontent=(?:"([^"]*)"|'([^']*)')/i.exec(m[0]))
+    .map(m => (m[1] !== undefined ? m[1] : m[2]).replace(/&quot;/g, '"').replace(/&amp;/g, '&'));
+}
+
+// Would this policy run the <script> tag? (the subset of CSP rules the injector relies on)
+function allows(policy, tag){
+  const dirs = policy.split(';').map(d => d.trim().split(/\s+/)).filter(d => d[0]);
+  const dir = ['script-src-elem', 'script-src', 'default-src'].map(n => dirs.find(d => d[0].toLowerCase() === n)).find(Boolean);
+  if (!dir) return true;
+  const sources = dir.slice(1);
+  const nonce = /\snonce="([^"]+)"/.exec(tag);
+  if (nonce && sources.includes(`'nonce-${nonce[1]}'`)) return true;
+  if (/\ssrc=/.test(tag)) return sources.includes("'self'");
+  return sources.includes("'unsafe-inline'") && !sources.some(x => /^'(nonce|sha\d+)-/.test(x));
+}
+
+function injectedScripts(html){
+  const tags = [...html.matchAll(/<script\b[^>]*>/g)].map(m => m[0]);
+  const expected = (HEAD + TAIL).match(/<script\b[^>]*>/g).length;
+  const found = tags.filter(t => /\/__watchdog\.js|\/__seed_profiles\.js/.test(t) || /\snonce=/.test(t));
+  assert.strictEqual(found.length, expected, 'every injected script is present (and only those carry a nonce)');
+  return found;
+}
+
+function assertRuns(html, policies){
+  assert.ok(html.includes('telemetry'), 'telemetry snippet injected');
+  assert.ok(html.includes('authorised use only'), 'body-end snippet injected');
+  for (const tag of injectedScripts(html)) {
+    for (const policy of policies) assert.ok(allows(policy, tag), `${tag} blocked by ${policy}`);
+  }
+}
+
+test('header CSP: reuses the nonce code-server already allows', async () => {
+  const hdrs = { 'content-security-policy': WORKBENCH_CSP };
+  const { html, csp } = await inject(WORKBENCH, hdrs);
+  assert.strictEqual(csp.nonce, '1nline-m4p');
+  assert.strictEqual(hdrs['content-security-policy'], WORKBENCH_CSP, 'header left alone');
+  assert.strictEqual(csp.meta, false);
+  assertRuns(html, [hdrs['content-security-policy']]);
+  assert.ok(html.includes("<script>\n\t\t\tperformance.mark('code/didStartRenderer');"), "page's own scripts untouched");
+});
+
+test('meta CSP only: the <meta> policy gets the nonce', async () => {
+  const policy = "default-src 'self'; script-src 'self' 'sha256-2Q+j4hfT09+1+imS46J2YlkCtHWQt0/BE79PXjJ0ZJ8='";
+  const { html, csp } = await inject(withMeta(WORKBENCH, policy), {});
+  assert.ok(csp.nonce);
+  assert.strictEqual(csp.meta, true);
+  const metas = metaPolicies(html);
+  assert.strictEqual(metas.length, 1);
+  assert.ok(metas[0].includes(`'nonce-${csp.nonce}'`));
+  assertRuns(html, metas);
+});
+
+test('header and meta CSP with different nonces', async () => {
+  const hdrs = { 'content-security-policy': WORKBENCH_CSP };
+  const { html, csp } = await inject(withMeta(WORKBENCH, "script-src 'self' 'nonce-other'"), hdrs);
+  assert.strictEqual(csp.nonce, '1nline-m4p');
+  assertRuns(html, [hdrs['content-security-policy'], ...metaPolicies(html)]);
+});
+
+test('single-quoted meta with entities, split across tiny chunks', async () => {
+  const policy = "script-src &#39;self&#39;; object-src &#39;none&#39;";
+  for (const size of [1, 7, 4096]) {
+    const { html } = await inject(withMeta(WORKBENCH, policy, "'"), {}, size);
+    const metas = metaPolicies(html);
+    assert.ok(/'nonce-[^']+'/.test(metas[0]), `chunk size ${size}`);
+    assertRuns(html, metas);
+  }
+});
+
+test("meta CSP that already allows inline scripts is left alone", async () => {
+  const page = withMeta(WORKBENCH, "script-src 'self' 'unsafe-inline'");
+  const { html, csp } = await inject(page, {});
+  assert.strictEqual(csp.nonce, null);
+  assert.strictEqual(csp.meta, false);
+  assert.strictEqual(html.length, page.length + Buffer.byteLength(HEAD + TAIL));
+});